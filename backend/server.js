@@ -1,18 +1,24 @@
-class ApiError extends Error {
-  constructor(message, statusCode = 500, source = undefined) {
-    super(message);
-    this.name = 'ApiError';
-    this.statusCode = statusCode;
-    this.source = source;
-    if (Error.captureStackTrace) Error.captureStackTrace(this, ApiError);
-  }
-}
+const crypto = require('crypto');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const SpotifyWebApi = require('spotify-web-api-node');
 require('dotenv').config();
+const ApiError = require('./utils/ApiError');
 const ApiCache = require('./utils/ApiCache');
+const FileCacheStore = require('./utils/FileCacheStore');
+const MemoryCacheStore = require('./utils/MemoryCacheStore');
 const RateLimiter = require('./utils/RateLimiter');
+const ProgressReporter = require('./utils/ProgressReporter');
+const JobManager = require('./utils/JobManager');
+const SourceRegistry = require('./utils/SourceRegistry');
+const KMeans = require('./utils/KMeans');
+const PlaylistFormats = require('./utils/PlaylistFormats');
+const TrackListParser = require('./utils/TrackListParser');
+const TrackIdentity = require('./utils/TrackIdentity');
+const AudioAnalyzer = require('./utils/AudioAnalyzer');
+const TagVectorModel = require('./utils/TagVectorModel');
+const MoodLexicon = require('./utils/MoodLexicon');
 const app = express();
 const port = process.env.PORT || 5000;
 
@@ -29,20 +35,55 @@ if (!process.env.LASTFM_API_KEY) {
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://127.0.0.1:3000';
 const BACKEND_URL = process.env.BACKEND_URL || 'http://127.0.0.1:5000';
 const MAX_CANDIDATES = 80;
+const MAX_VIBE_SEEDS = 10; // seeds consultadas no Last.fm para inferir a vibe da playlist
+const MAX_SEED_WEIGHT = 5;
 
 app.use(cors({ origin: FRONTEND_URL }));
-app.use(express.json());
-
-const lastfmCache = new ApiCache(60 * 60 * 1000, 300);
-const spotifyCache = new ApiCache(60 * 60 * 1000, 300);
+app.use(express.json({ limit: '5mb' })); // capas em base64 e playlists completas no /export-file
+
+// Caches de respostas externas sobrevivem a restarts (nodemon): CACHE_BACKEND=file (padrão) grava em
+// CACHE_DIR um log por cache e recarrega na subida; CACHE_BACKEND=memory volta ao comportamento antigo.
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, '.cache');
+const CACHE_BACKEND = process.env.CACHE_BACKEND || 'file';
+if (!['file', 'memory'].includes(CACHE_BACKEND)) {
+  throw new Error(`CACHE_BACKEND inválido: "${CACHE_BACKEND}" (use "file" ou "memory").`);
+}
+const cacheStore = (name) => (CACHE_BACKEND === 'file'
+  ? new FileCacheStore(path.join(CACHE_DIR, `${name}.ndjson`))
+  : new MemoryCacheStore());
+
+const lastfmCache = new ApiCache(60 * 60 * 1000, 2000, {
+  name: 'lastfm',
+  store: cacheStore('lastfm'),
+  namespaces: {
+    'tag_counts:': 7 * 24 * 60 * 60 * 1000, // tags de uma faixa quase não mudam
+    'lastfm_similar_': 24 * 60 * 60 * 1000,
+    'tagtracks:': 24 * 60 * 60 * 1000
+  }
+});
+const spotifyCache = new ApiCache(60 * 60 * 1000, 300, { name: 'spotify', store: cacheStore('spotify') });
 const lastfmLimiter = new RateLimiter(2, 20);
 const spotifyLimiter = new RateLimiter(5, 20);
 const deezerLimiter = new RateLimiter(5, 20);  // Deezer: ~50 req/5s
 const itunesLimiter = new RateLimiter(2, 20);  // iTunes: ~20 req/min (conservador)
-const previewCache = new ApiCache(24 * 60 * 60 * 1000, 1000); // 24h cache para URLs de preview
+// URLs de prévia do Deezer são assinadas e expiram: só 15min de cache (os IDs ficam no identityCache)
+const previewCache = new ApiCache(15 * 60 * 1000, 1000, { name: 'preview', store: cacheStore('preview') });
+const analyzeJobs = new JobManager(15 * 60 * 1000, 50); // resultados ficam 15min disponíveis após o fim
+const analysisStore = new ApiCache(30 * 60 * 1000, 50); // pool de candidatos pontuados de cada análise (para /alternatives)
+const identityCache = new ApiCache(24 * 60 * 60 * 1000, 2000, { name: 'identity', store: cacheStore('identity') }); // gravação (ISRC ou nome+duração) -> IDs por provedor
+const trackIdentity = new TrackIdentity({
+  cache: identityCache,
+  limiters: { spotify: spotifyLimiter, deezer: deezerLimiter, itunes: itunesLimiter }
+});
 
 
-const artistGenresCache = new Map();
+const localFeaturesCache = new ApiCache(7 * 24 * 60 * 60 * 1000, 3000, { name: 'local-features', store: cacheStore('local-features') }); // audio features estimadas das prévias (por gravação)
+const audioAnalyzer = new AudioAnalyzer();
+const tagModel = new TagVectorModel(); // IDF das tags do Last.fm sobre todas as faixas já consultadas
+// O cache do Last.fm é recarregado do disco: o IDF parte das listas de tags que já estavam nele
+lastfmCache.entries('tag_counts:').forEach(([key, counts]) => tagModel.observe(key, TagVectorModel.termWeights(counts)));
+const moodLexicon = MoodLexicon.fromFiles([process.env.MOOD_LEXICON_PATH]); // moods/sinônimos em data/moodLexicon.json
+const artistGenresCache = new ApiCache(7 * 24 * 60 * 60 * 1000, 5000, { name: 'artist-genres', store: cacheStore('artist-genres') }); // gêneros por artista do Spotify
 
 const getArtistsGenres = async (artistIds = [], api) => {
   const ids = Array.from(new Set((artistIds || []).filter(Boolean)));
@@ -51,7 +92,8 @@ const getArtistsGenres = async (artistIds = [], api) => {
  
   const toFetch = [];
   ids.forEach(id => {
-    if (artistGenresCache.has(id)) result[id] = artistGenresCache.get(id);
+    const cached = artistGenresCache.get(`artist_genres:${id}`);
+    if (cached !== null) result[id] = cached;
     else toFetch.push(id);
   });
  
@@ -65,7 +107,7 @@ const getArtistsGenres = async (artistIds = [], api) => {
       const artists = (d.body && d.body.artists) ? d.body.artists : [];
       artists.forEach(a => {
         const genres = Array.isArray(a.genres) ? a.genres : [];
-        artistGenresCache.set(a.id, genres);
+        artistGenresCache.set(`artist_genres:${a.id}`, genres);
         result[a.id] = genres;
       });
     } catch (e) {
@@ -75,7 +117,7 @@ const getArtistsGenres = async (artistIds = [], api) => {
         try {
           const ind = await spotifyLimiter.execute(() => api.getArtist(id));
           const g = (ind.body && ind.body.genres) ? ind.body.genres : [];
-          artistGenresCache.set(id, g);
+          artistGenresCache.set(`artist_genres:${id}`, g);
           result[id] = g;
         } catch (ie) {
           console.warn(`Erro ao buscar artista ${id}:`, ie.message || ie);
@@ -97,14 +139,61 @@ const createApiInstance = (req) => {
   return api;
 };
 
+// Mercado (país) do catálogo consultado. Fica na instância da API — uma por request — para que
+// todos os helpers que já recebem `api` usem o mesmo país; sem mercado definido vale o do token.
+const MARKET_RE = /^[A-Z]{2}$/;
+const setApiMarket = (api, market) => {
+  api.market = MARKET_RE.test(market || '') ? market : null;
+  return api;
+};
+const marketOf = (api) => api.market || 'from_token';
+const withMarket = (api, options = {}) => ({ ...options, market: marketOf(api) });
+// Com `market` na requisição o Spotify marca `is_playable: false` no que não toca no país
+const isPlayable = (track) => Boolean(track) && track.is_playable !== false;
+
+// `options.market` sobrescreve o país do usuário (gerar playlists para outras regiões)
+const parseMarketOption = (options = {}) => {
+  if (options?.market === undefined || options.market === null || options.market === '') return null;
+  const market = String(options.market).trim().toUpperCase();
+  if (!MARKET_RE.test(market)) throw new ApiError(`Mercado inválido: ${options.market}. Use um código de país com 2 letras (ex.: BR, US).`, 400);
+  return market;
+};
+
 const authApi = new SpotifyWebApi({
   clientId: process.env.SPOTIFY_CLIENT_ID,
   clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
   redirectUri: `${BACKEND_URL}/callback`,
 });
 
+// Fontes do modo "seed from my listening"; cada uma declara o scope OAuth de que precisa
+const LISTENING_SOURCES = {
+  'top-short': {
+    label: 'Top tracks (últimas 4 semanas)', scope: 'user-top-read',
+    fetch: async (api) => (await api.getMyTopTracks({ time_range: 'short_term', limit: 50 })).body.items
+  },
+  'top-medium': {
+    label: 'Top tracks (últimos 6 meses)', scope: 'user-top-read',
+    fetch: async (api) => (await api.getMyTopTracks({ time_range: 'medium_term', limit: 50 })).body.items
+  },
+  'top-long': {
+    label: 'Top tracks (desde sempre)', scope: 'user-top-read',
+    fetch: async (api) => (await api.getMyTopTracks({ time_range: 'long_term', limit: 50 })).body.items
+  },
+  recent: {
+    label: 'Tocadas recentemente', scope: 'user-read-recently-played',
+    fetch: async (api) => (await api.getMyRecentlyPlayedTracks({ limit: 50 })).body.items.map(i => i.track)
+  },
+  liked: {
+    label: 'Músicas curtidas', scope: 'user-library-read',
+    fetch: async (api) => (await api.getMySavedTracks(withMarket(api, { limit: 50 }))).body.items.map(i => i.track)
+  }
+};
+
 app.get('/auth', (req, res) => {
-  const scopes = ['user-read-private', 'user-read-email', 'playlist-modify-public', 'playlist-modify-private', 'user-top-read'];
+  const scopes = Array.from(new Set([
+    'user-read-private', 'user-read-email', 'playlist-modify-public', 'playlist-modify-private', 'ugc-image-upload',
+    ...Object.values(LISTENING_SOURCES).map(s => s.scope)
+  ]));
   res.redirect(authApi.createAuthorizeURL(scopes));
 });
 
@@ -123,7 +212,7 @@ app.post('/search', async (req, res) => {
   try {
     const api = createApiInstance(req);
     const { query } = req.body;
-    const searchData = await spotifyLimiter.execute(() => api.searchTracks(query, { limit: 1 }));
+    const searchData = await spotifyLimiter.execute(() => api.searchTracks(query, withMarket(api, { limit: 1 })));
     const track = searchData.body.tracks.items[0];
     if (!track) return res.status(404).json({ error: 'No track found' });
     res.json({ id: track.id, name: track.name, artist: track.artists[0].name, albumImages: track.album.images, previewUrl: track.preview_url });
@@ -137,7 +226,9 @@ app.post('/search-suggestions', async (req, res) => {
   try {
     const api = createApiInstance(req);
     const { query } = req.body;
-    const searchData = await spotifyLimiter.execute(() => api.searchTracks(query, { limit: 8 }));
+    const reference = parseSpotifyReference(query);
+    if (reference) return res.json({ tracks: [], reference });
+    const searchData = await spotifyLimiter.execute(() => api.searchTracks(query, withMarket(api, { limit: 8 })));
     const tracks = searchData.body.tracks.items.map(track => ({
       id: track.id, name: track.name, artist: track.artists.map(a => a.name).join(', '),
       albumImages: track.album.images, previewUrl: track.preview_url
@@ -149,6 +240,287 @@ app.post('/search-suggestions', async (req, res) => {
   }
 });
 
+// ===== Seeds a partir de URL/URI do Spotify (playlist, álbum, artista) =====
+const SEED_SAMPLE_SIZE = 20;    // máximo de faixas sugeridas por URL
+const MAX_PLAYLIST_PAGES = 5;   // páginas de 100 faixas lidas em playlists grandes
+
+// Aceita https://open.spotify.com/[intl-xx/]{tipo}/{id} e spotify:{tipo}:{id}
+const parseSpotifyReference = (input) => {
+  const text = String(input || '').trim();
+  const url = text.match(/open\.spotify\.com\/(?:intl-[a-z-]+\/)?(playlist|album|artist|track)\/([A-Za-z0-9]{22})/);
+  if (url) return { type: url[1], id: url[2] };
+  const uri = text.match(/^spotify:(playlist|album|artist|track):([A-Za-z0-9]{22})$/);
+  if (uri) return { type: uri[1], id: uri[2] };
+  return null;
+};
+
+const toSeedSuggestion = (track, album = null) => ({
+  id: track.id,
+  name: track.name,
+  artist: (track.artists || []).map(a => a.name).join(', '),
+  albumImages: (album || track.album)?.images || [],
+  previewUrl: track.preview_url,
+  isrc: track.external_ids?.isrc || null
+});
+
+// Amostra uniformemente espaçada (mantém início, meio e fim de listas grandes)
+const sampleEvenly = (items, n) => {
+  if (items.length <= n) return items;
+  return Array.from({ length: n }, (_, i) => items[Math.floor(i * items.length / n)]);
+};
+
+const expandSpotifyReference = async (api, ref) => {
+  if (ref.type === 'track') {
+    const data = await spotifyLimiter.execute(() => api.getTrack(ref.id, withMarket(api)));
+    return { source: { type: 'track', id: ref.id, name: data.body.name, total: 1 }, tracks: [toSeedSuggestion(data.body)], sampled: false };
+  }
+  if (ref.type === 'album') {
+    const data = await spotifyLimiter.execute(() => api.getAlbum(ref.id, withMarket(api)));
+    const album = data.body;
+    const items = (album.tracks?.items || []).filter(t => t && t.id);
+    const tracks = sampleEvenly(items, SEED_SAMPLE_SIZE).map(t => toSeedSuggestion(t, album));
+    return { source: { type: 'album', id: ref.id, name: album.name, artist: (album.artists || []).map(a => a.name).join(', '), total: album.tracks?.total || items.length }, tracks, sampled: items.length > SEED_SAMPLE_SIZE };
+  }
+  if (ref.type === 'artist') {
+    const [artistData, topData] = await Promise.all([
+      spotifyLimiter.execute(() => api.getArtist(ref.id)),
+      spotifyLimiter.execute(() => api.getArtistTopTracks(ref.id, marketOf(api)))
+    ]);
+    const tracks = (topData.body.tracks || []).filter(t => t && t.id).map(t => toSeedSuggestion(t));
+    return { source: { type: 'artist', id: ref.id, name: artistData.body.name, total: tracks.length }, tracks, sampled: false };
+  }
+  // Playlist: em listas grandes lemos até MAX_PLAYLIST_PAGES páginas espalhadas ao longo da playlist
+  const meta = await spotifyLimiter.execute(() => api.getPlaylist(ref.id, { fields: 'name,owner(display_name),tracks(total)' }));
+  const total = meta.body.tracks?.total || 0;
+  const pageCount = Math.min(MAX_PLAYLIST_PAGES, Math.ceil(total / 100));
+  const offsets = Array.from({ length: pageCount }, (_, i) => Math.floor(i * total / pageCount / 100) * 100);
+  const pages = await Promise.all(Array.from(new Set(offsets)).map(offset =>
+    spotifyLimiter.execute(() => api.getPlaylistTracks(ref.id, withMarket(api, { offset, limit: 100 })))
+  ));
+  const items = pages
+    .flatMap(p => p.body.items || [])
+    .map(item => item.track)
+    .filter(t => t && t.id && !t.is_local && t.type !== 'episode');
+  const unique = Array.from(new Map(items.map(t => [t.id, t])).values());
+  return {
+    source: { type: 'playlist', id: ref.id, name: meta.body.name, owner: meta.body.owner?.display_name || null, total },
+    tracks: sampleEvenly(unique, SEED_SAMPLE_SIZE).map(t => toSeedSuggestion(t)),
+    sampled: total > SEED_SAMPLE_SIZE
+  };
+};
+
+// Expande uma URL/URI de playlist, álbum ou artista em seeds candidatas para o usuário escolher
+app.post('/expand-seeds', async (req, res) => {
+  try {
+    const ref = parseSpotifyReference(req.body?.url);
+    if (!ref) throw new ApiError('URL ou URI do Spotify inválida.', 400);
+    const api = createApiInstance(req);
+    res.json(await expandSpotifyReference(api, ref));
+  } catch (err) {
+    console.error('Erro em /expand-seeds:', err.body || err.message);
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+// ===== Importar listas de faixas (M3U, CSV ou "Artista - Título") =====
+const MAX_IMPORT_LINES = 200;
+const MIN_IMPORT_CONFIDENCE = 70; // abaixo disso a linha volta como não encontrada, com sugestões
+// Confiança 0..100 de que `track` é a faixa descrita pela entrada importada
+const scoreImportMatch = (entry, track) => {
+  const candidate = TrackIdentity.fromSpotify(track);
+  const raw = entry.raw.replace(/^#EXTINF:[^,]*,/i, '');
+  const byFields = TrackIdentity.matchScore({ ...entry, raw }, candidate);
+  // A divisão em artista/título pode estar errada ("Stand By Me" vira "Stand" por "Me"): compara a linha inteira com o título
+  const byLine = TrackIdentity.matchScore({ title: raw, raw }, candidate);
+  return Math.max(byFields, byLine);
+};
+
+const toImportedTrack = (track) => ({
+  ...toSeedSuggestion(track),
+  uri: track.uri,
+  album: track.album?.name || null,
+  durationMs: track.duration_ms || null
+});
+
+// Busca candidatos para uma entrada sem ID: primeiro por campos, depois pela linha inteira
+const resolveImportEntry = async (api, entry) => {
+  const queries = [];
+  if (entry.title && entry.artist) queries.push(`track:"${entry.title}" artist:"${entry.artist}"`);
+  queries.push([entry.artist, entry.title].filter(Boolean).join(' '));
+  const raw = entry.raw.replace(/^#EXTINF:[^,]*,/i, '').replace(/\.[a-z0-9]{2,4}$/i, '');
+  if (!queries.includes(raw)) queries.push(raw);
+
+  const seen = new Map();
+  for (const query of queries) {
+    const data = await spotifyLimiter.execute(() => api.searchTracks(query, withMarket(api, { limit: 5 })));
+    (data.body.tracks?.items || []).forEach(t => {
+      if (t && !seen.has(t.id)) seen.set(t.id, { track: t, confidence: scoreImportMatch(entry, t) });
+    });
+    const best = Math.max(0, ...[...seen.values()].map(c => c.confidence));
+    if (best >= MIN_IMPORT_CONFIDENCE) break;
+  }
+  return [...seen.values()].sort((a, b) => b.confidence - a.confidence);
+};
+
+// Resolve as entradas: IDs do Spotify em lote, o resto pela busca com pontuação
+const resolveImportEntries = async (api, entries) => {
+  const matched = [];
+  const unmatched = [];
+  const withId = entries.filter(e => e.spotifyId);
+  const byId = new Map();
+  for (const ids of chunkArray([...new Set(withId.map(e => e.spotifyId))], 50)) {
+    const data = await spotifyLimiter.execute(() => api.getTracks(ids, withMarket(api)));
+    (data.body.tracks || []).forEach(t => { if (t) byId.set(t.id, t); });
+  }
+  for (const entry of entries) {
+    const base = { line: entry.line, raw: entry.raw };
+    if (entry.spotifyId && byId.has(entry.spotifyId)) {
+      matched.push({ ...base, confidence: 100, track: toImportedTrack(byId.get(entry.spotifyId)), alternatives: [] });
+      continue;
+    }
+    if (!entry.title) {
+      unmatched.push({ ...base, query: { artist: null, title: null }, reason: 'id-not-found', candidates: [] });
+      continue;
+    }
+    let ranked = [];
+    try {
+      ranked = await resolveImportEntry(api, entry);
+    } catch (e) {
+      if (e.name === 'AbortError') throw e;
+      console.warn(`Falha ao buscar linha ${entry.line}:`, e.message);
+    }
+    const options = ranked.slice(0, 4).map(c => ({ confidence: c.confidence, track: toImportedTrack(c.track) }));
+    if (options.length && options[0].confidence >= MIN_IMPORT_CONFIDENCE) {
+      matched.push({ ...base, confidence: options[0].confidence, track: options[0].track, alternatives: options.slice(1) });
+    } else {
+      unmatched.push({ ...base, query: { artist: entry.artist, title: entry.title }, reason: options.length ? 'low-confidence' : 'not-found', candidates: options });
+    }
+  }
+  return { matched, unmatched };
+};
+
+// Recebe o texto do arquivo/colagem (`text`, `format` opcional: auto | m3u | csv | lines)
+// e devolve as linhas encontradas com confiança e as não encontradas com sugestões para correção manual
+app.post('/import-tracks', async (req, res) => {
+  try {
+    const { text, format = 'auto' } = req.body || {};
+    if (typeof text !== 'string' || !text.trim()) throw new ApiError('Lista vazia.', 400);
+    if (!['auto', 'm3u', 'csv', 'lines'].includes(format)) throw new ApiError(`Formato inválido: ${format}.`, 400);
+    const api = createApiInstance(req);
+    const parsed = TrackListParser.parse(text, format);
+    if (parsed.entries.length === 0) throw new ApiError('Nenhuma faixa reconhecida na lista.', 422);
+    const entries = parsed.entries.slice(0, MAX_IMPORT_LINES);
+    const { matched, unmatched } = await resolveImportEntries(api, entries);
+    res.json({
+      format: parsed.format,
+      total: parsed.entries.length,
+      truncated: parsed.entries.length > entries.length,
+      matched,
+      unmatched
+    });
+  } catch (err) {
+    console.error('Erro em /import-tracks:', err.body || err.message);
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+// ===== Seeds a partir da escuta do usuário =====
+const MAX_LISTENING_POOL = 200;
+
+// Vetor por faixa para clustering: ano, popularidade, audio features (quando a maioria tiver) e gêneros mais comuns
+const buildTrackVectors = async (api, tracks) => {
+  const featMap = await fetchAudioFeaturesMap(api, tracks);
+  const withFeatures = tracks.filter(t => featMap.get(t.id)).length;
+  const useFeatures = withFeatures >= tracks.length * 0.7;
+  const genresMap = await getArtistsGenres(tracks.flatMap(t => (t.artists || []).map(a => a.id)), api);
+  const genresOf = (t) => new Set((t.artists || []).flatMap(a => genresMap[a.id] || []));
+  const genreCounts = {};
+  tracks.forEach(t => genresOf(t).forEach(g => { genreCounts[g] = (genreCounts[g] || 0) + 1; }));
+  const vocabulary = Object.entries(genreCounts).sort((a, b) => b[1] - a[1]).slice(0, 10).map(([g]) => g);
+  return tracks.map(t => {
+    const year = releaseYearOf(t);
+    const vector = [
+      year ? clamp((year - 1960) / 70) : 0.7,
+      (t.popularity ?? 50) / 100
+    ];
+    if (useFeatures) {
+      const f = featMap.get(t.id) || {};
+      vector.push(f.energy ?? 0.5, f.valence ?? 0.5, f.danceability ?? 0.5, f.acousticness ?? 0.5, clamp((f.tempo ?? 120) / 200));
+    }
+    const genres = genresOf(t);
+    vocabulary.forEach(g => vector.push(genres.has(g) ? 0.7 : 0));
+    return vector;
+  });
+};
+
+// Escolhe `count` seeds diversas: um representante por cluster (o mais próximo do centróide,
+// favorecendo faixas que aparecem em várias fontes e evitando repetir artista)
+const pickDiverseSeeds = async (api, pool, count) => {
+  if (pool.length <= count) return pool.map((t, i) => ({ ...t, _cluster: i }));
+  const vectors = await buildTrackVectors(api, pool);
+  const { centroids, assignments } = new KMeans({ k: count }).fit(vectors);
+  const usedArtists = new Set();
+  const picks = [];
+  centroids.forEach((centroid, j) => {
+    const members = pool
+      .map((t, i) => ({ t, score: KMeans.distance(vectors[i], centroid) - 0.1 * (t._origins.length - 1) }))
+      .filter((_, i) => assignments[i] === j)
+      .sort((a, b) => a.score - b.score);
+    const choice = members.find(m => !usedArtists.has(m.t.artists?.[0]?.id)) || members[0];
+    if (!choice) return;
+    usedArtists.add(choice.t.artists?.[0]?.id);
+    picks.push({ ...choice.t, _cluster: j, _clusterSize: members.length });
+  });
+  return picks;
+};
+
+// Seeds diversas a partir de top tracks, recentes e curtidas (?sources=top-short,recent&count=8)
+app.get('/my-listening-seeds', async (req, res) => {
+  try {
+    const requested = String(req.query.sources || Object.keys(LISTENING_SOURCES).join(','))
+      .split(',').map(s => s.trim()).filter(Boolean);
+    const unknown = requested.filter(name => !LISTENING_SOURCES[name]);
+    if (unknown.length) {
+      throw new ApiError(`Fonte desconhecida: ${unknown.join(', ')}. Use ${Object.keys(LISTENING_SOURCES).join(', ')}.`, 400);
+    }
+    const count = clamp(parseInt(req.query.count, 10) || 8, 1, 20);
+    const api = createApiInstance(req);
+
+    const byId = new Map();
+    const sources = [];
+    for (const name of requested) {
+      const { label, scope, fetch: fetchTracks } = LISTENING_SOURCES[name];
+      try {
+        const tracks = (await spotifyLimiter.execute(() => fetchTracks(api))).filter(t => t && t.id && !t.is_local);
+        tracks.forEach(t => {
+          const entry = byId.get(t.id) || { ...t, _origins: [] };
+          if (!entry._origins.includes(name)) entry._origins.push(name);
+          byId.set(t.id, entry);
+        });
+        sources.push({ name, label, scope, count: tracks.length });
+      } catch (e) {
+        // 401/403 aqui quase sempre é scope faltando (token emitido antes do scope ser pedido)
+        const missingScope = e.statusCode === 401 || e.statusCode === 403;
+        console.warn(`Falha ao ler ${name}:`, e.message);
+        sources.push({ name, label, scope, count: 0, error: missingScope ? 'missing-scope' : e.message });
+      }
+    }
+    const pool = Array.from(byId.values()).slice(0, MAX_LISTENING_POOL);
+    if (pool.length === 0) {
+      return res.json({ sources, tracks: [], poolSize: 0 });
+    }
+    const picks = await pickDiverseSeeds(api, pool, count);
+    res.json({
+      sources,
+      poolSize: pool.length,
+      tracks: picks.map(t => ({ ...toSeedSuggestion(t), origins: t._origins, cluster: t._cluster, clusterSize: t._clusterSize ?? 1 }))
+    });
+  } catch (err) {
+    console.error('Erro em /my-listening-seeds:', err.body || err.message);
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
 const analyzeMusicalSentiment = (trackFeatures, culturalContext = null) => {
   const sentiment = {
     emotional: trackFeatures.valence < 0.3 ? 'melancholic' :
@@ -274,197 +646,440 @@ const calculateEraSimilarity = (track1, track2) => {
   return Math.max(0, 100 - (distance * 25));
 };
 
+// No modo 'playlist' as tags de cada seed contam pelo peso dela (`_weight`, padrão 1).
+// `tagWeights` é o vetor de tags (pesos relativos do Last.fm, sem IDF) usado por scoreVibeByMetadata;
+// `mood`/`subMood` são só um resumo legível, derivado das tags pelo moodLexicon (`moodTags` = tags que o sustentaram).
 const inferVibe = async (input, lastfmApiKey, type = 'track', extra = {}) => {
-  const allTags = [];
+  let tagWeights = {};
+  let tagOccurrences = 0;
   let topSeedGenres = extra.topSeedGenres || [], topSeedDecades = extra.topSeedDecades || [];
   if (type === 'playlist') {
-    const seedTracks = Array.isArray(input) ? input : [];
-    const tagPromises = seedTracks.slice(0, 3).map(track => getLastfmTags(track, lastfmApiKey));
-    const tagsArrays = await Promise.all(tagPromises);
-    tagsArrays.forEach(tags => allTags.push(...tags));
+    const seedTracks = (Array.isArray(input) ? input : []).slice(0, MAX_VIBE_SEEDS);
+    const countsArrays = await Promise.all(seedTracks.map(track => getLastfmTagCounts(track, lastfmApiKey)));
+    const tagged = countsArrays
+      .map((counts, i) => ({ weights: TagVectorModel.termWeights(counts), weight: seedWeightOf(seedTracks[i]) }))
+      .filter(e => Object.keys(e.weights).length > 0);
+    tagWeights = TagVectorModel.merge(tagged);
+    tagOccurrences = tagged.reduce((s, e) => s + Object.keys(e.weights).length * e.weight, 0);
   } else {
-    allTags.push(...await getLastfmTags(input, lastfmApiKey));
+    tagWeights = TagVectorModel.termWeights(await getLastfmTagCounts(input, lastfmApiKey));
+    tagOccurrences = Object.keys(tagWeights).length;
   }
-  const tagCounts = {};
-  allTags.forEach(tag => tagCounts[tag] = (tagCounts[tag] || 0) + 1);
-  const topTags = Object.entries(tagCounts)
+  const topTags = Object.entries(tagWeights)
     .sort((a, b) => b[1] - a[1])
     .slice(0, 5)
     .map(([tag]) => tag);
   console.log('Top tags do Last.fm:', topTags);
-  let mood = 'neutral', subMood = null;
-  if (topTags.some(t => ['sad', 'melancholy', 'depressing', 'emotional'].includes(t))) {
-    mood = 'melancholic';
-    subMood = topTags.includes('dark') ? 'dark' : 'intimate';
-  } else if (topTags.some(t => ['party', 'dance', 'club', 'energetic'].includes(t))) {
-    mood = 'party';
-    subMood = topTags.includes('electronic') ? 'energetic' : 'groovy';
-  } else if (topTags.some(t => ['chill', 'relaxing', 'mellow', 'ambient'].includes(t))) {
-    mood = 'chill';
-  }
+  const { mood, subMood, tags: moodTags } = moodLexicon.classify(tagWeights);
   const era = topSeedDecades[0] || '2000s';
-  const profile = {
-    isAcoustic: topTags.includes('acoustic'),
-    isFast: topTags.includes('fast') || topTags.includes('energetic'),
-    isLoud: topTags.includes('heavy') || topTags.includes('loud'),
-    isVocal: !topTags.includes('instrumental'),
-    isInstrumental: topTags.includes('instrumental')
-  };
-  const confidence = Math.min(90, Math.max(20, Object.values(tagCounts).reduce((s, v) => s + v, 0) * 15));
+  const profile = moodLexicon.profileFlags(tagWeights);
+  const confidence = Math.min(90, Math.max(20, tagOccurrences * 15));
   return {
-    mood, subMood, era, genres: topSeedGenres.slice(0, 3), tags: topTags,
+    mood, subMood, moodTags, era, genres: topSeedGenres.slice(0, 3), tags: topTags, tagWeights,
     description: `${mood}${subMood ? ` (${subMood})` : ''} ${era} ${topSeedGenres.slice(0,2).join('/')} vibe`,
     profile, confidence
   };
 };
 
-// Detecta subgrupos de vibe a partir das seeds (apenas metadados/Last.fm)
-const detectVibeSubgroupsByMetadata = async (seedTracks = [], lastfmApiKey) => {
-  const groups = new Map();
-  const allSeedArtists = new Set();
-  for (const s of seedTracks) {
-    const a = (s.artists || []).map(x => x.name);
-    a.forEach(n => allSeedArtists.add(n));
+// ===== Subgrupos de vibe (clustering das seeds) =====
+const SUBGROUP_MAX_K = 4;
+const SUBGROUP_MIN_SILHOUETTE = 0.25; // abaixo disso as seeds ficam num subgrupo só
+const SUBGROUP_TAG_VOCABULARY = 16;
+const SUBGROUP_FEATURE_WEIGHT = 0.6;
+const SUBGROUP_ERA_WEIGHT = 1.0;
+const SUBGROUP_FEATURE_KEYS = ['energy', 'valence', 'danceability', 'acousticness', 'tempo'];
+
+// Espaço vetorial dos subgrupos: bloco de tags (tf×idf nas tags mais compartilhadas pelas seeds,
+// normalizado), audio features (quando a maioria das seeds tem) e ano. Blocos ausentes ficam null.
+const buildSubgroupSpace = (seedTagWeights, useFeatures) => {
+  const docFreq = {};
+  const prominence = {};
+  seedTagWeights.forEach(weights => {
+    Object.entries(tagModel.vectorize(weights)).forEach(([tag, v]) => {
+      docFreq[tag] = (docFreq[tag] || 0) + 1;
+      prominence[tag] = (prominence[tag] || 0) + v;
+    });
+  });
+  const ranked = Object.keys(prominence).sort((a, b) => prominence[b] - prominence[a]);
+  const shared = ranked.filter(tag => docFreq[tag] >= 2);
+  return {
+    vocabulary: (shared.length >= 2 ? shared : ranked).slice(0, SUBGROUP_TAG_VOCABULARY),
+    useFeatures
+  };
+};
+
+const embedForSubgroups = (space, { tagWeights, features, year }) => {
+  let tags = null;
+  if (tagWeights && Object.keys(tagWeights).length > 0 && space.vocabulary.length > 0) {
+    const vector = tagModel.vectorize(tagWeights);
+    tags = space.vocabulary.map(tag => vector[tag] || 0);
+    const norm = Math.sqrt(tags.reduce((s, v) => s + v * v, 0));
+    if (norm > 0) tags = tags.map(v => v / norm);
   }
-  for (const seed of seedTracks) {
-    let mood = 'neutral', subMood = null, tags = [];
-    try {
-      const v = await inferVibe(seed, lastfmApiKey, 'track');
-      mood = v.mood || 'neutral';
-      subMood = v.subMood || null;
-      tags = Array.isArray(v.tags) ? v.tags : [];
-    } catch (_) {}
-
-    const releaseYear = (() => {
-      const d = seed.album?.release_date || seed.album?.releaseDate;
-      if (!d) return null;
-      const y = parseInt(String(d).substring(0,4));
-      return Number.isNaN(y) ? null : y;
-    })();
+  const feats = space.useFeatures && features
+    ? SUBGROUP_FEATURE_KEYS.map(k => (k === 'tempo' ? clamp((features.tempo ?? 120) / 200) : (features[k] ?? 0.5)) * SUBGROUP_FEATURE_WEIGHT)
+    : null;
+  const era = year ? [clamp((year - 1960) / 70) * SUBGROUP_ERA_WEIGHT] : null;
+  return { tags, features: feats, era };
+};
 
-    const id = `${mood}${subMood ? ':'+subMood : ''}`;
-    if (!groups.has(id)) {
-      groups.set(id, {
-        id,
-        label: `${mood}${subMood ? ` (${subMood})` : ''}`,
-        mood,
-        subMood,
-        seedIds: [],
-        seedArtists: new Set(),
-        tags: new Set(),
-        minYear: releaseYear || null,
-        maxYear: releaseYear || null,
-        count: 0,
-      });
+// Distância por blocos, ignorando os que faltam na faixa (ex.: candidata sem tags no Last.fm)
+const subgroupDistance = (embedding, centroid) => {
+  let d = 0;
+  ['tags', 'features', 'era'].forEach(block => {
+    if (embedding[block] && centroid[block]) {
+      d += embedding[block].reduce((s, v, i) => s + (v - centroid[block][i]) ** 2, 0);
     }
-    const g = groups.get(id);
-    g.count += 1;
-    g.seedIds.push(seed.id);
-    (seed.artists || []).forEach(a => a?.name && g.seedArtists.add(a.name));
-    tags.forEach(t => g.tags.add(t));
-    if (releaseYear) {
-      g.minYear = (g.minYear === null) ? releaseYear : Math.min(g.minYear, releaseYear);
-      g.maxYear = (g.maxYear === null) ? releaseYear : Math.max(g.maxYear, releaseYear);
-    }
-  }
+  });
+  return Math.sqrt(d);
+};
+
+// Agrupa as seeds por k-means (k escolhido pela silhueta) sobre tags do Last.fm, audio features e ano.
+// Cada subgrupo recebe um rótulo com as tags dominantes + década e um mood derivado do moodLexicon.
+const detectVibeSubgroups = async (seedTracks = [], { api, lastfmApiKey, featuresAvailable } = {}) => {
+  const tagCounts = await Promise.all(seedTracks.map(s => getLastfmTagCounts(s, lastfmApiKey)));
+  const seedTagWeights = tagCounts.map(counts => TagVectorModel.termWeights(counts));
+  const featMap = featuresAvailable && seedTracks.length ? await fetchAudioFeaturesMap(api, seedTracks, { estimate: true }) : new Map();
+  const withFeatures = seedTracks.filter(s => featMap.get(s.id)).length;
+  const space = buildSubgroupSpace(seedTagWeights, seedTracks.length > 0 && withFeatures >= seedTracks.length * 0.7);
+  const embeddings = seedTracks.map((s, i) => embedForSubgroups(space, {
+    tagWeights: seedTagWeights[i],
+    features: featMap.get(s.id),
+    year: releaseYearOf(s)
+  }));
+
+  // k-means precisa de vetores completos: blocos ausentes de uma seed recebem a média das outras
+  const blockMean = (block) => {
+    const present = embeddings.map(e => e[block]).filter(Boolean);
+    if (present.length === 0) return null;
+    return present[0].map((_, i) => present.reduce((sum, v) => sum + v[i], 0) / present.length);
+  };
+  const means = { tags: blockMean('tags'), features: blockMean('features'), era: blockMean('era') };
+  const blocks = ['tags', 'features', 'era'].filter(block => means[block]);
+  const vectors = embeddings.map(e => blocks.flatMap(block => e[block] || means[block]));
+  const fit = vectors.length && vectors[0].length
+    ? KMeans.fitBest(vectors, { maxK: SUBGROUP_MAX_K, minSilhouette: SUBGROUP_MIN_SILHOUETTE })
+    : { centroids: [[]], assignments: seedTracks.map(() => 0), k: 1, silhouette: 0 };
+
+  const splitCentroid = (centroid) => {
+    const out = { tags: null, features: null, era: null };
+    let offset = 0;
+    blocks.forEach(block => {
+      out[block] = centroid.slice(offset, offset + means[block].length);
+      offset += means[block].length;
+    });
+    return out;
+  };
 
-  let vibeSubgroups = Array.from(groups.values());
+  const allWeights = TagVectorModel.merge(seedTagWeights.map(weights => ({ weights })));
+  const overall = tagModel.vectorize(allWeights);
+  let vibeSubgroups = fit.centroids.map((centroid, j) => {
+    const members = seedTracks.map((s, i) => ({ s, i })).filter(({ i }) => fit.assignments[i] === j);
+    const groupWeights = TagVectorModel.merge(members.map(({ i }) => ({ weights: seedTagWeights[i] })));
+    const groupVector = tagModel.vectorize(groupWeights);
+    // Tags dominantes e que distinguem o grupo do conjunto de seeds
+    const dominantTags = Object.entries(groupVector)
+      .map(([tag, v]) => [tag, v * (v / (overall[tag] || v))])
+      .sort((a, b) => b[1] - a[1])
+      .map(([tag]) => tag);
+    const years = members.map(({ s }) => releaseYearOf(s)).filter(Boolean).sort((a, b) => a - b);
+    const era = years.length ? decadeFromReleaseDate(String(years[Math.floor(years.length / 2)])) : null;
+    const { mood, subMood } = moodLexicon.classify(groupWeights);
+    const label = [dominantTags.slice(0, 2).join(' / ') || mood, era].filter(Boolean).join(' · ');
+    return {
+      id: `cluster-${j}`,
+      label,
+      mood,
+      subMood,
+      era,
+      centroid: splitCentroid(centroid),
+      seedIds: members.map(({ s }) => s.id),
+      seedArtists: new Set(members.flatMap(({ s }) => (s.artists || []).map(a => a.name).filter(Boolean))),
+      tags: new Set(dominantTags.slice(0, 8)),
+      minYear: years[0] || null,
+      maxYear: years[years.length - 1] || null,
+      count: members.length,
+      weightSum: members.reduce((sum, { s }) => sum + seedWeightOf(s), 0)
+    };
+  }).filter(g => g.count > 0);
   if (vibeSubgroups.length === 0) {
     // Fallback quando não há dados suficientes
-    vibeSubgroups = [{ id: 'neutral', label: 'neutral', mood: 'neutral', subMood: null, seedIds: [], seedArtists: new Set(), tags: new Set(), minYear: null, maxYear: null, count: seedTracks.length || 1 }];
+    vibeSubgroups = [{ id: 'cluster-0', label: moodLexicon.fallback.id, mood: moodLexicon.fallback.id, subMood: null, era: null, centroid: { tags: null, features: null, era: null }, seedIds: [], seedArtists: new Set(), tags: new Set(), minYear: null, maxYear: null, count: seedTracks.length || 1 }];
   }
-  const total = vibeSubgroups.reduce((s,g)=> s + (g.count||0), 0) || 1;
-  vibeSubgroups.forEach(g => { g.weight = Math.max(1, g.count) / total; });
-  return vibeSubgroups;
+  // Peso do subgrupo = soma dos pesos das seeds dele (cada seed vale 1 sem `seedWeights`)
+  const groupWeight = (g) => g.weightSum ?? g.count ?? 0;
+  const total = vibeSubgroups.reduce((s,g)=> s + groupWeight(g), 0) || 1;
+  vibeSubgroups.forEach(g => { g.weight = Math.max(0.01, groupWeight(g)) / total; });
+  console.log(`Subgrupos de vibe: k=${vibeSubgroups.length} (silhueta ${fit.silhouette.toFixed(2)})`, vibeSubgroups.map(g => g.label));
+  return { vibeSubgroups, space };
 };
 
-// Atribui o melhor subgrupo de vibe para uma faixa candidata
-const getBestSubgroupMatch = async (track, vibeSubgroups = [], lastfmApiKey) => {
+// Atribui a candidata ao subgrupo de centróide mais próximo; `score` (0..100) decai com a distância
+const getBestSubgroupMatch = async (track, vibeSubgroups = [], space, { lastfmApiKey, features = null } = {}) => {
   if (!vibeSubgroups.length) return { subgroupId: null, score: 0 };
-  let tv = { mood: 'neutral', subMood: null, tags: [] };
-  try {
-    const v = await inferVibe(track, lastfmApiKey, 'track');
-    tv = { mood: v.mood || 'neutral', subMood: v.subMood || null, tags: Array.isArray(v.tags) ? v.tags : [] };
-  } catch (_) {}
-
-  const trackYear = (() => {
-    const d = track.album?.release_date || track.album?.releaseDate;
-    if (!d) return null;
-    const y = parseInt(String(d).substring(0,4));
-    return Number.isNaN(y) ? null : y;
-  })();
-  const tArtistNames = new Set((track.artists || []).map(a => a.name).filter(Boolean));
-
-  let best = { subgroupId: null, score: -Infinity };
+  if (vibeSubgroups.length === 1 || !space) return { subgroupId: vibeSubgroups[0].id, score: 100 };
+  const embedding = embedForSubgroups(space, {
+    tagWeights: TagVectorModel.termWeights(await getLastfmTagCounts(track, lastfmApiKey)),
+    features,
+    year: releaseYearOf(track)
+  });
+  let best = { subgroupId: null, distance: Infinity };
   for (const g of vibeSubgroups) {
-    let s = 0;
-    if (tv.mood === g.mood) s += 50;
-    if (tv.subMood && g.subMood && tv.subMood === g.subMood) s += 15;
-    // Tags overlap
-    const gTags = g.tags || new Set();
-    const overlap = tv.tags.filter(t => gTags.has(t)).length;
-    s += Math.min(20, overlap * 4);
-    // Era closeness
-    if (trackYear && g.minYear && g.maxYear) {
-      if (trackYear >= g.minYear && trackYear <= g.maxYear) s += 10;
-      else s += Math.max(0, 8 - Math.abs(trackYear - ((g.minYear+g.maxYear)/2)) / 5);
-    }
-    // Artist proximity to seed artists of the subgroup
-    const seedArtists = g.seedArtists || new Set();
-    for (const n of tArtistNames) { if (seedArtists.has(n)) { s += 10; break; } }
-    // Small boost by subgroup weight (prevalence among seeds)
-    s += Math.round((g.weight || 0) * 10);
-    if (s > best.score) best = { subgroupId: g.id, score: s };
-  }
-  return best;
-};
-
-// Monta a playlist final em seções (quotas por subgrupo)
-const assemblePlaylistBySections = (vibeSubgroups = [], candidates = [], targetSize = 30) => {
-  if (!vibeSubgroups.length) return candidates.slice(0, targetSize);
-  const byGroup = new Map();
-  vibeSubgroups.forEach(g => byGroup.set(g.id, []));
-  candidates.forEach(c => {
-    const id = c._subgroupId || null;
-    if (id && byGroup.has(id)) byGroup.get(id).push(c);
+    const distance = subgroupDistance(embedding, g.centroid);
+    if (distance < best.distance) best = { subgroupId: g.id, distance };
+  }
+  return { subgroupId: best.subgroupId, score: Math.round(100 * Math.exp(-best.distance)) };
+};
+
+// Normaliza `options.seedWeights` ({ trackId: peso }) para Map(trackId -> peso em 0..MAX_SEED_WEIGHT)
+const parseSeedWeights = (options = {}) => {
+  const out = new Map();
+  const raw = options?.seedWeights;
+  if (!raw || typeof raw !== 'object') return out;
+  Object.entries(raw).forEach(([id, value]) => {
+    const w = Number(value);
+    if (id && Number.isFinite(w)) out.set(id, clamp(w, 0, MAX_SEED_WEIGHT));
   });
-  vibeSubgroups.forEach(g => byGroup.get(g.id).sort((a,b) => (b.finalScore||b.similarity||0) - (a.finalScore||a.similarity||0)));
+  return out;
+};
+
+const seedWeightOf = (track) => (typeof track?._weight === 'number' ? track._weight : 1);
+
+const releaseYearOf = (track) => {
+  const d = track.album?.release_date || track.album?.releaseDate;
+  if (!d) return null;
+  const y = parseInt(String(d).substring(0, 4));
+  return Number.isNaN(y) ? null : y;
+};
+
+const DEFAULT_TRACK_DURATION_MS = 3.5 * 60 * 1000;
+
+// Normaliza as restrições de geração vindas de `options` do /analyze
+const parseGenerationConstraints = (options = {}, seedTracks = []) => {
+  const toInt = (v) => {
+    const n = parseInt(v, 10);
+    return Number.isNaN(n) ? null : n;
+  };
+  const targetCount = toInt(options?.targetCount);
+  const addCount = toInt(options?.addCount); // faixas novas além das seeds (usado ao estender playlists)
+  const durationMinutes = Number(options?.targetDurationMinutes);
+  const targetDurationMs = durationMinutes > 0 ? Math.round(durationMinutes * 60 * 1000) : null;
+  const defaultTotal = Math.min(60, 40 + seedTracks.length);
+  let total = targetCount !== null ? Math.max(seedTracks.length + 1, Math.min(100, targetCount)) : defaultTotal;
+  if (addCount !== null && addCount > 0) total = seedTracks.length + Math.min(100, addCount);
+  else if (targetCount === null && targetDurationMs) {
+    // Só a duração foi pedida: tamanho estimado pela duração média das seeds, com folga para faixas
+    // curtas — a montagem para quando a duração é atingida
+    const seedDurationMs = seedTracks.reduce((sum, t) => sum + (t.duration_ms || 0), 0);
+    const avgMs = seedDurationMs / (seedTracks.length || 1) || DEFAULT_TRACK_DURATION_MS;
+    const needed = Math.ceil(Math.max(0, targetDurationMs - seedDurationMs) / avgMs * 1.25);
+    total = Math.min(100, Math.max(seedTracks.length + 1, seedTracks.length + needed));
+  }
+  const maxPerArtist = toInt(options?.maxPerArtist);
+  const minYear = toInt(options?.minYear);
+  const maxYear = toInt(options?.maxYear);
+  if (minYear !== null && maxYear !== null && minYear > maxYear) {
+    throw new ApiError(`Intervalo de anos inválido: minYear (${minYear}) é maior que maxYear (${maxYear}).`, 400);
+  }
+  return {
+    targetSize: total - seedTracks.length,
+    targetDurationMs,
+    maxPerArtist: maxPerArtist && maxPerArtist > 0 ? maxPerArtist : null,
+    minYear,
+    maxYear,
+    excludeExplicit: Boolean(options?.excludeExplicit)
+  };
+};
 
-  const totalW = vibeSubgroups.reduce((s,g)=> s + (g.weight || 0), 0) || 1;
-  let quotas = vibeSubgroups.map(g => ({ id: g.id, n: Math.max(1, Math.round(targetSize * (g.weight || 0) / totalW)) }));
-  let allocated = quotas.reduce((s,q)=> s+q.n, 0);
-  // Ajusta quotas para somar exatamente targetSize
-  while (allocated > targetSize) { const q = quotas.sort((a,b)=> b.n - a.n)[0]; if (q.n>1){ q.n--; allocated--; } else break; }
-  while (allocated < targetSize) { const q = quotas.sort((a,b)=> (byGroup.get(b.id).length - b.n) - (byGroup.get(a.id).length - a.n))[0]; q.n++; allocated++; }
+// Restrições "duras" por faixa (ano e conteúdo explícito)
+const passesTrackConstraints = (track, constraints = {}) => {
+  if (constraints.excludeExplicit && track.explicit) return false;
+  if (constraints.minYear || constraints.maxYear) {
+    const year = releaseYearOf(track);
+    if (!year) return false;
+    if (constraints.minYear && year < constraints.minYear) return false;
+    if (constraints.maxYear && year > constraints.maxYear) return false;
+  }
+  return true;
+};
 
+// Monta a playlist final em seções (quotas por subgrupo).
+// `constraints` aplica ano/explícito/limite por artista/duração; `reservedTracks` (seeds)
+// já ocupam espaço no limite por artista e na duração total.
+const assemblePlaylistBySections = (vibeSubgroups = [], candidates = [], targetSize = 30, constraints = {}, reservedTracks = []) => {
+  const artistCounts = new Map();
+  const countArtists = (t, delta = 1) => (t.artists || []).forEach(a => {
+    const key = a.id || a.name;
+    if (key) artistCounts.set(key, (artistCounts.get(key) || 0) + delta);
+  });
+  reservedTracks.forEach(t => countArtists(t));
+  let totalDurationMs = reservedTracks.reduce((s, t) => s + (t.duration_ms || 0), 0);
+  const durationReached = () => constraints.targetDurationMs && totalDurationMs >= constraints.targetDurationMs;
+  const canPick = (t) => {
+    if (!passesTrackConstraints(t, constraints)) return false;
+    if (constraints.maxPerArtist) {
+      return (t.artists || []).every(a => (artistCounts.get(a.id || a.name) || 0) < constraints.maxPerArtist);
+    }
+    return true;
+  };
   const picked = new Set();
   const result = [];
-  // Constrói por seções (ordem: grupos mais pesados primeiro)
-  const ordered = [...vibeSubgroups].sort((a,b)=> (b.weight||0)-(a.weight||0));
-  for (const g of ordered) {
-    const q = quotas.find(x => x.id === g.id)?.n || 0;
-    const pool = byGroup.get(g.id) || [];
-    for (const t of pool) {
-      if (result.length >= targetSize) break;
-      if (picked.has(t.uri)) continue;
-      result.push(t);
-      picked.add(t.uri);
-      if (result.filter(x => x._subgroupId === g.id).length >= q) break;
-    }
-  }
-  // Preenche sobras com melhores candidatos globais ainda não usados
-  if (result.length < targetSize) {
+  const pick = (t) => {
+    result.push(t);
+    picked.add(t.uri);
+    countArtists(t);
+    totalDurationMs += t.duration_ms || 0;
+  };
+  const isDone = () => result.length >= targetSize || durationReached();
+  const byScore = (a,b) => (b.finalScore||b.similarity||0) - (a.finalScore||a.similarity||0);
+
+  if (vibeSubgroups.length) {
+    const byGroup = new Map();
+    vibeSubgroups.forEach(g => byGroup.set(g.id, []));
+    candidates.forEach(c => {
+      const id = c._subgroupId || null;
+      if (id && byGroup.has(id)) byGroup.get(id).push(c);
+    });
+    vibeSubgroups.forEach(g => byGroup.get(g.id).sort(byScore));
+
+    const totalW = vibeSubgroups.reduce((s,g)=> s + (g.weight || 0), 0) || 1;
+    let quotas = vibeSubgroups.map(g => ({ id: g.id, n: Math.max(1, Math.round(targetSize * (g.weight || 0) / totalW)) }));
+    let allocated = quotas.reduce((s,q)=> s+q.n, 0);
+    // Ajusta quotas para somar exatamente targetSize
+    while (allocated > targetSize) { const q = quotas.sort((a,b)=> b.n - a.n)[0]; if (q.n>1){ q.n--; allocated--; } else break; }
+    while (allocated < targetSize) { const q = quotas.sort((a,b)=> (byGroup.get(b.id).length - b.n) - (byGroup.get(a.id).length - a.n))[0]; q.n++; allocated++; }
+
+    // Constrói por seções (ordem: grupos mais pesados primeiro)
+    const ordered = [...vibeSubgroups].sort((a,b)=> (b.weight||0)-(a.weight||0));
+    for (const g of ordered) {
+      const q = quotas.find(x => x.id === g.id)?.n || 0;
+      const pool = byGroup.get(g.id) || [];
+      let taken = 0;
+      for (const t of pool) {
+        if (isDone() || taken >= q) break;
+        if (picked.has(t.uri) || !canPick(t)) continue;
+        pick(t);
+        taken++;
+      }
+    }
+  }
+  // Backfill: quotas não atingidas são preenchidas com os melhores candidatos globais ainda não usados
+  if (!isDone()) {
     const remaining = candidates
       .filter(t => !picked.has(t.uri))
-      .sort((a,b)=> (b.finalScore||b.similarity||0) - (a.finalScore||a.similarity||0));
+      .sort(byScore);
     for (const t of remaining) {
-      if (result.length >= targetSize) break;
-      result.push(t);
+      if (isDone()) break;
+      if (canPick(t)) pick(t);
     }
   }
   return result.slice(0, targetSize);
 };
 
+// ===== Sequenciamento por arco de energia =====
+const ENERGY_ARCS = ['none', 'flat', 'warmup', 'rising'];
+
+// Curva alvo de energia (0..1) na posição p (0..1) da playlist
+const arcTarget = (arc, p, lo, hi) => {
+  if (arc === 'rising') return lo + (hi - lo) * p;
+  if (arc === 'warmup') {
+    // aquece até o pico em ~65% da playlist e desacelera no final
+    const peak = 0.65;
+    const x = p <= peak ? p / peak : (1 - p) / (1 - peak);
+    return lo + (hi - lo) * Math.sin((Math.PI / 2) * x);
+  }
+  return (lo + hi) / 2;
+};
+
+const HIGH_ENERGY_TAGS = ['energetic', 'party', 'dance', 'club', 'fast', 'heavy', 'loud', 'metal', 'punk', 'hardcore', 'edm', 'techno', 'drum and bass', 'upbeat', 'hard rock', 'workout'];
+const LOW_ENERGY_TAGS = ['chill', 'relaxing', 'mellow', 'ambient', 'calm', 'slow', 'sad', 'acoustic', 'ballad', 'sleep', 'lo-fi', 'soft', 'downtempo', 'melancholy', 'piano'];
+
+// Estimativa grosseira de energia a partir das tags do Last.fm (null quando não há sinal)
+const estimateEnergyFromTags = (tags = []) => {
+  let high = 0, low = 0;
+  tags.forEach(t => {
+    if (HIGH_ENERGY_TAGS.some(k => t.includes(k))) high++;
+    if (LOW_ENERGY_TAGS.some(k => t.includes(k))) low++;
+  });
+  if (high === 0 && low === 0) return null;
+  return clamp(0.5 + 0.15 * (high - low), 0.1, 0.9);
+};
+
+// Energia por faixa: audio features do Spotify quando houver, senão dicas das tags do Last.fm.
+// Devolve Map(uri -> { energy, tempo, source })
+const resolveTrackEnergies = async (tracks, api, featuresAvailable, lastfmApiKey) => {
+  const out = new Map();
+  if (featuresAvailable) {
+    // Seeds e pool já foram estimados no runAnalysis; aqui quase tudo vem do cache
+    const featMap = await fetchAudioFeaturesMap(api, tracks, { estimate: true });
+    tracks.forEach(t => {
+      const f = featMap.get(t.id);
+      if (f && typeof f.energy === 'number') out.set(t.uri, { energy: f.energy, tempo: f.tempo || null, source: 'features' });
+    });
+  }
+  const missing = tracks.filter(t => !out.has(t.uri));
+  await Promise.all(missing.map(async (t) => {
+    const energy = lastfmApiKey ? estimateEnergyFromTags(await getLastfmTags(t, lastfmApiKey)) : null;
+    out.set(t.uri, energy === null
+      ? { energy: 0.5, tempo: null, source: 'unknown' }
+      : { energy, tempo: null, source: 'lastfm' });
+  }));
+  return out;
+};
+
+// Ordena as faixas ao longo do arco escolhido. Nos arcos com forma (warmup/rising) as faixas
+// são casadas por ranking com os pontos da curva; no "flat" escolhemos gulosamente a próxima
+// faixa que mantém a energia em torno da média com transições suaves. `none` mantém a ordem atual.
+const sequenceByEnergyArc = (tracks = [], energies = new Map(), arc = 'none') => {
+  if (arc === 'none' || tracks.length < 3) return [...tracks];
+  const energyOf = (t) => energies.get(t.uri)?.energy ?? 0.5;
+  const tempoOf = (t) => energies.get(t.uri)?.tempo ?? null;
+  if (arc === 'flat') {
+    const values = tracks.map(energyOf);
+    const mean = values.reduce((s, v) => s + v, 0) / values.length;
+    const pool = [...tracks];
+    pool.sort((a, b) => Math.abs(energyOf(a) - mean) - Math.abs(energyOf(b) - mean));
+    const ordered = [pool.shift()];
+    while (pool.length) {
+      const last = ordered[ordered.length - 1];
+      let bestIdx = 0, bestCost = Infinity;
+      pool.forEach((t, i) => {
+        const tempoA = tempoOf(last), tempoB = tempoOf(t);
+        const tempoCost = tempoA && tempoB ? Math.abs(tempoA - tempoB) / 120 : 0;
+        // mantém a média móvel (janela de 3) perto da média, sem saltos bruscos
+        const window = ordered.slice(-2).map(energyOf);
+        const drift = Math.abs((window.reduce((s, v) => s + v, 0) + energyOf(t)) / (window.length + 1) - mean);
+        const cost = drift + 0.5 * Math.abs(energyOf(t) - energyOf(last)) + tempoCost;
+        if (cost < bestCost) { bestCost = cost; bestIdx = i; }
+      });
+      ordered.push(pool.splice(bestIdx, 1)[0]);
+    }
+    return ordered;
+  }
+  const sortedEnergies = tracks.map(energyOf).sort((a, b) => a - b);
+  const lo = sortedEnergies[0];
+  const hi = sortedEnergies[sortedEnergies.length - 1];
+  const slots = tracks.map((_, i) => ({ i, target: arcTarget(arc, i / (tracks.length - 1), lo, hi) }));
+  const byTarget = [...slots].sort((a, b) => a.target - b.target || a.i - b.i);
+  const byEnergy = [...tracks].sort((a, b) => energyOf(a) - energyOf(b));
+  const ordered = new Array(tracks.length);
+  byTarget.forEach((slot, k) => { ordered[slot.i] = byEnergy[k]; });
+  return ordered;
+};
+
+// Eras culturais (faixa de anos + vocabulário). Usadas por detectCulturalEra e pela interpretação de prompts;
+// `aliases` são as formas como a década aparece num texto livre.
+const ERA_DEFINITIONS = [
+  { era: '2020s', from: 2020, to: 9999, keywords: ['hyperpop', 'bedroom pop', 'alt', 'tiktok era'], aliases: ['2020s', '20s'] },
+  { era: 'late-2010s', from: 2015, to: 2019, keywords: ['streaming era', 'soundcloud', 'trap', 'indie'], aliases: ['2010s', '10s'] },
+  { era: 'early-2010s', from: 2010, to: 2014, keywords: ['edm boom', 'dubstep', 'indie folk', 'tumblr era'], aliases: ['2010s', '10s'] },
+  { era: 'mid-2000s', from: 2004, to: 2009, keywords: ['pop-rap crossover', 'urban radio', 'ringtone era', 'crunk', 'timbaland'], aliases: ['2000s', '00s'] },
+  { era: 'late-90s-early-2000s', from: 1998, to: 2003, keywords: ['teen pop', 'nu metal', 'post-grunge', 'trl era'], aliases: ['2000s', '00s'] },
+  { era: '90s', from: 1990, to: 1997, keywords: ['grunge', 'hip hop golden age', 'britpop', 'r&b'], aliases: ['1990s', '90s'] },
+  { era: '80s', from: 1980, to: 1989, keywords: ['synth pop', 'new wave', 'mtv era', 'hair metal'], aliases: ['1980s', '80s'] },
+  { era: 'classic', from: 0, to: 1979, keywords: ['classic rock', 'disco', 'funk', 'soul'], aliases: ['1970s', '70s', '1960s', '60s', 'oldies'] }
+];
+
 const detectCulturalEra = (seedTracks, topSeedGenres, topSeedDecades) => {
   const years = seedTracks
     .map(t => {
@@ -487,24 +1102,9 @@ const detectCulturalEra = (seedTracks, topSeedGenres, topSeedDecades) => {
   }
   const avgYear = Math.round(years.reduce((sum, y) => sum + y, 0) / years.length);
   const yearSpread = Math.max(...years) - Math.min(...years);
-  let culturalEra = null, eraKeywords = [];
-  if (avgYear >= 2020) {
-    culturalEra = '2020s'; eraKeywords = ['hyperpop', 'bedroom pop', 'alt', 'tiktok era'];
-  } else if (avgYear >= 2015 && avgYear < 2020) {
-    culturalEra = 'late-2010s'; eraKeywords = ['streaming era', 'soundcloud', 'trap', 'indie'];
-  } else if (avgYear >= 2010 && avgYear < 2015) {
-    culturalEra = 'early-2010s'; eraKeywords = ['edm boom', 'dubstep', 'indie folk', 'tumblr era'];
-  } else if (avgYear >= 2004 && avgYear < 2010) {
-    culturalEra = 'mid-2000s'; eraKeywords = ['pop-rap crossover', 'urban radio', 'ringtone era', 'crunk', 'timbaland'];
-  } else if (avgYear >= 1998 && avgYear < 2004) {
-    culturalEra = 'late-90s-early-2000s'; eraKeywords = ['teen pop', 'nu metal', 'post-grunge', 'trl era'];
-  } else if (avgYear >= 1990 && avgYear < 1998) {
-    culturalEra = '90s'; eraKeywords = ['grunge', 'hip hop golden age', 'britpop', 'r&b'];
-  } else if (avgYear >= 1980 && avgYear < 1990) {
-    culturalEra = '80s'; eraKeywords = ['synth pop', 'new wave', 'mtv era', 'hair metal'];
-  } else {
-    culturalEra = 'classic'; eraKeywords = ['classic rock', 'disco', 'funk', 'soul'];
-  }
+  const eraDef = ERA_DEFINITIONS.find(d => avgYear >= d.from && avgYear <= d.to) || ERA_DEFINITIONS[ERA_DEFINITIONS.length - 1];
+  const culturalEra = eraDef.era;
+  const eraKeywords = [...eraDef.keywords];
   const isFocusedEra = yearSpread <= 5;
   const genreMix = (topSeedGenres || []).slice(0,3).join('+');
   return {
@@ -514,7 +1114,57 @@ const detectCulturalEra = (seedTracks, topSeedGenres, topSeedDecades) => {
   };
 };
 
-const calculateEnhancedVibeSimilarity = (trackFeaturesOrTrack, avgVibe, playlistVibe, culturalContext = null) => {
+// ===== Seeds negativas ("avoid") =====
+const normalizeName = (s) => String(s || '').trim().toLowerCase();
+
+// Tag bate com a tag evitada quando é igual ou contém a palavra inteira ("edm" casa "edm pop", não "medm")
+const tagMatches = (tag, avoidTag) => tag === avoidTag || tag.split(/[\s-]+/).includes(avoidTag);
+
+// Normaliza `options.avoid` ({ trackIds, artists, tags }) — artistas aceitam id ou nome.
+// IDs do Spotify diferenciam maiúsculas, então ficam como vieram; só os nomes são normalizados.
+const parseAvoidOptions = (options = {}) => {
+  const avoid = options?.avoid || {};
+  const list = (v) => (Array.isArray(v) ? v : (typeof v === 'string' ? v.split(',') : []))
+    .map(x => String(x).trim()).filter(Boolean);
+  const artists = Array.from(new Set(list(avoid.artists)));
+  return {
+    trackIds: Array.from(new Set(list(avoid.trackIds))),
+    artists,
+    artistNames: Array.from(new Set(artists.map(normalizeName))),
+    tags: Array.from(new Set(list(avoid.tags).map(normalizeName)))
+  };
+};
+
+const isAvoidedArtist = (track, avoidProfile) => {
+  if (!avoidProfile || (avoidProfile.artistIds.size === 0 && avoidProfile.artistNames.size === 0)) return false;
+  return (track.artists || []).some(a => avoidProfile.artistIds.has(a.id) || avoidProfile.artistNames.has(normalizeName(a.name)));
+};
+
+// Faixa evitada diretamente ou de artista evitado
+const isAvoidedTrack = (track, avoidProfile) =>
+  Boolean(avoidProfile) && (avoidProfile.trackIds.includes(track.id) || isAvoidedArtist(track, avoidProfile));
+
+// Multiplicador (0.3..1) para candidatos parecidos com as seeds negativas.
+// Features: proximidade com a média das faixas evitadas. Tags: tags evitadas explicitamente
+// pesam mais (principalmente no top 3); tags aprendidas das faixas evitadas pesam pouco.
+const computeAvoidMultiplier = (feat, tags, avoidProfile) => {
+  if (!avoidProfile) return 1;
+  let m = 1;
+  if (feat && avoidProfile.negativeVibe) {
+    const negSim = computeFeatureSimilarity(feat, avoidProfile.negativeVibe);
+    if (negSim > 75) m *= 1 - (negSim - 75) / 50;
+  }
+  if (Array.isArray(tags) && tags.length > 0) {
+    const explicitHit = (list) => list.some(t => avoidProfile.tags.some(a => tagMatches(t, a)));
+    if (explicitHit(tags.slice(0, 3))) m *= 0.5;
+    else if (explicitHit(tags)) m *= 0.75;
+    const learned = tags.filter(t => avoidProfile.trackTags.has(t)).length;
+    m *= Math.max(0.85, 1 - 0.05 * learned);
+  }
+  return clamp(m, 0.3, 1);
+};
+
+const calculateEnhancedVibeSimilarity = (trackFeaturesOrTrack, avgVibe, playlistVibe, culturalContext = null, avoidProfile = null) => {
   // Aceita tanto features (objeto do Spotify) quanto a track (para ler release_date)
   let baseScore = 80;
 
@@ -550,6 +1200,11 @@ const calculateEnhancedVibeSimilarity = (trackFeaturesOrTrack, avgVibe, playlist
     }
   } catch (_) { /* noop */ }
 
+  // Penalidade por proximidade (features) com as seeds negativas; as tags entram no filtro de contexto
+  if (avoidProfile) {
+    baseScore *= computeAvoidMultiplier(feat, null, avoidProfile);
+  }
+
   return Math.max(0, Math.min(100, Math.round(baseScore)));
 };
 
@@ -564,19 +1219,21 @@ const isVibeMatch = (trackFeatures, playlistVibe, avgVibe = null) => {
   return tempoOk && (energyOk || danceOk);
 };
 
-const isVibeMatchByMetadata = async (track, playlistVibe, lastfmApiKey) => {
-  const trackVibe = await inferVibe(track, lastfmApiKey, 'track');
-  if (trackVibe.confidence < 30) return true;
-  if (trackVibe.mood === playlistVibe.mood) return true;
-  const compatible = {
-    melancholic: ['chill', 'neutral', 'party'],
-    party: ['upbeat', 'neutral', 'chill'],
-    chill: ['melancholic', 'neutral', 'party'],
-    upbeat: ['party', 'neutral', 'chill'],
-    neutral: ['melancholic', 'party', 'chill', 'upbeat'],
-    aggressive: ['party', 'neutral', 'upbeat']
-  };
-  return compatible[playlistVibe.mood]?.includes(trackVibe.mood) || false;
+// Similaridade de tags (0..100, cosseno dos vetores tf×idf) entre a faixa e o perfil das seeds.
+// null quando a faixa ou o perfil não têm tags — nesse caso a faixa não é filtrada.
+const MIN_TAG_SIMILARITY = 8;
+const scoreVibeByMetadata = async (track, playlistVibe, lastfmApiKey) => {
+  const profile = playlistVibe?.tagWeights;
+  if (!lastfmApiKey || !profile || Object.keys(profile).length === 0) return null;
+  const trackWeights = TagVectorModel.termWeights(await getLastfmTagCounts(track, lastfmApiKey));
+  if (Object.keys(trackWeights).length === 0) return null;
+  return Math.round(tagModel.similarity(trackWeights, profile) * 100);
+};
+
+// Ajusta a nota base de uma fonte pela similaridade de tags: ~0.85x (tags quase sem relação) até 1.15x (cosseno >= 0.5)
+const applyTagSimilarity = (baseScore, tagSimilarity) => {
+  if (tagSimilarity === null || tagSimilarity === undefined) return baseScore;
+  return Math.round(baseScore * (0.85 + 0.3 * clamp(tagSimilarity / 50)));
 };
 
 const classifyCandidateByProximity = (track, seedTracks, topArtistIds, relatedArtistSet = new Set()) => {
@@ -593,6 +1250,49 @@ const classifyCandidateByProximity = (track, seedTracks, topArtistIds, relatedAr
   return { circle: 4, weight: 1.0 };
 };
 
+// Explica por que uma faixa entrou na playlist: fonte, seeds relacionadas,
+// similaridade antes/depois de cada multiplicador e subgrupo atribuído
+const buildTrackExplanation = (track, seedTracks = [], subgroup = null) => {
+  const round3 = (v) => Math.round(v * 1000) / 1000;
+  const trackArtistIds = new Set((track.artists || []).map(a => a.id).filter(Boolean));
+  const relatedIds = new Set(track._seedIds || []);
+  seedTracks.forEach(s => {
+    if (s.id !== track.id && (s.artists || []).some(a => trackArtistIds.has(a.id))) relatedIds.add(s.id);
+  });
+  const seeds = seedTracks
+    .filter(s => relatedIds.has(s.id))
+    .map(s => ({ id: s.id, name: s.name, artist: (s.artists || []).map(a => a.name).join(', ') }));
+
+  const base = typeof track._baseSimilarity === 'number' ? track._baseSimilarity : (track.similarity || 0);
+  const steps = [];
+  const ctx = track._context;
+  if (ctx) {
+    let score = base;
+    [['genre', ctx.genreMultiplier], ['decade', ctx.decadeMultiplier], ['proximity', ctx.proximityMultiplier], ['avoid', ctx.avoidMultiplier]].forEach(([factor, multiplier]) => {
+      if (typeof multiplier !== 'number' || (factor === 'avoid' && multiplier === 1)) return;
+      const before = score;
+      score *= multiplier;
+      steps.push({ factor, multiplier: round3(multiplier), before: Math.round(before), after: Math.round(score) });
+    });
+  }
+
+  return {
+    source: track._source || null,
+    circle: track._circle ?? track.circle ?? null,
+    seeds,
+    lastfmMatch: track._lastfmMatch ?? null,
+    scores: {
+      base: Math.round(base),
+      steps,
+      similarity: Math.round(track.similarity || 0),
+      proximityWeight: typeof track._proximityWeight === 'number' ? round3(track._proximityWeight) : null,
+      variabilityFactor: typeof track._variabilityFactor === 'number' ? round3(track._variabilityFactor) : null,
+      finalScore: typeof track.finalScore === 'number' ? Math.round(track.finalScore) : null
+    },
+    subgroup: subgroup ? { id: subgroup.id, label: subgroup.label, score: track._subgroupScore ?? null } : null
+  };
+};
+
 const getRelatedArtistsViaLastfm = async (seedTracks, lastfmApiKey, api) => {
   const relatedMap = new Map();
   for (const seedTrack of seedTracks) {
@@ -720,25 +1420,35 @@ const getLastfmSimilarArtists = async (artistName, lastfmApiKey) => {
   });
 };
 
-const getLastfmTags = async (track, lastfmApiKey) => {
+// Tags de uma faixa com o count relativo do Last.fm ([{ name, count }], count 0..100); alimenta o IDF do tagModel
+const getLastfmTagCounts = async (track, lastfmApiKey) => {
   try {
     const artistName = track.artists?.[0]?.name || track.artist || '';
     const trackName = track.name || track.title || '';
     if (!artistName || !trackName || !lastfmApiKey) return [];
-    const cacheKey = `tags:${artistName.toLowerCase()}:${trackName.toLowerCase()}`;
+    const cacheKey = `tag_counts:${artistName.toLowerCase()}:${trackName.toLowerCase()}`;
     const cached = lastfmCache.get(cacheKey);
-    if (cached) return cached;
+    if (cached) {
+      tagModel.observe(cacheKey, TagVectorModel.termWeights(cached)); // no-op se a faixa já foi contada
+      return cached;
+    }
     const url = `http://ws.audioscrobbler.com/2.0/?method=track.gettoptags&artist=${encodeURIComponent(artistName)}&track=${encodeURIComponent(trackName)}&api_key=${lastfmApiKey}&format=json`;
     const res = await lastfmLimiter.execute(() => fetch(url));
     const data = await res.json();
-    const tags = (data.toptags?.tag || []).map(t => String(t.name).toLowerCase()).slice(0, 10);
-    lastfmCache.set(cacheKey, tags);
-    return tags;
+    const counts = (data.toptags?.tag || [])
+      .map(t => ({ name: String(t.name).toLowerCase(), count: Number(t.count) || 0 }))
+      .slice(0, 10);
+    lastfmCache.set(cacheKey, counts);
+    tagModel.observe(cacheKey, TagVectorModel.termWeights(counts));
+    return counts;
   } catch (e) {
+    if (e.name === 'AbortError') throw e;
     return [];
   }
 };
 
+const getLastfmTags = async (track, lastfmApiKey) => (await getLastfmTagCounts(track, lastfmApiKey)).map(t => t.name);
+
 const chunkArray = (arr, size) => {
   const res = [];
   for (let i = 0; i < arr.length; i += size) res.push(arr.slice(i, i + size));
@@ -756,7 +1466,7 @@ const decadeFromReleaseDate = (dateStr) => {
 const getArtistDeepCuts = async (artistId, api, playlistVibe, avgVibe) => {
   try {
     const albumsData = await spotifyLimiter.execute(() =>
-      api.getArtistAlbums(artistId, { limit: 20, include_groups: 'album,single' })
+      api.getArtistAlbums(artistId, withMarket(api, { limit: 20, include_groups: 'album,single' }))
     );
     const albums = albumsData.body.items;
   // Mantém simples: ainda escolhe albums “aleatórios”, mas sem depender disso para a qualidade do ranking.
@@ -765,7 +1475,7 @@ const getArtistDeepCuts = async (artistId, api, playlistVibe, avgVibe) => {
    
     for (const album of randomAlbums) {
       const tracksData = await spotifyLimiter.execute(() =>
-        api.getAlbumTracks(album.id, { limit: 10 })
+        api.getAlbumTracks(album.id, withMarket(api, { limit: 10 }))
       );
       const tracks = tracksData.body.items;
       const middleTracks = tracks.slice(
@@ -828,7 +1538,7 @@ const getArtistsFromSameEra = async (seedTracks, culturalContext, lastfmApiKey,
       if (!spotifyArtist) return null;
       let topTracksData;
       try {
-        topTracksData = await spotifyLimiter.execute(() => api.getArtistTopTracks(spotifyArtist.id, 'US'));
+        topTracksData = await spotifyLimiter.execute(() => api.getArtistTopTracks(spotifyArtist.id, marketOf(api)));
       } catch (e) {
         topTracksData = await spotifyLimiter.execute(() => api.getArtistTopTracks(spotifyArtist.id));
       }
@@ -848,6 +1558,7 @@ const getArtistsFromSameEra = async (seedTracks, culturalContext, lastfmApiKey,
           genres: spotifyArtist.genres,
           eraTracksCount: eraRelevantTracks.length,
           overlapCount: data.sources.length,
+          sourceArtists: data.sources,
           relevantTracks: eraRelevantTracks.map(t => ({
             id: t.id,
             name: t.name,
@@ -878,7 +1589,7 @@ const getTracksFromEraContext = async (eraArtist, culturalContext, playlistVibe,
       console.log(` [CACHE HIT] ${eraArtist.name}`);
     } else {
       try {
-        topTracksData = await spotifyLimiter.execute(() => api.getArtistTopTracks(cacheKey, 'US'));
+        topTracksData = await spotifyLimiter.execute(() => api.getArtistTopTracks(cacheKey, marketOf(api)));
       } catch (e) {
         topTracksData = await spotifyLimiter.execute(() => api.getArtistTopTracks(cacheKey));
       }
@@ -893,8 +1604,7 @@ const getTracksFromEraContext = async (eraArtist, culturalContext, playlistVibe,
     });
     const maxTracks = (eraArtist.overlapCount >= 2) ? 3 : 2;
     if (featuresAvailable && eraRelevantTracks.length > 0) {
-      const trackIds = eraRelevantTracks.slice(0, maxTracks).map(t => t.id);
-      const featMap = await fetchAudioFeaturesMap(api, trackIds);
+      const featMap = await fetchAudioFeaturesMap(api, eraRelevantTracks.slice(0, maxTracks));
       eraRelevantTracks.slice(0, maxTracks).forEach((track) => {
         const feat = featMap.get(track.id);
         if (feat && isVibeMatch(feat, playlistVibe)) {
@@ -936,48 +1646,110 @@ if (typeof fetch === 'undefined') {
 
 const clamp = (v, a = 0, b = 1) => Math.max(a, Math.min(b, v));
 
-// ===== Audio Features (Spotify) =====
+// ===== Audio Features (Spotify, com estimativa local como fallback) =====
+// Máximo de faixas analisadas localmente por chamada (cada uma baixa e decodifica uma prévia);
+// as que já estão em cache não contam
+const MAX_LOCAL_FEATURES_PER_CALL = 24;
+
 // Busca audio features em batch (até 100 IDs por chamada) e devolve Map(trackId -> features)
-// Nota: o Spotify pode retornar null para algumas faixas; lidamos com isso.
-const fetchAudioFeaturesMap = async (api, trackIds = []) => {
-  const ids = Array.from(new Set((trackIds || []).filter(Boolean))).slice(0, 500); // hard cap pra evitar explosão
-  const out = new Map();
+// Nota: o Spotify pode retornar null para algumas faixas; lidamos com isso. Se o endpoint falhar,
+// a instância da API (uma por request/job) guarda isso e as chamadas seguintes nem tentam o Spotify.
+// Com `estimate`, faixas passadas como objeto e sem features do Spotify recebem a estimativa local
+// (até `maxEstimates` análises novas; o excedente é avisado em `reporter` quando houver).
+const fetchAudioFeaturesMap = async (api, tracksOrIds = [], { estimate = false, maxEstimates = MAX_LOCAL_FEATURES_PER_CALL, reporter = null } = {}) => {
+  const tracksById = new Map();
+  (tracksOrIds || []).forEach(item => {
+    if (item && typeof item === 'object' && item.id) tracksById.set(item.id, item);
+  });
+  const ids = Array.from(new Set((tracksOrIds || []).map(item => (typeof item === 'string' ? item : item?.id)).filter(Boolean))).slice(0, 500); // hard cap pra evitar explosão
+  const out = new Map(ids.map(id => [id, null]));
   if (ids.length === 0) return out;
-  const batches = chunkArray(ids, 100);
-  for (const batch of batches) {
-    try {
-      const resp = await spotifyLimiter.execute(() => api.getAudioFeaturesForTracks(batch));
-      const feats = Array.isArray(resp.body?.audio_features) ? resp.body.audio_features : [];
-      feats.forEach(f => {
-        if (f && f.id) out.set(f.id, f);
-      });
-      // Garantir keys presentes mesmo quando o Spotify devolve null
-      batch.forEach(id => {
-        if (!out.has(id)) out.set(id, null);
-      });
-    } catch (e) {
-      console.warn('Erro ao buscar audio features:', e.message || e);
-      batch.forEach(id => {
-        if (!out.has(id)) out.set(id, null);
-      });
+  if (!api.audioFeaturesUnavailable) {
+    for (const batch of chunkArray(ids, 100)) {
+      try {
+        const resp = await spotifyLimiter.execute(() => api.getAudioFeaturesForTracks(batch));
+        const feats = Array.isArray(resp.body?.audio_features) ? resp.body.audio_features : [];
+        feats.forEach(f => {
+          if (f && f.id) out.set(f.id, f);
+        });
+      } catch (e) {
+        if (e.name === 'AbortError') throw e;
+        console.warn('Erro ao buscar audio features (Spotify desativado para esta requisição):', e.message || e);
+        api.audioFeaturesUnavailable = true;
+        break;
+      }
     }
   }
+  if (!estimate) return out;
+  const missing = ids.filter(id => !out.get(id) && tracksById.has(id));
+  const uncached = [];
+  missing.forEach(id => {
+    const cached = getCachedLocalFeatures(tracksById.get(id));
+    if (cached === undefined) uncached.push(id);
+    else if (cached) out.set(id, cached);
+  });
+  const toAnalyze = uncached.slice(0, maxEstimates);
+  if (uncached.length > toAnalyze.length) {
+    const message = `Estimativa local limitada a ${toAnalyze.length} de ${uncached.length} faixas sem audio features.`;
+    if (reporter) reporter.warn('audio-features-truncated', message);
+    else console.warn(message);
+  }
+  if (toAnalyze.length > 0) {
+    const estimated = await Promise.all(toAnalyze.map(id => getEstimatedFeaturesForTrack(tracksById.get(id))));
+    estimated.forEach((f, i) => {
+      if (f) out.set(toAnalyze[i], f);
+    });
+  }
   return out;
 };
 
-// Compatibilidade: mantemos a função “estimated” como fallback, mas agora ela não é mais necessária.
-// Retornamos null e o pipeline usa metadata/Last.fm quando não houver features.
-const getEstimatedFeaturesForTrack = async () => null;
+const localFeaturesKey = (track) => `local_features:${TrackIdentity.recordingKey(TrackIdentity.fromSpotifyTrack(track))}`;
+
+// Estimativa local já em cache: features, null (sem prévia analisável) ou undefined (nunca analisada)
+const getCachedLocalFeatures = (track) => {
+  const cached = track?.id ? localFeaturesCache.get(localFeaturesKey(track)) : null;
+  if (!cached) return undefined;
+  return cached.features ? { ...cached.features, id: track.id, uri: track.uri } : null;
+};
+
+// Estimativa local a partir da prévia de 30s (preview_url do Spotify ou Deezer/iTunes, como em /track-preview).
+// Resultado em cache por gravação; null quando não há prévia ou ffmpeg.
+const getEstimatedFeaturesForTrack = async (track) => {
+  if (!track?.id || !(await audioAnalyzer.isAvailable())) return null;
+  const cached = getCachedLocalFeatures(track);
+  if (cached !== undefined) return cached;
+  const identity = TrackIdentity.fromSpotifyTrack(track);
+  const recordingKey = TrackIdentity.recordingKey(identity);
+  try {
+    let previewUrl = track.preview_url || previewCache.get(`preview:${recordingKey}`);
+    if (!previewUrl) {
+      ({ previewUrl } = await trackIdentity.resolvePreview(identity));
+      if (!previewUrl) return null; // sem prévia agora; não guardamos (pode ser falha de rede)
+      previewCache.set(`preview:${recordingKey}`, previewUrl);
+    }
+    const features = await audioAnalyzer.analyzeUrl(previewUrl);
+    localFeaturesCache.set(localFeaturesKey(track), { features });
+    return features ? { ...features, id: track.id, uri: track.uri } : null;
+  } catch (e) {
+    if (e.name === 'AbortError') throw e;
+    console.warn(`Falha na análise local de "${track.name}":`, e.message);
+    return null;
+  }
+};
 
-const computeAvgVibeFromFeatures = (featuresArr = []) => {
-  const feats = (featuresArr || []).filter(f => f && typeof f === 'object');
-  if (feats.length === 0) return null;
+// `weights` (opcional) é alinhado com `featuresArr`; sem ele todas as features pesam 1
+const computeAvgVibeFromFeatures = (featuresArr = [], weights = null) => {
+  const entries = (featuresArr || [])
+    .map((f, i) => ({ f, w: weights && typeof weights[i] === 'number' ? weights[i] : 1 }))
+    .filter(({ f, w }) => f && typeof f === 'object' && w > 0);
+  if (entries.length === 0) return null;
   const keys = ['danceability', 'energy', 'valence', 'acousticness', 'tempo', 'loudness', 'speechiness', 'instrumentalness'];
   const avg = {};
   for (const k of keys) {
-    const vals = feats.map(f => f[k]).filter(v => typeof v === 'number' && isFinite(v));
-    if (vals.length === 0) continue;
-    avg[k] = vals.reduce((s, v) => s + v, 0) / vals.length;
+    const vals = entries.filter(({ f }) => typeof f[k] === 'number' && isFinite(f[k]));
+    const wSum = vals.reduce((s, { w }) => s + w, 0);
+    if (vals.length === 0 || wSum === 0) continue;
+    avg[k] = vals.reduce((s, { f, w }) => s + f[k] * w, 0) / wSum;
   }
   // Defaults seguros
   return {
@@ -1028,306 +1800,385 @@ const seededRandom = (seed) => {
   };
 };
 
-app.post('/analyze', async (req, res) => {
-  const topTracksCache = new Map();
-  try {
-    const api = createApiInstance(req);
-    let { trackIds, options } = req.body;
-    const deterministic = Boolean(options?.deterministic ?? true);
-    const randomness = Number(options?.randomness ?? 0.15); // 0..0.3 aprox
-    const randomSeed = options?.randomSeed ?? Math.floor(Date.now() / 1000);
-    const rand = deterministic ? seededRandom(randomSeed) : Math.random;
-    if (!trackIds || !trackIds.length) {
-      return res.status(400).json({ error: 'Nenhuma música fornecida.' });
-    }
-    const uniqueTrackIds = Array.from(new Set(trackIds.filter(id => id && id.trim())));
-    if (uniqueTrackIds.length === 0) {
-      return res.status(400).json({ error: 'Nenhuma música válida fornecida após remoção de duplicatas.' });
-    }
-    if (uniqueTrackIds.length < trackIds.length) {
-      console.log(`Duplicatas removidas: ${trackIds.length} → ${uniqueTrackIds.length} IDs únicos.`);
-    }
-    console.log('Track IDs únicos recebidos:', uniqueTrackIds);
-    console.log("--- INICIANDO ALGORITMO APRIMORADO ---");
-    console.log('Validando token...');
-    const meData = await spotifyLimiter.execute(() => api.getMe());
-    console.log('Token válido. Usuário:', meData.body.display_name);
-    console.log('Buscando seed tracks...');
-    const seedTracksData = await spotifyLimiter.execute(() => api.getTracks(uniqueTrackIds));
-    let seedTracks = seedTracksData.body.tracks.filter(t => t);
-    console.log('Seed tracks obtidas:', seedTracks.length, 'tracks válidas');
-    let candidateTracks = [];
-    const uriSeen = new Set(seedTracks.map(t => t.uri));
-    const seedArtistIds = Array.from(new Set(seedTracks.flatMap(t => (t.artists || []).map(a => a.id).filter(Boolean))));
-    let relatedArtistSet = new Set();
-    const lastfmApiKey = process.env.LASTFM_API_KEY;
-    if (seedArtistIds.length > 0 && lastfmApiKey) {
+// Busca faixas similares no Last.fm (track.getsimilar) para uma faixa
+const getLastfmSimilarTracks = async (track, lastfmApiKey, limit = 10) => {
+  const url = `http://ws.audioscrobbler.com/2.0/?method=track.getsimilar&artist=${encodeURIComponent(track.artists[0].name)}&track=${encodeURIComponent(track.name)}&api_key=${lastfmApiKey}&format=json&limit=${limit}`;
+  const lfRes = await lastfmLimiter.execute(() => fetch(url));
+  if (!lfRes.ok) return null;
+  const data = await lfRes.json();
+  return data.similartracks?.track || [];
+};
+
+// Consulta de identidade para uma faixa do Last.fm (duração vem em segundos, às vezes 0)
+const lastfmTrackQuery = (lfTrack) => ({
+  title: lfTrack.name,
+  artist: lfTrack.artist?.name || lfTrack.artist?.['#text'] || '',
+  durationMs: Number(lfTrack.duration) > 0 ? Number(lfTrack.duration) * 1000 : null
+});
+
+// Top tracks de uma tag do Last.fm (tag.gettoptracks) como [{ name, artist }]
+const getLastfmTagTopTracks = async (tag, lastfmApiKey, limit = 30) => {
+  const cacheKey = `tagtracks:${tag}:${limit}`;
+  const cached = lastfmCache.get(cacheKey);
+  if (cached) return cached;
+  const url = `http://ws.audioscrobbler.com/2.0/?method=tag.gettoptracks&tag=${encodeURIComponent(tag)}&api_key=${lastfmApiKey}&format=json&limit=${limit}`;
+  const res = await lastfmLimiter.execute(() => fetch(url));
+  if (!res.ok) return [];
+  const data = await res.json();
+  const tracks = (data.tracks?.track || [])
+    .map(t => ({ name: t.name, artist: t.artist?.name || t.artist?.['#text'] || '' }))
+    .filter(t => t.name && t.artist);
+  lastfmCache.set(cacheKey, tracks);
+  return tracks;
+};
+
+// ===== Prompt de vibe em texto livre =====
+const PROMPT_STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'for', 'with', 'of', 'in', 'on', 'to', 'some', 'my', 'music', 'songs', 'song',
+  'playlist', 'vibe', 'vibes', 'like', 'mix', 'de', 'da', 'do', 'das', 'dos', 'e', 'para', 'com', 'um', 'uma',
+  'musica', 'música', 'musicas', 'músicas'
+]);
+const MIN_TAG_TRACKS = 5;         // tag só conta como reconhecida com pelo menos isso de top tracks
+const MAX_PROMPT_TAG_LOOKUPS = 8; // consultas ao Last.fm por prompt
+const PROMPT_SEED_COUNT = 6;
+
+// Décadas ("2000s", "90's", "00s") e vocabulário de era do prompt -> eras + faixa de anos
+const detectPromptEra = (text) => {
+  const decades = [];
+  const re = /\b((?:19|20)\d0|\d0)'?s\b/g;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    let d = parseInt(m[1], 10);
+    if (d < 100) d += d >= 30 ? 1900 : 2000;
+    decades.push(d);
+  }
+  const hasPhrase = (k) => ` ${text} `.includes(` ${k} `);
+  const matched = ERA_DEFINITIONS.filter(def =>
+    def.keywords.some(hasPhrase) ||
+    decades.some(d => d <= def.to && d + 9 >= def.from)
+  );
+  if (matched.length === 0) return null;
+  const from = decades.length ? Math.min(...decades) : Math.min(...matched.map(d => d.from));
+  const to = decades.length ? Math.max(...decades) + 9 : Math.max(...matched.map(d => Math.min(d.to, new Date().getFullYear())));
+  return {
+    eras: matched.map(d => d.era),
+    keywords: Array.from(new Set(matched.flatMap(d => d.keywords.filter(hasPhrase)))),
+    timeRange: [Math.max(1900, from), Math.min(new Date().getFullYear(), to)]
+  };
+};
+
+// Interpreta o prompt: n-gramas (do maior para o menor) viram candidatos a tag e são validados
+// no Last.fm; palavras cobertas por uma tag reconhecida não são testadas de novo.
+const interpretVibePrompt = async (prompt, lastfmApiKey) => {
+  const text = String(prompt || '').toLowerCase().replace(/[’`]/g, "'").replace(/[^\p{L}\p{N}&'\s-]/gu, ' ').replace(/\s+/g, ' ').trim();
+  const words = text.split(' ').filter(Boolean);
+  const runs = [];
+  let current = [];
+  words.forEach((w, i) => {
+    if (PROMPT_STOPWORDS.has(w)) {
+      if (current.length) runs.push(current);
+      current = [];
+    } else {
+      current.push(i);
+    }
+  });
+  if (current.length) runs.push(current);
+
+  const candidates = [];
+  for (let n = 3; n >= 1; n--) {
+    runs.forEach(run => {
+      for (let i = 0; i + n <= run.length; i++) candidates.push(run.slice(i, i + n));
+    });
+  }
+  const covered = new Set();
+  const tags = [];
+  let lookups = 0;
+  for (const idxs of candidates) {
+    if (lookups >= MAX_PROMPT_TAG_LOOKUPS) break;
+    if (idxs.some(i => covered.has(i))) continue;
+    const tag = idxs.map(i => words[i]).join(' ');
+    lookups++;
+    const tracks = await getLastfmTagTopTracks(tag, lastfmApiKey);
+    if (tracks.length >= MIN_TAG_TRACKS) {
+      tags.push({ tag, tracks });
+      idxs.forEach(i => covered.add(i));
+    }
+  }
+  const unrecognized = words.filter((w, i) => !covered.has(i) && !PROMPT_STOPWORDS.has(w));
+  return { prompt: String(prompt), tags, era: detectPromptEra(text), unrecognized };
+};
+
+// Resolve o prompt em seeds sintéticas: top tracks das tags reconhecidas (alternando entre tags,
+// um artista por seed) buscadas no Spotify, preferindo faixas dentro da era reconhecida.
+const resolvePromptSeeds = async (api, prompt, lastfmApiKey) => {
+  const interpretation = await interpretVibePrompt(prompt, lastfmApiKey);
+  const range = interpretation.era?.timeRange || null;
+  const queues = interpretation.tags.map(t => [...t.tracks]);
+  const seeds = [];
+  const outOfEra = [];
+  const artistsUsed = new Set();
+  let attempts = 0;
+  while (seeds.length < PROMPT_SEED_COUNT && attempts < PROMPT_SEED_COUNT * 4 && queues.some(q => q.length)) {
+    for (const queue of queues) {
+      if (seeds.length >= PROMPT_SEED_COUNT) break;
+      const next = queue.shift();
+      if (!next || artistsUsed.has(next.artist.toLowerCase())) continue;
+      attempts++;
       try {
-        const relatedMap = await getRelatedArtistsViaLastfm(seedTracks, lastfmApiKey, api);
-        Object.values(relatedMap).forEach(list => list.forEach(id => relatedArtistSet.add(id)));
-        seedArtistIds.forEach(id => relatedArtistSet.delete(id));
-        console.log(`Related artists coletados: ${relatedArtistSet.size}`);
+        const match = await trackIdentity.resolveSpotify(api, { title: next.name, artist: next.artist }, { market: marketOf(api) });
+        if (!match) continue;
+        artistsUsed.add(next.artist.toLowerCase());
+        const year = releaseYearOf(match);
+        if (range && year && (year < range[0] - 2 || year > range[1] + 2)) outOfEra.push(match);
+        else seeds.push(match);
       } catch (e) {
-        console.warn('Falha ao montar related artists:', e.message || e);
-        relatedArtistSet = new Set();
+        if (e.name === 'AbortError') throw e;
+        console.warn(`Falha ao resolver "${next.name}" no Spotify:`, e.message);
       }
     }
-    console.log('Análise precoce de gêneros das seeds...');
-    const seedGenresMap = await getArtistsGenres(seedArtistIds, api);
-    const seedGenreCounts = {};
-    seedTracks.forEach(track => {
-      (track.artists || []).forEach(a => {
-        const gs = (seedGenresMap[a.id] || []);
-        if (gs.length === 0) {
-          seedGenreCounts['unknown'] = (seedGenreCounts['unknown'] || 0) + 1;
-        } else {
-          gs.forEach(g => seedGenreCounts[g] = (seedGenreCounts[g] || 0) + 1);
-        }
-      });
-    });
-    const topSeedGenres = Object.entries(seedGenreCounts)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 6)
-      .map(([g]) => g);
-    console.log('Top gêneros das seeds:', topSeedGenres);
-    const artistNetwork = await exploreArtistNetworkViaLastfm(seedTracks, topSeedGenres, lastfmApiKey, api, 2);
-    const nicheArtistIds = Array.from(artistNetwork.values())
-      .filter(data => data.popularity < 55 && data.level > 0 && data.spotifyId)
-      .map(data => data.spotifyId);
-    console.log(`Artistas nicho identificados: ${nicheArtistIds.length}`);
-    const seedDecadeCounts = {};
-    seedTracks.forEach(track => {
-      const dec = decadeFromReleaseDate(track.album?.release_date);
-      seedDecadeCounts[dec] = (seedDecadeCounts[dec] || 0) + 1;
-    });
-    const topSeedDecades = Object.entries(seedDecadeCounts)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 3)
-      .map(([d]) => d);
-    const seedIds = seedTracks.map(t => t.id);
-    // ===== Spotify audio features (principal) =====
-    let avgVibe = {
-      danceability: 0.5, energy: 0.5, valence: 0.5,
-      acousticness: 0.5, tempo: 120, loudness: -10,
-      speechiness: 0.1, instrumentalness: 0.1
-    };
-    let featuresAvailable = false;
-    try {
-      const seedFeatMap = await fetchAudioFeaturesMap(api, seedIds.slice(0, 20));
-      const seedFeats = seedIds.slice(0, 20).map(id => seedFeatMap.get(id)).filter(Boolean);
-      const computed = computeAvgVibeFromFeatures(seedFeats);
-      if (computed) {
-        avgVibe = computed;
-        featuresAvailable = true;
-        console.log('AvgVibe (Spotify audio features):', avgVibe);
-      }
-    } catch (e) {
-      console.warn('Falha ao obter avgVibe via Spotify audio features:', e.message);
-    }
-    console.log('Inferindo vibe por metadados...');
-    const playlistVibe = await inferVibe(seedTracks, lastfmApiKey, 'playlist', { topSeedGenres, topSeedDecades });
-    console.log('Vibe inferida:', playlistVibe);
-    const culturalContext = detectCulturalEra(seedTracks, topSeedGenres, topSeedDecades);
-    console.log('Contexto cultural detectado:', culturalContext);
-    console.log('Obtendo top artists...');
-    let topArtistIds = [];
-    let useTopArtists = true;
-    try {
-      const topArtistsData = await spotifyLimiter.execute(() => api.getMyTopArtists({ limit: 5, time_range: 'medium_term' }));
-      const topArtists = topArtistsData.body.items;
-      const topArtistGenreMap = await getArtistsGenres(topArtists.map(a => a.id), api);
-      const topArtistGenres = new Set();
-      topArtists.forEach(artist => {
-        (topArtistGenreMap[artist.id] || []).forEach(g => topArtistGenres.add(g));
-      });
-      const genreOverlap = Array.from(topArtistGenres).filter(g => topSeedGenres.includes(g)).length;
-      if (genreOverlap === 0) {
-        console.log('Top artists do usuário sem overlap de gênero com seeds. Pulando para evitar mismatch.');
-        useTopArtists = false;
-      } else {
-        topArtistIds = topArtists.map(a => a.id).filter(id => id);
-        console.log('Top artists do usuário (com overlap):', topArtistIds);
-      }
-    } catch (topErr) {
-      console.warn('Erro ao obter top artists:', topErr.message);
-      useTopArtists = false;
+  }
+  // Completa com faixas fora da era se não houver o bastante dentro dela
+  while (seeds.length < PROMPT_SEED_COUNT && outOfEra.length) seeds.push(outOfEra.shift());
+  return {
+    seedTracks: seeds,
+    interpretation: {
+      prompt: interpretation.prompt,
+      tags: interpretation.tags.map(t => ({ tag: t.tag, trackCount: t.tracks.length })),
+      era: interpretation.era,
+      unrecognized: interpretation.unrecognized,
+      seeds: seeds.map(t => ({ id: t.id, name: t.name, artist: (t.artists || []).map(a => a.name).join(', ') }))
     }
+  };
+};
+
+// ===== Fontes de candidatos do /analyze =====
+// Cada fonte recebe o contexto da análise e um "balde" com quota própria (bucket.add/isFull).
+const candidateSources = new SourceRegistry(MAX_CANDIDATES);
+
+candidateSources.register({
+  name: 'spotify-rec',
+  label: 'Recomendações do Spotify',
+  quota: 20,
+  priority: 1,
+  collect: async (ctx, bucket) => {
+    const { api, uriSeen, featuresAvailable, playlistVibe, avgVibe, culturalContext, lastfmApiKey, seedTracks, topArtistIds, relatedArtistSet } = ctx;
     let recTracks = [];
-    console.log("Fase 1: Obtendo recomendações do Spotify...");
     try {
-      const validSeeds = uniqueTrackIds.slice(0, 5).filter(id => id && id.length > 0);
+      // seedTracks já vem ordenada por peso: as seeds mais pesadas entram na chamada de 5 seeds
+      const validSeeds = seedTracks.map(t => t.id).filter(id => id && id.length > 0).slice(0, 5);
       if (validSeeds.length === 0) throw new Error('Nenhum seed válido.');
       const recsOptions = {
         seed_tracks: validSeeds,
         limit: 30 + Math.floor(Math.random() * 20),
       };
-      if (useTopArtists && topArtistIds.length > 0 && validSeeds.length < 4) {
+      if (ctx.useTopArtists && topArtistIds.length > 0 && validSeeds.length < 4) {
         recsOptions.seed_artists = topArtistIds.slice(0, Math.min(2, 4 - validSeeds.length));
       }
-      const recsData = await spotifyLimiter.execute(() => api.getRecommendations(recsOptions));
+      const recsData = await spotifyLimiter.execute(() => api.getRecommendations(withMarket(api, recsOptions)));
       recTracks = recsData.body.tracks.filter(t => !uriSeen.has(t.uri));
       console.log(`${recTracks.length} recomendações do Spotify adicionadas.`);
     } catch (recsErr) {
+      if (recsErr.name === 'AbortError') throw recsErr;
       if (recsErr.statusCode === 404 || recsErr.statusCode === 403) {
         console.warn('Recomendações do Spotify indisponíveis. Usando fallback.');
+        ctx.reporter.warn('recommendations-unavailable', 'Recomendações do Spotify indisponíveis. Usando fallback.');
       } else {
         console.warn('Erro ao obter recomendações:', recsErr.message);
+        ctx.reporter.warn('recommendations-error', `Erro ao obter recomendações: ${recsErr.message}`);
       }
       recTracks = [];
     }
-    if (recTracks.length > 0) {
-      // Enriquecer features dos candidatos do Spotify (batch) para scoring real
-      const recIds = recTracks.map(t => t.id).filter(Boolean).slice(0, 120);
-      const recFeatMap = featuresAvailable ? await fetchAudioFeaturesMap(api, recIds) : new Map();
-      for (const track of recTracks) {
-        let simScore = 82;
-        const tf = featuresAvailable ? recFeatMap.get(track.id) : null;
-        if (featuresAvailable && tf) {
-          if (!isVibeMatch(tf, playlistVibe, avgVibe)) continue;
-          simScore = calculateEnhancedVibeSimilarity(tf, avgVibe, playlistVibe, culturalContext);
-        } else if (lastfmApiKey) {
-          // fallback: metadata/Last.fm
-          if (!(await isVibeMatchByMetadata(track, playlistVibe, lastfmApiKey))) continue;
-          simScore = 78;
-        }
-        const classification = classifyCandidateByProximity(track, seedTracks, topArtistIds, relatedArtistSet);
-        // NÃO multiplicar similarity pelo weight aqui; guardamos weight para finalScore
-        simScore = Math.min(100, Math.round(simScore));
-        if (candidateTracks.length < MAX_CANDIDATES) {
-          candidateTracks.push({ ...track, similarity: simScore, _circle: classification.circle, _proximityWeight: classification.weight, _source: 'spotify-rec' });
-          uriSeen.add(track.uri);
-        }
+    ctx.recommendationsAvailable = recTracks.length > 0;
+    if (recTracks.length === 0) return;
+    // Enriquecer features dos candidatos do Spotify (batch) para scoring real
+    const recFeatMap = featuresAvailable ? await fetchAudioFeaturesMap(api, recTracks.filter(t => t.id).slice(0, 120)) : new Map();
+    for (const track of recTracks) {
+      if (bucket.isFull()) break;
+      let simScore = 82;
+      const tf = featuresAvailable ? recFeatMap.get(track.id) : null;
+      if (featuresAvailable && tf) {
+        if (!isVibeMatch(tf, playlistVibe, avgVibe)) continue;
+        simScore = calculateEnhancedVibeSimilarity(tf, avgVibe, playlistVibe, culturalContext, ctx.avoidProfile);
+      } else if (lastfmApiKey) {
+        // fallback: similaridade de tags do Last.fm
+        const tagSimilarity = await scoreVibeByMetadata(track, playlistVibe, lastfmApiKey);
+        if (tagSimilarity !== null && tagSimilarity < MIN_TAG_SIMILARITY) continue;
+        simScore = applyTagSimilarity(78, tagSimilarity);
       }
+      const classification = classifyCandidateByProximity(track, seedTracks, topArtistIds, relatedArtistSet);
+      // NÃO multiplicar similarity pelo weight aqui; guardamos weight para finalScore
+      simScore = Math.min(100, Math.round(simScore));
+      bucket.add({ ...track, similarity: simScore, _circle: classification.circle, _proximityWeight: classification.weight });
     }
-    console.log("Fase Last.fm: Minerando artistas similares por comportamento de usuário...");
-    let lastfmUsed = false;
-    const lastfmArtistCandidates = new Set();
-    if (lastfmApiKey) {
-      const similarPromises = seedTracks.slice(0, 3).map(async (seedTrack) => {
-        const artistName = seedTrack.artists[0].name;
-        const similar = await getLastfmSimilarArtists(artistName, lastfmApiKey);
-        console.log(`${artistName} → Similar: ${similar.slice(0, 5).join(', ')}`);
-        const searchPromises = similar.slice(0, 10).map(async (simArtistName) => {
-          try {
-            const searchData = await spotifyLimiter.execute(() => api.searchArtists(simArtistName, { limit: 1 }));
-            const artist = searchData.body.artists.items[0];
-            if (artist && artist.popularity < 65) {
-              lastfmArtistCandidates.add(artist.id);
-            }
-          } catch (e) {}
-        });
-        await Promise.all(searchPromises);
+  }
+});
+
+candidateSources.register({
+  name: 'lastfm-similar-artists',
+  label: 'Artistas similares via Last.fm',
+  quota: 12,
+  priority: 2,
+  collect: async (ctx, bucket) => {
+    const { api, lastfmApiKey, seedTracks, playlistVibe, avgVibe, topArtistIds, relatedArtistSet } = ctx;
+    if (!lastfmApiKey) return;
+    const lastfmArtistCandidates = new Map(); // artistId -> seeds que o originaram
+    const similarPromises = seedTracks.slice(0, 3).map(async (seedTrack) => {
+      const artistName = seedTrack.artists[0].name;
+      const similar = await getLastfmSimilarArtists(artistName, lastfmApiKey);
+      console.log(`${artistName} → Similar: ${similar.slice(0, 5).join(', ')}`);
+      const searchPromises = similar.slice(0, 10).map(async (simArtistName) => {
+        try {
+          const searchData = await spotifyLimiter.execute(() => api.searchArtists(simArtistName, { limit: 1 }));
+          const artist = searchData.body.artists.items[0];
+          if (artist && artist.popularity < 65) {
+            const origins = lastfmArtistCandidates.get(artist.id) || [];
+            lastfmArtistCandidates.set(artist.id, [...origins, seedTrack.id]);
+          }
+        } catch (e) {}
       });
-      await Promise.all(similarPromises);
-      console.log(`Artistas Last.fm identificados: ${lastfmArtistCandidates.size}`);
-      const deepCutPromises = Array.from(lastfmArtistCandidates).slice(0, 8).map(async (lfArtistId) => {
-        const deepCuts = await getArtistDeepCuts(lfArtistId, api, playlistVibe, avgVibe, false);
+      await Promise.all(searchPromises);
+    });
+    await Promise.all(similarPromises);
+    console.log(`Artistas Last.fm identificados: ${lastfmArtistCandidates.size}`);
+    const deepCutPromises = Array.from(lastfmArtistCandidates.entries()).slice(0, 8).map(async ([lfArtistId, originSeedIds]) => {
+      const deepCuts = await getArtistDeepCuts(lfArtistId, api, playlistVibe, avgVibe, false);
+      for (const track of deepCuts) {
+        if (bucket.has(track.uri) || bucket.isFull()) continue;
+        const tagSimilarity = await scoreVibeByMetadata(track, playlistVibe, lastfmApiKey);
+        if (tagSimilarity !== null && tagSimilarity < MIN_TAG_SIMILARITY) continue;
+        const classification = classifyCandidateByProximity(track, seedTracks, topArtistIds, relatedArtistSet);
+        bucket.add({ ...track, similarity: Math.min(100, applyTagSimilarity(75, tagSimilarity)), _circle: classification.circle, _proximityWeight: classification.weight, _seedIds: originSeedIds });
+      }
+    });
+    await Promise.all(deepCutPromises);
+  }
+});
+
+candidateSources.register({
+  name: 'seed-deep-cuts',
+  label: 'Deep cuts dos artistas seed',
+  quota: 10,
+  priority: 3,
+  collect: async (ctx, bucket) => {
+    const { api, lastfmApiKey, seedTracks, playlistVibe, avgVibe, featuresAvailable, culturalContext, topArtistIds, relatedArtistSet } = ctx;
+    if (!lastfmApiKey) return;
+    await Promise.all(seedTracks.slice(0, 3).map(async (seedTrack) => {
+      try {
+        const seedArtistId = seedTrack.artists[0].id;
+        const deepCuts = await getArtistDeepCuts(seedArtistId, api, playlistVibe, avgVibe, featuresAvailable);
+        const deepFeatMap = featuresAvailable && deepCuts.length > 0 ? await fetchAudioFeaturesMap(api, deepCuts) : new Map();
         for (const track of deepCuts) {
-          if (!uriSeen.has(track.uri) && candidateTracks.length < MAX_CANDIDATES) {
-            let simScore = 75;
-            if (lastfmApiKey) {
-              if (!(await isVibeMatchByMetadata(track, playlistVibe, lastfmApiKey))) continue;
+          if (bucket.has(track.uri) || bucket.isFull()) continue;
+          let simScore = 95;
+          if (featuresAvailable) {
+            const candFeatures = deepFeatMap.get(track.id);
+            if (candFeatures) {
+              if (!isVibeMatch(candFeatures, playlistVibe, avgVibe)) continue;
+              simScore = calculateEnhancedVibeSimilarity(candFeatures, avgVibe, playlistVibe, culturalContext, ctx.avoidProfile);
             }
-            const classification = classifyCandidateByProximity(track, seedTracks, topArtistIds, relatedArtistSet);
-            simScore = Math.min(100, Math.round(simScore));
-            candidateTracks.push({ ...track, similarity: simScore, _circle: classification.circle, _proximityWeight: classification.weight, _source: 'lastfm' });
-            uriSeen.add(track.uri);
+          } else {
+            const tagSimilarity = await scoreVibeByMetadata(track, playlistVibe, lastfmApiKey);
+            if (tagSimilarity !== null && tagSimilarity < MIN_TAG_SIMILARITY) continue;
+            simScore = applyTagSimilarity(90, tagSimilarity);
           }
+          const classification = classifyCandidateByProximity(track, seedTracks, topArtistIds, relatedArtistSet);
+          simScore = Math.min(100, Math.round(simScore));
+          bucket.add({ ...track, similarity: simScore, _circle: classification.circle, _proximityWeight: classification.weight, _seedIds: [seedTrack.id] });
         }
-      });
-      await Promise.all(deepCutPromises);
-      lastfmUsed = true;
-    }
-    console.log("Fase 2: Buscando similares via Last.fm tracks e deep cuts...");
-    if (lastfmApiKey) {
-      const lastfmPromises = seedTracks.slice(0, 3).map(async (seedTrack) => {
-        try {
-          const seedArtistId = seedTrack.artists[0].id;
-          const deepCuts = await getArtistDeepCuts(seedArtistId, api, playlistVibe, avgVibe, featuresAvailable);
-          const deepIds = deepCuts.map(t => t.id).filter(Boolean);
-          const deepFeatMap = featuresAvailable && deepIds.length > 0 ? await fetchAudioFeaturesMap(api, deepIds) : new Map();
-          for (const track of deepCuts) {
-            if (!uriSeen.has(track.uri) && candidateTracks.length < MAX_CANDIDATES) {
-              let simScore = 95;
-              if (featuresAvailable) {
-                const candFeatures = deepFeatMap.get(track.id);
-                if (candFeatures) {
-                  if (!isVibeMatch(candFeatures, playlistVibe, avgVibe)) continue;
-                  simScore = calculateEnhancedVibeSimilarity(candFeatures, avgVibe, playlistVibe, culturalContext);
-                }
-              } else if (lastfmApiKey) {
-                if (!(await isVibeMatchByMetadata(track, playlistVibe, lastfmApiKey))) continue;
-                simScore = 90;
-              }
-              const classification = classifyCandidateByProximity(track, seedTracks, topArtistIds, relatedArtistSet);
-              simScore = Math.min(100, Math.round(simScore));
-              candidateTracks.push({ ...track, similarity: simScore, _circle: classification.circle, _proximityWeight: classification.weight, _source: 'deep-cut' });
-              uriSeen.add(track.uri);
-            }
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        console.warn(`Aviso: Falha ao buscar deep cuts da seed "${seedTrack.name}". Erro: ${error.message}`);
+      }
+    }));
+  }
+});
+
+candidateSources.register({
+  name: 'lastfm-similar-tracks',
+  label: 'Faixas similares (Last.fm track.getsimilar)',
+  quota: 15,
+  priority: 4,
+  collect: async (ctx, bucket) => {
+    const { api, lastfmApiKey, seedTracks, playlistVibe, avgVibe, featuresAvailable, culturalContext, topArtistIds, relatedArtistSet } = ctx;
+    if (!lastfmApiKey) return;
+    await Promise.all(seedTracks.slice(0, 3).map(async (seedTrack) => {
+      try {
+        const similar = await getLastfmSimilarTracks(seedTrack, lastfmApiKey, 10);
+        if (!similar) return;
+        const similarTracks = similar.filter(t => parseFloat(t.match) > 0.3).slice(0, 7);
+        // Resolve todas no Spotify antes, para buscar as audio features num único batch
+        const matches = [];
+        for (const simTrack of similarTracks) {
+          try {
+            const matchTrack = await trackIdentity.resolveSpotify(api, lastfmTrackQuery(simTrack), { market: marketOf(api) });
+            if (matchTrack) matches.push({ simTrack, matchTrack });
+          } catch (searchErr) {
+            if (searchErr.name === 'AbortError') throw searchErr;
+            console.warn(`Erro na busca por similar track:`, searchErr.message);
           }
-          const url = `http://ws.audioscrobbler.com/2.0/?method=track.getsimilar&artist=${encodeURIComponent(seedTrack.artists[0].name)}&track=${encodeURIComponent(seedTrack.name)}&api_key=${lastfmApiKey}&format=json&limit=10`;
-          const lfRes = await lastfmLimiter.execute(() => fetch(url));
-          if (lfRes.ok) {
-            const data = await lfRes.json();
-            const similarTracks = (data.similartracks?.track || []).filter(t => parseFloat(t.match) > 0.3).slice(0, 7);
-            for (const simTrack of similarTracks) {
-              try {
-                const searchData = await spotifyLimiter.execute(() => api.searchTracks(`${simTrack.name} ${simTrack.artist.name}`, { limit: 1, market: 'US' }));
-                const matchTrack = searchData.body.tracks.items[0];
-                if (matchTrack && !uriSeen.has(matchTrack.uri) && candidateTracks.length < MAX_CANDIDATES) {
-                  let similarityScore = Math.round(parseFloat(simTrack.match) * 100);
-                  if (featuresAvailable) {
-                    const featMap = await fetchAudioFeaturesMap(api, [matchTrack.id]);
-                    const candFeatures = featMap.get(matchTrack.id);
-                    if (candFeatures) {
-                      if (!isVibeMatch(candFeatures, playlistVibe, avgVibe)) continue;
-                      const vibeSim = calculateEnhancedVibeSimilarity(candFeatures, avgVibe, playlistVibe, culturalContext);
-                      similarityScore = Math.round(0.6 * vibeSim + 0.4 * similarityScore);
-                    }
-                  } else if (lastfmApiKey) {
-                    if (!(await isVibeMatchByMetadata(matchTrack, playlistVibe, lastfmApiKey))) continue;
-                    similarityScore = Math.round(similarityScore * 0.8);
-                  }
-                  const classification = classifyCandidateByProximity(matchTrack, seedTracks, topArtistIds, relatedArtistSet);
-                  similarityScore = Math.min(100, Math.round(similarityScore));
-                  candidateTracks.push({ ...matchTrack, similarity: similarityScore, _circle: classification.circle, _proximityWeight: classification.weight, _source: 'lastfm' });
-                  uriSeen.add(matchTrack.uri);
-                }
-              } catch (searchErr) {
-                console.warn(`Erro na busca por similar track:`, searchErr.message);
+        }
+        const featMap = featuresAvailable && matches.length ? await fetchAudioFeaturesMap(api, matches.map(m => m.matchTrack)) : new Map();
+        for (const { simTrack, matchTrack } of matches) {
+          if (bucket.isFull()) break;
+          try {
+            if (bucket.has(matchTrack.uri)) continue;
+            let similarityScore = Math.round(parseFloat(simTrack.match) * 100);
+            if (featuresAvailable) {
+              const candFeatures = featMap.get(matchTrack.id);
+              if (candFeatures) {
+                if (!isVibeMatch(candFeatures, playlistVibe, avgVibe)) continue;
+                const vibeSim = calculateEnhancedVibeSimilarity(candFeatures, avgVibe, playlistVibe, culturalContext, ctx.avoidProfile);
+                similarityScore = Math.round(0.6 * vibeSim + 0.4 * similarityScore);
               }
+            } else {
+              const tagSimilarity = await scoreVibeByMetadata(matchTrack, playlistVibe, lastfmApiKey);
+              if (tagSimilarity !== null && tagSimilarity < MIN_TAG_SIMILARITY) continue;
+              similarityScore = applyTagSimilarity(Math.round(similarityScore * 0.8), tagSimilarity);
             }
-            lastfmUsed = true;
+            const classification = classifyCandidateByProximity(matchTrack, seedTracks, topArtistIds, relatedArtistSet);
+            similarityScore = Math.min(100, Math.round(similarityScore));
+            bucket.add({ ...matchTrack, similarity: similarityScore, _circle: classification.circle, _proximityWeight: classification.weight, _seedIds: [seedTrack.id], _lastfmMatch: parseFloat(simTrack.match) });
+          } catch (scoreErr) {
+            if (scoreErr.name === 'AbortError') throw scoreErr;
+            console.warn(`Erro ao pontuar similar track:`, scoreErr.message);
           }
-        } catch (error) {
-          console.warn(`Aviso: Falha ao processar seed "${seedTrack.name}". Erro: ${error.message}`);
         }
-      });
-      await Promise.all(lastfmPromises);
-      console.log(`Last.fm usado: ${lastfmUsed}. Total de candidatos: ${candidateTracks.length}`);
-    }
-    console.log('Minerando deep cuts de artistas nicho...');
-    const nichePromises = nicheArtistIds.slice(0, 10).map(async (nicheId) => {
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        console.warn(`Aviso: Falha ao processar seed "${seedTrack.name}". Erro: ${error.message}`);
+      }
+    }));
+  }
+});
+
+candidateSources.register({
+  name: 'niche-deep-cuts',
+  label: 'Deep cuts de artistas nicho',
+  quota: 10,
+  priority: 5,
+  collect: async (ctx, bucket) => {
+    const { api, lastfmApiKey, seedTracks, nicheArtistIds, playlistVibe, avgVibe, topArtistIds, relatedArtistSet } = ctx;
+    await Promise.all(nicheArtistIds.slice(0, 10).map(async (nicheId) => {
       const deepCuts = await getArtistDeepCuts(nicheId, api, playlistVibe, avgVibe, false);
       for (const track of deepCuts) {
-        if (!uriSeen.has(track.uri) && candidateTracks.length < MAX_CANDIDATES) {
-          let simScore = 70;
-          if (lastfmApiKey) {
-            if (!(await isVibeMatchByMetadata(track, playlistVibe, lastfmApiKey))) continue;
-          }
-          const classification = classifyCandidateByProximity(track, seedTracks, topArtistIds, relatedArtistSet);
-          simScore = Math.min(100, Math.round(simScore * classification.weight));
-          candidateTracks.push({ ...track, similarity: simScore, _circle: 3, _source: 'deep-cut' });
-          uriSeen.add(track.uri);
-        }
+        if (bucket.has(track.uri) || bucket.isFull()) continue;
+        const tagSimilarity = await scoreVibeByMetadata(track, playlistVibe, lastfmApiKey);
+        if (tagSimilarity !== null && tagSimilarity < MIN_TAG_SIMILARITY) continue;
+        const classification = classifyCandidateByProximity(track, seedTracks, topArtistIds, relatedArtistSet);
+        const simScore = Math.min(100, Math.round(applyTagSimilarity(70, tagSimilarity) * classification.weight));
+        bucket.add({ ...track, similarity: simScore, _circle: 3 });
       }
-    });
-    await Promise.all(nichePromises);
-    if (candidateTracks.length < 10 && !useTopArtists) {
-      console.log('Pulando top tracks de user por mismatch de gênero. Considerando mais related artists.');
-    }
-    // Fase Mineração de Contexto Cultural (parallel)
-    console.log("\n=== FASE: MINERAÇÃO DE CONTEXTO CULTURAL ===");
+    }));
+  }
+});
+
+candidateSources.register({
+  name: 'era-context',
+  label: 'Mineração de contexto cultural',
+  quota: 13,
+  priority: 6,
+  collect: async (ctx, bucket) => {
+    const { api, lastfmApiKey, seedTracks, culturalContext, playlistVibe, avgVibe, featuresAvailable, topTracksCache } = ctx;
     const eraArtists = await getArtistsFromSameEra(seedTracks, culturalContext, lastfmApiKey, api);
     const sortedEraArtists = eraArtists
       .sort((a, b) => {
@@ -1336,7 +2187,7 @@ app.post('/analyze', async (req, res) => {
         return b.eraTracksCount - a.eraTracksCount;
       })
       .slice(0, 10);
-    const eraPromises = sortedEraArtists.map(async (eraArtist) => {
+    await Promise.all(sortedEraArtists.map(async (eraArtist) => {
       const eraTracks = await getTracksFromEraContext(
         eraArtist,
         culturalContext,
@@ -1346,174 +2197,900 @@ app.post('/analyze', async (req, res) => {
         api,
         topTracksCache
       );
-      eraTracks.forEach(track => {
-        if (!uriSeen.has(track.uri) && candidateTracks.length < MAX_CANDIDATES) {
-          candidateTracks.push(track);
-          uriSeen.add(track.uri);
-        }
-      });
-      console.log(` ${eraArtist.name}: ${eraTracks.length} tracks adicionadas`);
-      return eraTracks.length;
+      // Seeds cujos artistas levaram a este artista da mesma era
+      const originSeedIds = seedTracks
+        .filter(s => (eraArtist.sourceArtists || []).includes(s.artists?.[0]?.name))
+        .map(s => s.id);
+      const added = eraTracks.filter(track => bucket.add({ ...track, _seedIds: originSeedIds })).length;
+      console.log(` ${eraArtist.name}: ${added} tracks adicionadas`);
+    }));
+  }
+});
+
+// Pipeline completo do /analyze. Os eventos de progresso vão para `reporter`
+// (o /analyze-stream repassa cada um ao cliente via SSE).
+const runAnalysis = async (api, { trackIds, prompt, options } = {}, reporter = new ProgressReporter()) => {
+  const topTracksCache = new Map();
+  const deterministic = Boolean(options?.deterministic ?? true);
+  const randomness = Number(options?.randomness ?? 0.15); // 0..0.3 aprox
+  const randomSeed = options?.randomSeed ?? Math.floor(Date.now() / 1000);
+  const rand = deterministic ? seededRandom(randomSeed) : Math.random;
+  const hasPrompt = typeof prompt === 'string' && prompt.trim().length > 0;
+  if ((!trackIds || !trackIds.length) && !hasPrompt) {
+    throw new ApiError('Nenhuma música fornecida.', 400);
+  }
+  const arc = options?.arc ?? 'none';
+  if (!ENERGY_ARCS.includes(arc)) {
+    throw new ApiError(`Arco de energia inválido: ${arc}. Use ${ENERGY_ARCS.join(', ')}.`, 400);
+  }
+  const marketOverride = parseMarketOption(options);
+  console.log('Validando token...');
+  const meData = await spotifyLimiter.execute(() => api.getMe());
+  console.log('Token válido. Usuário:', meData.body.display_name);
+  // Catálogo do país do usuário, a menos que a geração peça outro mercado
+  setApiMarket(api, marketOverride || meData.body.country);
+  console.log(`Mercado: ${api.market || 'do token'}${marketOverride ? ' (sobrescrito)' : ''}`);
+  // Prompt em texto livre: as faixas das tags reconhecidas entram como seeds sintéticas
+  let promptInterpretation = null;
+  if (hasPrompt) {
+    if (!process.env.LASTFM_API_KEY) {
+      throw new ApiError('Gerar a partir de um prompt requer LASTFM_API_KEY.', 400);
+    }
+    reporter.start('prompt', 'Interpretando o prompt');
+    const resolved = await resolvePromptSeeds(api, prompt, process.env.LASTFM_API_KEY);
+    promptInterpretation = resolved.interpretation;
+    console.log('Prompt interpretado:', promptInterpretation);
+    if (resolved.seedTracks.length === 0 && (!trackIds || !trackIds.length)) {
+      const ignored = promptInterpretation.unrecognized.length ? ` Termos não reconhecidos: ${promptInterpretation.unrecognized.join(', ')}.` : '';
+      throw new ApiError(`Nenhuma tag do prompt foi reconhecida no Last.fm.${ignored} Tente gêneros, moods ou décadas.`, 422);
+    }
+    trackIds = [...(trackIds || []), ...resolved.seedTracks.map(t => t.id)];
+    reporter.finish('prompt', [], { tags: promptInterpretation.tags.map(t => t.tag), era: promptInterpretation.era, seedCount: resolved.seedTracks.length });
+  }
+  const avoidOptions = parseAvoidOptions(options);
+  const uniqueTrackIds = Array.from(new Set(trackIds.filter(id => id && id.trim() && !avoidOptions.trackIds.includes(id))));
+  if (uniqueTrackIds.length === 0) {
+    throw new ApiError('Nenhuma música válida fornecida após remoção de duplicatas.', 400);
+  }
+  if (uniqueTrackIds.length < trackIds.length) {
+    console.log(`Duplicatas removidas: ${trackIds.length} → ${uniqueTrackIds.length} IDs únicos.`);
+  }
+  console.log('Track IDs únicos recebidos:', uniqueTrackIds);
+  console.log("--- INICIANDO ALGORITMO APRIMORADO ---");
+  console.log('Buscando seed tracks...');
+  reporter.start('seeds', 'Carregando seeds');
+  const seedTracksData = await spotifyLimiter.execute(() => api.getTracks(uniqueTrackIds, withMarket(api)));
+  let seedTracks = seedTracksData.body.tracks.filter(t => t);
+  console.log('Seed tracks obtidas:', seedTracks.length, 'tracks válidas');
+  // Pesos por seed: as mais pesadas vão para a frente e conduzem as fases que usam só as primeiras seeds
+  const seedWeights = parseSeedWeights(options);
+  if (seedWeights.size > 0) {
+    seedTracks = seedTracks
+      .map(t => ({ ...t, _weight: seedWeights.get(t.id) ?? 1 }))
+      .sort((a, b) => b._weight - a._weight);
+    console.log('Pesos das seeds:', seedTracks.map(t => `${t.name}=${t._weight}`));
+  }
+  reporter.finish('seeds', [], { seedCount: seedTracks.length });
+  const constraints = parseGenerationConstraints(options, seedTracks);
+  let candidateTracks = [];
+  const uriSeen = new Set(seedTracks.map(t => t.uri));
+  // Faixas que nunca devem virar candidatas (ex.: já presentes na playlist sendo estendida)
+  (Array.isArray(options?.excludeUris) ? options.excludeUris : []).forEach(uri => uriSeen.add(uri));
+  const seedArtistIds = Array.from(new Set(seedTracks.flatMap(t => (t.artists || []).map(a => a.id).filter(Boolean))));
+  let relatedArtistSet = new Set();
+  const lastfmApiKey = process.env.LASTFM_API_KEY;
+  if (!lastfmApiKey) reporter.warn('lastfm-unavailable', 'LASTFM_API_KEY ausente — fases do Last.fm desativadas.');
+  if (seedArtistIds.length > 0 && lastfmApiKey) {
+    try {
+      const relatedMap = await getRelatedArtistsViaLastfm(seedTracks, lastfmApiKey, api);
+      Object.values(relatedMap).forEach(list => list.forEach(id => relatedArtistSet.add(id)));
+      seedArtistIds.forEach(id => relatedArtistSet.delete(id));
+      console.log(`Related artists coletados: ${relatedArtistSet.size}`);
+    } catch (e) {
+      console.warn('Falha ao montar related artists:', e.message || e);
+      relatedArtistSet = new Set();
+    }
+  }
+  console.log('Análise precoce de gêneros das seeds...');
+  const seedGenresMap = await getArtistsGenres(seedArtistIds, api);
+  const seedGenreCounts = {};
+  seedTracks.forEach(track => {
+    (track.artists || []).forEach(a => {
+      const gs = (seedGenresMap[a.id] || []);
+      if (gs.length === 0) {
+        seedGenreCounts['unknown'] = (seedGenreCounts['unknown'] || 0) + 1;
+      } else {
+        gs.forEach(g => seedGenreCounts[g] = (seedGenreCounts[g] || 0) + 1);
+      }
     });
-    await Promise.all(eraPromises);
-    // Fix: Dedup por URI
-    const uniqueCandidates = new Map();
-    candidateTracks.forEach(track => {
-      if (!uniqueCandidates.has(track.uri)) uniqueCandidates.set(track.uri, track);
+  });
+  const topSeedGenres = Object.entries(seedGenreCounts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 6)
+    .map(([g]) => g);
+  console.log('Top gêneros das seeds:', topSeedGenres);
+  reporter.start('artist-network', 'Explorando rede de artistas');
+  const artistNetwork = await exploreArtistNetworkViaLastfm(seedTracks, topSeedGenres, lastfmApiKey, api, 2);
+  const nicheArtistIds = Array.from(artistNetwork.values())
+    .filter(data => data.popularity < 55 && data.level > 0 && data.spotifyId)
+    .map(data => data.spotifyId);
+  console.log(`Artistas nicho identificados: ${nicheArtistIds.length}`);
+  reporter.finish('artist-network', [], { artistCount: artistNetwork.size, nicheArtistCount: nicheArtistIds.length });
+  const seedDecadeCounts = {};
+  seedTracks.forEach(track => {
+    const dec = decadeFromReleaseDate(track.album?.release_date);
+    seedDecadeCounts[dec] = (seedDecadeCounts[dec] || 0) + 1;
+  });
+  const topSeedDecades = Object.entries(seedDecadeCounts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 3)
+    .map(([d]) => d);
+  // ===== Audio features das seeds (Spotify; estimativa local das prévias como fallback) =====
+  let avgVibe = {
+    danceability: 0.5, energy: 0.5, valence: 0.5,
+    acousticness: 0.5, tempo: 120, loudness: -10,
+    speechiness: 0.1, instrumentalness: 0.1
+  };
+  let featuresAvailable = false;
+  let featuresSource = null;
+  reporter.start('audio-features', 'Analisando audio features das seeds');
+  try {
+    const seedFeatMap = await fetchAudioFeaturesMap(api, seedTracks.slice(0, 20), { estimate: true });
+    const seedFeats = seedTracks.slice(0, 20).map(t => seedFeatMap.get(t.id));
+    const computed = computeAvgVibeFromFeatures(seedFeats, seedTracks.slice(0, 20).map(seedWeightOf));
+    if (computed) {
+      avgVibe = computed;
+      featuresAvailable = true;
+      const localCount = seedFeats.filter(f => f?.source === 'local').length;
+      const spotifyCount = seedFeats.filter(f => f && f.source !== 'local').length;
+      featuresSource = localCount === 0 ? 'spotify' : (spotifyCount === 0 ? 'local' : 'mixed');
+      console.log(`AvgVibe (audio features, fonte: ${featuresSource}):`, avgVibe);
+    }
+  } catch (e) {
+    if (e.name === 'AbortError') throw e;
+    console.warn('Falha ao obter avgVibe via audio features:', e.message);
+  }
+  if (!featuresAvailable) {
+    reporter.warn('audio-features-unavailable', 'Audio features indisponíveis (Spotify e análise local) — usando metadados/Last.fm.');
+  } else if (featuresSource === 'local') {
+    reporter.warn('audio-features-local', 'Audio features do Spotify indisponíveis — usando estimativas locais das prévias de 30s.');
+  }
+  reporter.finish('audio-features', [], { featuresAvailable, featuresSource });
+  console.log('Inferindo vibe por metadados...');
+  reporter.start('vibe', 'Inferindo vibe e contexto cultural');
+  const playlistVibe = await inferVibe(seedTracks, lastfmApiKey, 'playlist', { topSeedGenres, topSeedDecades });
+  console.log('Vibe inferida:', playlistVibe);
+  const culturalContext = detectCulturalEra(seedTracks, topSeedGenres, topSeedDecades);
+  console.log('Contexto cultural detectado:', culturalContext);
+  reporter.finish('vibe', [], { mood: playlistVibe.mood, culturalEra: culturalContext.culturalEra });
+  // ===== Seeds negativas ("avoid") =====
+  let avoidProfile = null;
+  if (avoidOptions.trackIds.length || avoidOptions.artists.length || avoidOptions.tags.length) {
+    reporter.start('avoid', 'Carregando seeds negativas');
+    const avoidTracks = [];
+    if (avoidOptions.trackIds.length) {
+      try {
+        const avoidData = await spotifyLimiter.execute(() => api.getTracks(avoidOptions.trackIds.slice(0, 50), withMarket(api)));
+        avoidTracks.push(...avoidData.body.tracks.filter(Boolean));
+      } catch (e) {
+        if (e.name === 'AbortError') throw e;
+        console.warn('Falha ao carregar seeds negativas:', e.message || e);
+      }
+    }
+    let negativeVibe = null;
+    if (featuresAvailable && avoidTracks.length) {
+      const avoidFeatMap = await fetchAudioFeaturesMap(api, avoidTracks, { estimate: true });
+      negativeVibe = computeAvgVibeFromFeatures(avoidTracks.map(t => avoidFeatMap.get(t.id)).filter(Boolean));
+    }
+    // Tags das faixas evitadas que não fazem parte da vibe das seeds positivas
+    const trackTags = new Set();
+    if (lastfmApiKey) {
+      const tagLists = await Promise.all(avoidTracks.map(t => getLastfmTags(t, lastfmApiKey)));
+      tagLists.forEach(list => list.slice(0, 5).forEach(tag => {
+        if (!(playlistVibe.tags || []).includes(tag)) trackTags.add(tag);
+      }));
+    }
+    avoidTracks.forEach(t => uriSeen.add(t.uri));
+    avoidProfile = {
+      trackIds: avoidTracks.map(t => t.id),
+      artists: avoidOptions.artists,
+      artistIds: new Set(avoidOptions.artists),
+      artistNames: new Set(avoidOptions.artistNames),
+      tags: avoidOptions.tags,
+      trackTags,
+      negativeVibe
+    };
+    console.log('Seeds negativas:', { tracks: avoidProfile.trackIds.length, artists: avoidOptions.artists, tags: avoidOptions.tags, learnedTags: Array.from(trackTags) });
+    reporter.finish('avoid', [], { trackCount: avoidTracks.length, artistCount: avoidOptions.artists.length, tagCount: avoidOptions.tags.length + trackTags.size });
+  }
+  console.log('Obtendo top artists...');
+  let topArtistIds = [];
+  let useTopArtists = true;
+  try {
+    const topArtistsData = await spotifyLimiter.execute(() => api.getMyTopArtists({ limit: 5, time_range: 'medium_term' }));
+    const topArtists = topArtistsData.body.items;
+    const topArtistGenreMap = await getArtistsGenres(topArtists.map(a => a.id), api);
+    const topArtistGenres = new Set();
+    topArtists.forEach(artist => {
+      (topArtistGenreMap[artist.id] || []).forEach(g => topArtistGenres.add(g));
     });
-    candidateTracks = Array.from(uniqueCandidates.values()).slice(0, MAX_CANDIDATES);
-    console.log(`Deduplicação por URI concluída: ${candidateTracks.length} tracks únicas.`);
-    console.log("Analisando gêneros e décadas dos candidatos e seeds...");
-    const poolForAnalysis = [
-      ...seedTracks,
-      ...candidateTracks.slice(0, 100)
-    ];
-    const artistIds = [];
-    poolForAnalysis.forEach(t => {
-      (t.artists || []).forEach(a => {
-        if (a && a.id) artistIds.push(a.id);
-      });
+    const genreOverlap = Array.from(topArtistGenres).filter(g => topSeedGenres.includes(g)).length;
+    if (genreOverlap === 0) {
+      console.log('Top artists do usuário sem overlap de gênero com seeds. Pulando para evitar mismatch.');
+      reporter.warn('top-artists-skipped', 'Top artists do usuário sem overlap de gênero com as seeds.');
+      useTopArtists = false;
+    } else {
+      topArtistIds = topArtists.map(a => a.id).filter(id => id);
+      console.log('Top artists do usuário (com overlap):', topArtistIds);
+    }
+  } catch (topErr) {
+    console.warn('Erro ao obter top artists:', topErr.message);
+    useTopArtists = false;
+  }
+  const seedRecordings = new Set(seedTracks.map(t => TrackIdentity.normalizeIsrc(t.external_ids?.isrc)).filter(Boolean).map(isrc => `isrc:${isrc}`));
+  const sourceCtx = {
+    api, seedTracks, uniqueTrackIds, uriSeen, lastfmApiKey,
+    playlistVibe, avgVibe, featuresAvailable, culturalContext,
+    topArtistIds, useTopArtists, relatedArtistSet, nicheArtistIds, topTracksCache,
+    reporter, recommendationsAvailable: false,
+    avoidProfile,
+    exclude: avoidProfile ? (track) => isAvoidedArtist(track, avoidProfile) : null,
+    // Outra edição (mesmo ISRC) de uma seed nem entra no pool; entre candidatos, a melhor edição
+    // é escolhida depois, em dedupeRecordings
+    identify: (track) => {
+      const key = `isrc:${TrackIdentity.normalizeIsrc(track.external_ids?.isrc)}`;
+      return seedRecordings.has(key) ? key : null;
+    },
+    recordingSeen: new Set(seedRecordings)
+  };
+  candidateTracks = await candidateSources.run(sourceCtx, options?.sources, reporter);
+  console.log(`Total de candidatos após as fontes: ${candidateTracks.length}`);
+  if (candidateTracks.length < 10 && !useTopArtists) {
+    console.log('Pulando top tracks de user por mismatch de gênero. Considerando mais related artists.');
+  }
+  // Fix: Dedup por URI
+  const uniqueCandidates = new Map();
+  candidateTracks.forEach(track => {
+    if (!uniqueCandidates.has(track.uri)) uniqueCandidates.set(track.uri, track);
+  });
+  candidateTracks = Array.from(uniqueCandidates.values());
+  console.log(`Deduplicação por URI concluída: ${candidateTracks.length} tracks únicas.`);
+  const unplayableCount = candidateTracks.filter(t => !isPlayable(t)).length;
+  if (unplayableCount > 0) {
+    candidateTracks = candidateTracks.filter(isPlayable);
+    console.log(`${unplayableCount} candidatos indisponíveis no mercado ${api.market || 'do token'} removidos.`);
+  }
+  // Mesma gravação em álbum, single, deluxe ou remaster: fica só a edição original
+  reporter.start('dedup', 'Removendo edições repetidas');
+  const dedup = TrackIdentity.dedupeRecordings(candidateTracks, { reserved: seedTracks, market: api.market });
+  candidateTracks = dedup.tracks.slice(0, MAX_CANDIDATES);
+  if (dedup.removed.length) console.log(`${dedup.removed.length} edições repetidas removidas.`);
+  reporter.finish('dedup', candidateTracks, { removed: dedup.removed.length });
+  // Sem o Spotify, as fontes pontuaram os candidatos por metadados; o pool inteiro é estimado
+  // localmente uma vez aqui e a similaridade de vibe entra antes do filtro de contexto
+  let poolFeatMap = new Map();
+  if (featuresAvailable && featuresSource !== 'spotify') {
+    reporter.start('pool-features', 'Estimando audio features dos candidatos');
+    poolFeatMap = await fetchAudioFeaturesMap(api, candidateTracks, { estimate: true, maxEstimates: MAX_CANDIDATES, reporter });
+    let rescored = 0;
+    candidateTracks = candidateTracks.map(track => {
+      const f = poolFeatMap.get(track.id);
+      if (f?.source !== 'local') return track;
+      rescored++;
+      const vibeSim = calculateEnhancedVibeSimilarity(f, avgVibe, playlistVibe, culturalContext, avoidProfile);
+      return { ...track, similarity: Math.round(0.5 * (track.similarity || 0) + 0.5 * vibeSim) };
     });
-    const artistGenresMap = await getArtistsGenres(artistIds, api);
-    const genreCounts = {};
-    const decadeCounts = {};
-    poolForAnalysis.forEach(track => {
-      const trackGenreSet = new Set();
-      (track.artists || []).forEach(a => {
-        const g = artistGenresMap[a.id] || [];
-        g.forEach(genre => trackGenreSet.add(genre));
-      });
-      if (trackGenreSet.size === 0) {
-        trackGenreSet.add('unknown');
-      }
-      trackGenreSet.forEach(g => {
-        genreCounts[g] = (genreCounts[g] || 0) + 1;
+    reporter.finish('pool-features', candidateTracks, { estimated: rescored });
+  }
+  console.log("Analisando gêneros e décadas dos candidatos e seeds...");
+  reporter.start('context-filter', 'Filtro de gênero e década');
+  const poolForAnalysis = [
+    ...seedTracks,
+    ...candidateTracks.slice(0, 100)
+  ];
+  const artistIds = [];
+  poolForAnalysis.forEach(t => {
+    (t.artists || []).forEach(a => {
+      if (a && a.id) artistIds.push(a.id);
+    });
+  });
+  const artistGenresMap = await getArtistsGenres(artistIds, api);
+  const genreCounts = {};
+  const decadeCounts = {};
+  poolForAnalysis.forEach(track => {
+    const trackGenreSet = new Set();
+    (track.artists || []).forEach(a => {
+      const g = artistGenresMap[a.id] || [];
+      g.forEach(genre => trackGenreSet.add(genre));
+    });
+    if (trackGenreSet.size === 0) {
+      trackGenreSet.add('unknown');
+    }
+    trackGenreSet.forEach(g => {
+      genreCounts[g] = (genreCounts[g] || 0) + 1;
+    });
+    const releaseDate = track.album?.release_date;
+    const dec = decadeFromReleaseDate(releaseDate);
+    decadeCounts[dec] = (decadeCounts[dec] || 0) + 1;
+  });
+  const topGenres = Object.entries(genreCounts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 12)
+    .map(([genre, count]) => ({ genre, count }));
+  const genreDistribution = topGenres;
+  const decadeDistribution = Object.entries(decadeCounts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([decade, count]) => ({ decade, count }));
+  console.log('Análise de gêneros/décadas concluída:', { genres: genreDistribution.length, decades: decadeDistribution.length });
+  // Tags dos candidatos só são necessárias quando há tags a evitar
+  const candidateTags = new Map();
+  if (avoidProfile && lastfmApiKey && (avoidProfile.tags.length > 0 || avoidProfile.trackTags.size > 0)) {
+    await Promise.all(candidateTracks.map(async (t) => candidateTags.set(t.uri, await getLastfmTags(t, lastfmApiKey))));
+  }
+  if (topSeedGenres.length > 0 || topSeedDecades.length > 0) {
+    candidateTracks = candidateTracks.map(track => {
+      const candArtistIds = (track.artists || []).map(a => a.id).filter(Boolean);
+      let candGenres = new Set();
+      candArtistIds.forEach(id => {
+        (artistGenresMap[id] || []).forEach(g => candGenres.add(g));
       });
-      const releaseDate = track.album?.release_date;
-      const dec = decadeFromReleaseDate(releaseDate);
-      decadeCounts[dec] = (decadeCounts[dec] || 0) + 1;
+      if (candGenres.size === 0) candGenres.add('unknown');
+      const genreMatches = Array.from(candGenres).filter(g => topSeedGenres.includes(g)).length;
+      const genreMultiplier = genreMatches > 0 ? Math.min(1 + 0.06 * genreMatches, 1.18) : 0.70;
+      const candDec = decadeFromReleaseDate(track.album?.release_date);
+      const decadeMatch = topSeedDecades.includes(candDec);
+      let decadeMultiplier = 1.0;
+      if (candDec === 'Unknown') decadeMultiplier = 0.97;
+      else decadeMultiplier = decadeMatch ? (playlistVibe.era.includes(candDec) ? 1.15 : 1.08) : 0.92;
+      const proximityMultiplier = (() => {
+        if (track._circle === 1) return 1.10;
+        if (track._circle === 2) return 1.06;
+        if (track._circle === 3) return 1.03;
+        return 1.00;
+      })();
+      const avoidMultiplier = computeAvoidMultiplier(null, candidateTags.get(track.uri), avoidProfile);
+      const combinedMultiplier = genreMultiplier * decadeMultiplier * proximityMultiplier * avoidMultiplier;
+      const newSim = Math.min(100, Math.round((track.similarity || 0) * combinedMultiplier));
+      return { ...track, similarity: newSim, _baseSimilarity: track.similarity || 0, _context: { genreMatches, candDecade: candDec, genreMultiplier, decadeMultiplier, proximityMultiplier, avoidMultiplier, combinedMultiplier } };
+    }).filter(track => track.similarity > 50);
+    console.log('Filtro de contexto aplicado. Exemplo dos top 5 candidatos após ajuste:', candidateTracks.slice(0, 5).map(t => ({ id: t.id, sim: t.similarity, ctx: t._context })));
+  } else {
+    console.log('Sem dados suficientes de seeds para filtro de contexto. Pulando etapa.');
+  }
+  reporter.finish('context-filter', candidateTracks);
+  console.log("Fase 3: Montando playlist final...");
+  reporter.start('assembly', 'Montando playlist final');
+  if (candidateTracks.length === 0) {
+    throw new Error('Nenhum candidato encontrado. Verifique seeds e API keys.');
+  }
+  candidateTracks.forEach(track => {
+    const proximity = classifyCandidateByProximity(track, seedTracks, topArtistIds, relatedArtistSet);
+    const k = clamp(randomness, 0, 0.3);
+    const variabilityFactor = 1 + ((rand() - 0.5) * 2) * k;
+    const w = track._proximityWeight || proximity.weight || 1.0;
+    track.finalScore = (track.similarity * w) * variabilityFactor;
+    track.circle = proximity.circle;
+    track._proximityWeight = w;
+    track._variabilityFactor = variabilityFactor;
+  });
+  candidateTracks.sort((a, b) => b.finalScore - a.finalScore);
+
+  // Multi-vibe: subgrupos por clustering das seeds
+  const { vibeSubgroups, space: subgroupSpace } = await detectVibeSubgroups(seedTracks, { api, lastfmApiKey, featuresAvailable });
+  const groupMap = new Map(vibeSubgroups.map(g => [g.id, g]));
+
+  // Atribuir cada candidato ao subgrupo de centróide mais próximo
+  const candidateFeatMap = vibeSubgroups.length > 1 && subgroupSpace.useFeatures
+    ? (featuresSource === 'spotify' ? await fetchAudioFeaturesMap(api, candidateTracks) : poolFeatMap)
+    : new Map();
+  await Promise.all(candidateTracks.map(async (c) => {
+    const best = await getBestSubgroupMatch(c, vibeSubgroups, subgroupSpace, { lastfmApiKey, features: candidateFeatMap.get(c.id) });
+    c._subgroupId = best.subgroupId;
+    c._subgroupScore = best.score;
+  }));
+
+  const finalSelection = assemblePlaylistBySections(vibeSubgroups, candidateTracks, constraints.targetSize, constraints, seedTracks);
+  const selectedDurationMs = [...seedTracks, ...finalSelection].reduce((sum, t) => sum + (t.duration_ms || 0), 0);
+  if (constraints.targetDurationMs) {
+    if (selectedDurationMs < constraints.targetDurationMs) {
+      const toMinutes = (ms) => Math.round(ms / 60000);
+      reporter.warn('constraints-shortfall', `Apenas ${toMinutes(selectedDurationMs)} de ${toMinutes(constraints.targetDurationMs)} minutos atendem às restrições.`);
+    }
+  } else if (finalSelection.length < constraints.targetSize) {
+    reporter.warn('constraints-shortfall', `Apenas ${finalSelection.length} de ${constraints.targetSize} faixas atendem às restrições.`);
+  }
+
+  // Anotar seeds com seus subgrupos
+  const seedGroupOf = new Map(vibeSubgroups.flatMap(g => g.seedIds.map(id => [id, g])));
+  const seedWithGroups = seedTracks.map(s => {
+    const g = seedGroupOf.get(s.id) || vibeSubgroups[0];
+    return { ...s, _subgroupId: g?.id, _subgroupLabel: g?.label, _subgroupMood: g?.mood, _source: 'seed', similarity: 100 };
+  });
+
+  // Construir playlist final com anotações de subgrupo
+  const annotatedPlaylist = [
+    ...seedWithGroups,
+    ...finalSelection.map(t => ({
+      ...t,
+      _subgroupLabel: groupMap.get(t._subgroupId)?.label,
+      _subgroupMood: groupMap.get(t._subgroupId)?.mood
+    }))
+  ];
+  reporter.finish('assembly', finalSelection, { subgroupCount: vibeSubgroups.length, trackCount: annotatedPlaylist.length });
+
+  // Sequenciamento pela curva de energia escolhida
+  reporter.start('sequencing', 'Ordenando pela curva de energia');
+  const energies = await resolveTrackEnergies(annotatedPlaylist, api, featuresAvailable, lastfmApiKey);
+  const sequenced = sequenceByEnergyArc(annotatedPlaylist, energies, arc);
+  const energySources = {};
+  energies.forEach(e => { energySources[e.source] = (energySources[e.source] || 0) + 1; });
+  if (arc !== 'none' && !energySources.features && !energySources.lastfm) {
+    reporter.warn('energy-unavailable', 'Sem audio features nem tags do Last.fm — ordem por energia é aproximada.');
+  }
+  const seqEnergies = sequenced.map(t => energies.get(t.uri)?.energy ?? 0.5);
+  const energyCurve = sequenced.map((t, i) => ({
+    id: t.id,
+    energy: Math.round(seqEnergies[i] * 100) / 100,
+    target: arc === 'none' ? null : Math.round(arcTarget(arc, sequenced.length > 1 ? i / (sequenced.length - 1) : 0, Math.min(...seqEnergies), Math.max(...seqEnergies)) * 100) / 100,
+    source: energies.get(t.uri)?.source || 'unknown'
+  }));
+  reporter.finish('sequencing', [], { arc, energySources });
+
+  const finalPlaylist = sequenced.map(track => formatPlaylistTrack(track, { seedTracks, groupMap, energies }));
+
+  // Guarda o pool pontuado para que /alternatives possa sugerir trocas depois da resposta
+  const analysisId = crypto.randomUUID();
+  analysisStore.set(`analysis:${analysisId}`, {
+    candidates: candidateTracks.map(compactTrack),
+    seedTracks: seedTracks.map(compactTrack),
+    vibeSubgroups,
+    constraints,
+    arc,
+    market: api.market,
+    featuresAvailable,
+    playlistVibe,
+    avgVibe,
+    topArtistIds,
+    relatedArtistIds: Array.from(relatedArtistSet),
+    energies,
+    energyRange: [Math.min(...seqEnergies), Math.max(...seqEnergies)],
+    avoidProfile
+  });
+  const avgSimilarity = finalPlaylist.reduce((sum, t) => sum + t.similarity, 0) / finalPlaylist.length;
+  const qualityValidation = validatePlaylistQuality(finalPlaylist, seedTracks, culturalContext);
+  const responseData = {
+    analysisId,
+    similarities: finalPlaylist,
+    avgSimilarity: Math.round(avgSimilarity),
+    featuresAvailable,
+    featuresSource,
+    recommendationsAvailable: sourceCtx.recommendationsAvailable,
+    genreDistribution,
+    decadeDistribution,
+    inferredVibe: playlistVibe,
+    culturalContext,
+    qualityValidation,
+    constraints,
+    totalDurationMs: selectedDurationMs,
+    duplicatesRemoved: dedup.removed.length,
+    market: api.market,
+    unplayableRemoved: unplayableCount,
+    promptInterpretation,
+    seedWeights: Object.fromEntries(seedTracks.map(t => [t.id, seedWeightOf(t)])),
+    arc,
+    energyCurve,
+    avoid: avoidProfile ? {
+      trackIds: avoidProfile.trackIds,
+      artists: avoidProfile.artists,
+      tags: avoidProfile.tags,
+      learnedTags: Array.from(avoidProfile.trackTags)
+    } : null,
+    vibeSubgroups: vibeSubgroups.map(g => ({
+      id: g.id,
+      label: g.label,
+      mood: g.mood,
+      subMood: g.subMood,
+      era: g.era,
+      weight: g.weight,
+      seedCount: g.count,
+      seedArtists: Array.from(g.seedArtists || []),
+      tags: Array.from(g.tags || [])
+    }))
+  };
+  console.log(lastfmCache.stats());
+  console.log(lastfmLimiter.stats());
+  console.log(spotifyLimiter.stats());
+  return responseData;
+};
+
+// ===== Estender uma playlist existente =====
+const MAX_EXTEND_PAGES = 20; // lê até 2000 faixas da playlist para não repetir nenhuma
+const MAX_EXTEND_COUNT = 50;
+
+// Carrega a playlist garantindo que o usuário pode editá-la (dono ou colaborativa)
+const loadEditablePlaylist = async (api, playlistId) => {
+  if (!playlistId) throw new ApiError('playlistId é obrigatório.', 400);
+  const [meData, playlistData] = await Promise.all([
+    spotifyLimiter.execute(() => api.getMe()),
+    spotifyLimiter.execute(() => api.getPlaylist(playlistId, { fields: 'id,name,owner(id),collaborative,snapshot_id,external_urls,tracks(total)' }))
+  ]);
+  const playlist = playlistData.body;
+  if (playlist.owner?.id !== meData.body.id && !playlist.collaborative) {
+    throw new ApiError('Só é possível estender playlists suas ou colaborativas.', 403);
+  }
+  return playlist;
+};
+
+const getPlaylistTrackItems = async (api, playlistId, total) => {
+  const pages = Math.min(MAX_EXTEND_PAGES, Math.ceil(total / 100));
+  const items = [];
+  for (let i = 0; i < pages; i++) {
+    const data = await spotifyLimiter.execute(() => api.getPlaylistTracks(playlistId, withMarket(api, { offset: i * 100, limit: 100 })));
+    items.push(...(data.body.items || []).map(item => item.track).filter(t => t && t.id && !t.is_local && t.type !== 'episode'));
+  }
+  return items;
+};
+
+// Adiciona ao fim da playlist em lotes de 100 (limite da API)
+const appendTracksToPlaylist = async (api, playlistId, uris) => {
+  let snapshotId = null;
+  for (const batch of chunkArray(uris, 100)) {
+    const data = await spotifyLimiter.execute(() => api.addTracksToPlaylist(playlistId, batch));
+    snapshotId = data.body?.snapshot_id || snapshotId;
+  }
+  return snapshotId;
+};
+
+// Gera `count` faixas novas usando uma amostra da playlist como seeds; com `autoApply` já adiciona ao fim dela.
+// O resultado tem o formato do /analyze, com `similarities` contendo só as faixas novas.
+const runPlaylistExtension = async (api, { playlistId, count = 10, autoApply = false } = {}, options = {}, reporter = new ProgressReporter()) => {
+  reporter.start('extend-read', 'Lendo a playlist');
+  const playlist = await loadEditablePlaylist(api, playlistId);
+  const existing = await getPlaylistTrackItems(api, playlistId, playlist.tracks?.total || 0);
+  if (existing.length === 0) throw new ApiError('A playlist está vazia — adicione algumas faixas antes de estendê-la.', 400);
+  const existingUris = new Set(existing.map(t => t.uri));
+  const seeds = sampleEvenly(Array.from(new Map(existing.map(t => [t.id, t])).values()), SEED_SAMPLE_SIZE);
+  const addCount = clamp(parseInt(count, 10) || 10, 1, MAX_EXTEND_COUNT);
+  reporter.finish('extend-read', [], { existingCount: existing.length, seedCount: seeds.length });
+
+  const analysis = await runAnalysis(api, {
+    trackIds: seeds.map(t => t.id),
+    options: { ...options, addCount, excludeUris: Array.from(existingUris) }
+  }, reporter);
+  const seedIds = new Set(seeds.map(t => t.id));
+  const newTracks = analysis.similarities.filter(t => !seedIds.has(t.id) && !existingUris.has(t.uri)).slice(0, addCount);
+
+  let applied = false;
+  let snapshotId = playlist.snapshot_id;
+  if (autoApply && newTracks.length > 0) {
+    reporter.start('extend-apply', 'Adicionando à playlist');
+    snapshotId = await appendTracksToPlaylist(api, playlistId, newTracks.map(t => t.uri));
+    applied = true;
+    reporter.finish('extend-apply', [], { added: newTracks.length });
+  }
+  return {
+    ...analysis,
+    similarities: newTracks,
+    extension: {
+      playlistId,
+      name: playlist.name,
+      url: playlist.external_urls?.spotify || null,
+      existingCount: playlist.tracks?.total || existing.length,
+      requested: addCount,
+      applied,
+      snapshotId
+    }
+  };
+};
+
+// Playlists que o usuário pode estender
+app.get('/my-playlists', async (req, res) => {
+  try {
+    const api = createApiInstance(req);
+    const meData = await spotifyLimiter.execute(() => api.getMe());
+    const playlists = [];
+    for (let offset = 0; offset < 200; offset += 50) {
+      const data = await spotifyLimiter.execute(() => api.getUserPlaylists({ limit: 50, offset }));
+      playlists.push(...(data.body.items || []));
+      if (!data.body.next) break;
+    }
+    res.json({
+      playlists: playlists
+        .filter(p => p && (p.owner?.id === meData.body.id || p.collaborative))
+        .map(p => ({ id: p.id, name: p.name, trackCount: p.tracks?.total || 0, images: p.images || [], url: p.external_urls?.spotify || null }))
     });
-    const topGenres = Object.entries(genreCounts)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 12)
-      .map(([genre, count]) => ({ genre, count }));
-    const genreDistribution = topGenres;
-    const decadeDistribution = Object.entries(decadeCounts)
-      .sort((a, b) => b[1] - a[1])
-      .map(([decade, count]) => ({ decade, count }));
-    console.log('Análise de gêneros/décadas concluída:', { genres: genreDistribution.length, decades: decadeDistribution.length });
-    if (topSeedGenres.length > 0 || topSeedDecades.length > 0) {
-      candidateTracks = candidateTracks.map(track => {
-        const candArtistIds = (track.artists || []).map(a => a.id).filter(Boolean);
-        let candGenres = new Set();
-        candArtistIds.forEach(id => {
-          (artistGenresMap[id] || []).forEach(g => candGenres.add(g));
-        });
-        if (candGenres.size === 0) candGenres.add('unknown');
-        const genreMatches = Array.from(candGenres).filter(g => topSeedGenres.includes(g)).length;
-        const genreMultiplier = genreMatches > 0 ? Math.min(1 + 0.06 * genreMatches, 1.18) : 0.70;
-        const candDec = decadeFromReleaseDate(track.album?.release_date);
-        const decadeMatch = topSeedDecades.includes(candDec);
-        let decadeMultiplier = 1.0;
-        if (candDec === 'Unknown') decadeMultiplier = 0.97;
-        else decadeMultiplier = decadeMatch ? (playlistVibe.era.includes(candDec) ? 1.15 : 1.08) : 0.92;
-        const proximityMultiplier = (() => {
-          if (track._circle === 1) return 1.10;
-          if (track._circle === 2) return 1.06;
-          if (track._circle === 3) return 1.03;
-          return 1.00;
-        })();
-        const combinedMultiplier = genreMultiplier * decadeMultiplier * proximityMultiplier;
-        const newSim = Math.min(100, Math.round((track.similarity || 0) * combinedMultiplier));
-        return { ...track, similarity: newSim, _context: { genreMatches, candDecade: candDec, genreMultiplier, decadeMultiplier, combinedMultiplier } };
-      }).filter(track => track.similarity > 50);
-      console.log('Filtro de contexto aplicado. Exemplo dos top 5 candidatos após ajuste:', candidateTracks.slice(0, 5).map(t => ({ id: t.id, sim: t.similarity, ctx: t._context })));
-    } else {
-      console.log('Sem dados suficientes de seeds para filtro de contexto. Pulando etapa.');
-    }
-    console.log("Fase 3: Montando playlist final...");
-    if (candidateTracks.length === 0) {
-      throw new Error('Nenhum candidato encontrado. Verifique seeds e API keys.');
-    }
-    candidateTracks.forEach(track => {
-      const proximity = classifyCandidateByProximity(track, seedTracks, topArtistIds, relatedArtistSet);
-      const k = clamp(randomness, 0, 0.3);
-      const variabilityFactor = 1 + ((rand() - 0.5) * 2) * k;
-      const w = track._proximityWeight || proximity.weight || 1.0;
-      track.finalScore = (track.similarity * w) * variabilityFactor;
-      track.circle = proximity.circle;
+  } catch (err) {
+    console.error('Erro em /my-playlists:', err.body || err.message);
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+// Aprovação do preview: adiciona ao fim da playlist as faixas escolhidas que ainda não estão nela
+app.post('/extend-playlist', async (req, res) => {
+  try {
+    const { playlistId, trackUris } = req.body || {};
+    if (!Array.isArray(trackUris) || trackUris.length === 0) throw new ApiError('Nenhuma faixa para adicionar.', 400);
+    const api = createApiInstance(req);
+    const playlist = await loadEditablePlaylist(api, playlistId);
+    const existing = await getPlaylistTrackItems(api, playlistId, playlist.tracks?.total || 0);
+    const existingUris = new Set(existing.map(t => t.uri));
+    const toAdd = Array.from(new Set(trackUris)).filter(uri => !existingUris.has(uri));
+    const snapshotId = toAdd.length ? await appendTracksToPlaylist(api, playlistId, toAdd) : playlist.snapshot_id;
+    res.json({ success: true, added: toAdd.length, skipped: trackUris.length - toAdd.length, snapshotId, playlistUrl: playlist.external_urls?.spotify || null });
+  } catch (err) {
+    console.error('Erro em /extend-playlist:', err.body || err.message);
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+// Formato público de uma faixa da playlist (resposta do /analyze e de /alternatives)
+const formatPlaylistTrack = (track, { seedTracks = [], groupMap = new Map(), energies = new Map() } = {}) => ({
+  id: track.id,
+  name: track.name,
+  artist: (track.artists || []).map(a => a.name).join(', '),
+  album: track.album?.name || null,
+  durationMs: track.duration_ms || null,
+  isrc: track.external_ids?.isrc || null,
+  albumImages: track.album?.images || [],
+  similarity: Math.round(track.similarity || 0),
+  uri: track.uri,
+  subgroupLabel: track._subgroupLabel || groupMap.get(track._subgroupId)?.label || null,
+  subgroupMood: track._subgroupMood || groupMap.get(track._subgroupId)?.mood || null,
+  energy: energies.get(track.uri)?.energy ?? null,
+  tempo: energies.get(track.uri)?.tempo ?? null,
+  explanation: buildTrackExplanation(track, seedTracks, groupMap.get(track._subgroupId))
+});
+
+// Remove campos volumosos (mercados disponíveis) antes de guardar faixas em memória
+const compactTrack = (track) => {
+  const { available_markets, ...rest } = track;
+  if (rest.album) {
+    const { available_markets: _albumMarkets, ...album } = rest.album;
+    rest.album = album;
+  }
+  return rest;
+};
+
+// Multiplicador de seeds negativas (uri -> 0.3..1) a aplicar sobre a pontuação atual. Faixas do pool
+// que já passaram por ele (`_context.avoidMultiplier` no runAnalysis, `_avoidMultiplier` no
+// /more-like-this) recebem 1 para não serem penalizadas duas vezes.
+const resolveAvoidMultipliers = async (api, tracks, avoidProfile, featuresAvailable) => {
+  const multipliers = new Map(tracks.map(t => [t.uri, 1]));
+  const pending = tracks.filter(t => (t._context?.avoidMultiplier ?? t._avoidMultiplier) === undefined);
+  if (!avoidProfile || pending.length === 0) return multipliers;
+  const lastfmApiKey = process.env.LASTFM_API_KEY;
+  const needsTags = lastfmApiKey && (avoidProfile.tags.length > 0 || avoidProfile.trackTags.size > 0);
+  const featMap = featuresAvailable && avoidProfile.negativeVibe ? await fetchAudioFeaturesMap(api, pending) : new Map();
+  await Promise.all(pending.map(async (t) => {
+    const tags = needsTags ? await getLastfmTags(t, lastfmApiKey) : null;
+    multipliers.set(t.uri, computeAvoidMultiplier(featMap.get(t.id) || null, tags, avoidProfile));
+  }));
+  return multipliers;
+};
+
+// ===== Trocar uma faixa por alternativas =====
+// Ranqueia candidatos não usados da mesma análise para o lugar de `trackId`: mesmo subgrupo primeiro,
+// mesmas restrições (ano/explícito/limite por artista/duração) e energia próxima do que a posição pede.
+app.post('/alternatives', async (req, res) => {
+  try {
+    const { analysisId, trackId, playlistUris = [], limit = 5 } = req.body || {};
+    const stored = analysisId ? analysisStore.get(`analysis:${analysisId}`) : null;
+    if (!stored) throw new ApiError('Análise não encontrada ou expirada — gere a playlist novamente.', 404);
+    const target = stored.candidates.find(t => t.id === trackId);
+    if (!target) {
+      const isSeed = stored.seedTracks.some(t => t.id === trackId);
+      throw new ApiError(isSeed ? 'Seeds não podem ser trocadas.' : 'Faixa não faz parte desta análise.', isSeed ? 400 : 404);
+    }
+    const { constraints = {}, arc } = stored;
+    const uris = Array.isArray(playlistUris) && playlistUris.length ? playlistUris : [target.uri];
+    const inPlaylist = new Set(uris);
+    const byUri = new Map([...stored.seedTracks, ...stored.candidates].map(t => [t.uri, t]));
+
+    // Limite por artista considerando a playlist atual sem a faixa que sai
+    const artistCounts = new Map();
+    uris.forEach(uri => {
+      if (uri === target.uri) return;
+      (byUri.get(uri)?.artists || []).forEach(a => {
+        const key = a.id || a.name;
+        artistCounts.set(key, (artistCounts.get(key) || 0) + 1);
+      });
     });
-    candidateTracks.sort((a, b) => b.finalScore - a.finalScore);
+    const withinArtistCap = (t) => !constraints.maxPerArtist ||
+      (t.artists || []).every(a => (artistCounts.get(a.id || a.name) || 0) < constraints.maxPerArtist);
+    const withinDuration = (t) => !constraints.targetDurationMs ||
+      Math.abs((t.duration_ms || 0) - (target.duration_ms || 0)) <= 60 * 1000;
+
+    const shortlist = stored.candidates
+      .filter(c => c.uri !== target.uri && !inPlaylist.has(c.uri) && !isAvoidedTrack(c, stored.avoidProfile))
+      .filter(c => passesTrackConstraints(c, constraints) && withinArtistCap(c) && withinDuration(c))
+      .sort((a, b) => {
+        const sameA = a._subgroupId === target._subgroupId ? 1 : 0;
+        const sameB = b._subgroupId === target._subgroupId ? 1 : 0;
+        return (sameB - sameA) || ((b.finalScore || 0) - (a.finalScore || 0));
+      })
+      .slice(0, 15);
+    if (shortlist.length === 0) return res.json({ trackId, slot: uris.indexOf(target.uri), alternatives: [] });
 
-    // Multi-vibe: detectar subgrupos a partir das seeds
-    const vibeSubgroups = await detectVibeSubgroupsByMetadata(seedTracks, lastfmApiKey);
-    const groupMap = new Map(vibeSubgroups.map(g => [g.id, g]));
+    // Energia alvo da posição: curva do arco escolhido ou média dos vizinhos
+    const api = createApiInstance(req);
+    const slot = uris.indexOf(target.uri);
+    const neighbours = [uris[slot - 1], uris[slot + 1]].filter(Boolean).map(uri => byUri.get(uri)).filter(Boolean);
+    const missing = [...shortlist, target, ...neighbours].filter(t => !stored.energies.has(t.uri));
+    if (missing.length) {
+      const fresh = await resolveTrackEnergies(missing, api, stored.featuresAvailable, process.env.LASTFM_API_KEY);
+      fresh.forEach((v, k) => stored.energies.set(k, v));
+    }
+    const energyOf = (t) => stored.energies.get(t.uri)?.energy ?? 0.5;
+    let targetEnergy = energyOf(target);
+    if (arc && arc !== 'none' && slot >= 0 && uris.length > 1) {
+      targetEnergy = arcTarget(arc, slot / (uris.length - 1), stored.energyRange[0], stored.energyRange[1]);
+    } else if (neighbours.length) {
+      targetEnergy = neighbours.reduce((s, t) => s + energyOf(t), 0) / neighbours.length;
+    }
 
-    // Atribuir melhor subgrupo para cada candidato
-    await Promise.all(candidateTracks.map(async (c) => {
-      const best = await getBestSubgroupMatch(c, vibeSubgroups, lastfmApiKey);
-      c._subgroupId = best.subgroupId;
-      c._subgroupScore = best.score;
-    }));
+    const avoidMultipliers = await resolveAvoidMultipliers(api, shortlist, stored.avoidProfile, stored.featuresAvailable);
+    const groupMap = new Map(stored.vibeSubgroups.map(g => [g.id, g]));
+    const alternatives = shortlist
+      .map(c => {
+        const subgroupFactor = c._subgroupId === target._subgroupId ? 1 : 0.85;
+        const flowFactor = 1 - 0.6 * Math.abs(energyOf(c) - targetEnergy);
+        return { c, rank: (c.finalScore || c.similarity || 0) * subgroupFactor * flowFactor * avoidMultipliers.get(c.uri) };
+      })
+      .sort((a, b) => b.rank - a.rank)
+      .slice(0, clamp(parseInt(limit, 10) || 5, 1, 15))
+      .map(({ c, rank }) => ({
+        ...formatPlaylistTrack(c, { seedTracks: stored.seedTracks, groupMap, energies: stored.energies }),
+        rank: Math.round(rank)
+      }));
+    res.json({ trackId, slot, targetEnergy: Math.round(targetEnergy * 100) / 100, alternatives });
+  } catch (err) {
+    console.error('Erro em /alternatives:', err.body || err.message);
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
 
-    const targetSize = Math.min(60, 40 + seedTracks.length) - seedTracks.length;
-    const finalSelection = assemblePlaylistBySections(vibeSubgroups, candidateTracks, targetSize);
+// ===== "More like this" a partir de uma faixa da playlist =====
+const MORE_LIKE_THIS_MAX = 5;
+const FLOW_TOLERANCE = 0.25; // distância máxima de energia em relação à transição onde a faixa entra
+
+// Faixas próximas de `anchor`: Last.fm track.getsimilar (casadas no Spotify) + deep cuts do artista
+const collectTracksLike = async (api, anchor, { lastfmApiKey, playlistVibe, avgVibe, isTaken }) => {
+  const found = [];
+  const seen = new Set();
+  const push = (track, extra) => {
+    if (!track?.uri || !isPlayable(track) || seen.has(track.uri) || isTaken(track.uri)) return;
+    seen.add(track.uri);
+    found.push({ ...track, ...extra });
+  };
+  if (lastfmApiKey) {
+    const similar = (await getLastfmSimilarTracks(anchor, lastfmApiKey, 15)) || [];
+    for (const simTrack of similar.slice(0, 10)) {
+      try {
+        const match = await trackIdentity.resolveSpotify(api, lastfmTrackQuery(simTrack), { market: marketOf(api) });
+        const matchScore = parseFloat(simTrack.match) || 0;
+        push(match, { similarity: Math.round(60 + 40 * matchScore), _source: 'more-like-this', _lastfmMatch: matchScore });
+      } catch (e) {
+        if (e.name === 'AbortError') throw e;
+        console.warn('Erro na busca por similar track:', e.message);
+      }
+    }
+  }
+  const artistId = anchor.artists?.[0]?.id;
+  if (artistId) {
+    const deepCuts = await getArtistDeepCuts(artistId, api, playlistVibe, avgVibe);
+    deepCuts.forEach(t => push(t, { similarity: 85, _source: 'more-like-this' }));
+  }
+  return found;
+};
 
-    // Anotar seeds com seus subgrupos
-    const seedWithGroups = [];
-    for (const s of seedTracks) {
-      let mood='neutral', subMood=null;
-      try { const v = await inferVibe(s, lastfmApiKey, 'track'); mood = v.mood||'neutral'; subMood = v.subMood||null; } catch(_) {}
-      const id = `${mood}${subMood? ':'+subMood: ''}`;
-      const g = groupMap.get(id) || vibeSubgroups[0];
-      seedWithGroups.push({ ...s, _subgroupId: g?.id, _subgroupLabel: g?.label, _subgroupMood: g?.mood, similarity: 100 });
+// Insere logo depois de `trackId` de 3 a 5 faixas parecidas com ela que caibam na transição
+// entre ela e a próxima faixa (energia) e respeitem as restrições da análise
+app.post('/more-like-this', async (req, res) => {
+  try {
+    const { analysisId, trackId, playlistUris = [], count = 4 } = req.body || {};
+    if (!trackId) throw new ApiError('trackId é obrigatório.', 400);
+    const api = createApiInstance(req);
+    const stored = analysisId ? analysisStore.get(`analysis:${analysisId}`) : null;
+    setApiMarket(api, stored?.market);
+    const known = stored ? [...stored.seedTracks, ...stored.candidates].find(t => t.id === trackId) : null;
+    const anchor = known || compactTrack((await spotifyLimiter.execute(() => api.getTrack(trackId, withMarket(api)))).body);
+    const constraints = stored?.constraints || {};
+    const energies = stored?.energies || new Map();
+    const wanted = clamp(parseInt(count, 10) || 4, 3, MORE_LIKE_THIS_MAX);
+    const uris = Array.isArray(playlistUris) ? playlistUris : [];
+    const taken = new Set([...uris, ...(stored?.seedTracks || []).map(t => t.uri), anchor.uri]);
+    const byUri = new Map([...(stored?.seedTracks || []), ...(stored?.candidates || [])].map(t => [t.uri, t]));
+
+    const artistCounts = new Map();
+    uris.forEach(uri => (byUri.get(uri)?.artists || []).forEach(a => {
+      const key = a.id || a.name;
+      artistCounts.set(key, (artistCounts.get(key) || 0) + 1);
+    }));
+
+    const found = (await collectTracksLike(api, anchor, {
+      lastfmApiKey: process.env.LASTFM_API_KEY,
+      playlistVibe: stored?.playlistVibe,
+      avgVibe: stored?.avgVibe,
+      isTaken: (uri) => taken.has(uri)
+    })).filter(t => passesTrackConstraints(t, constraints) && !isAvoidedTrack(t, stored?.avoidProfile));
+    // Remasters/outras edições de faixas que já estão na playlist não contam como "mais como esta"
+    const inPlaylist = [anchor, ...(stored?.seedTracks || []), ...uris.map(uri => byUri.get(uri)).filter(Boolean)];
+    const candidates = TrackIdentity.dedupeRecordings(found, { reserved: inPlaylist, market: api.market }).tracks;
+    const avoidMultipliers = await resolveAvoidMultipliers(api, candidates, stored?.avoidProfile, stored?.featuresAvailable ?? false);
+
+    // Energia ao longo da transição anchor -> próxima faixa
+    const slot = uris.indexOf(anchor.uri);
+    const nextTrack = slot >= 0 ? byUri.get(uris[slot + 1]) : null;
+    const pending = [anchor, nextTrack, ...candidates].filter(t => t && !energies.has(t.uri));
+    if (pending.length) {
+      const fresh = await resolveTrackEnergies(pending, api, stored?.featuresAvailable ?? false, process.env.LASTFM_API_KEY);
+      fresh.forEach((v, k) => energies.set(k, v));
+    }
+    const energyOf = (t) => energies.get(t.uri);
+    const startEnergy = energyOf(anchor)?.energy ?? 0.5;
+    const endEnergy = nextTrack ? (energyOf(nextTrack)?.energy ?? startEnergy) : startEnergy;
+
+    const seedTracks = stored?.seedTracks || [];
+    const ranked = candidates
+      .map(t => {
+        const proximity = classifyCandidateByProximity(t, [anchor], stored?.topArtistIds || [], new Set(stored?.relatedArtistIds || []));
+        const e = energyOf(t);
+        // Sem sinal de energia não dá para julgar o flow; a faixa entra com o centro da transição
+        const energy = e && e.source !== 'unknown' ? e.energy : (startEnergy + endEnergy) / 2;
+        const avoidMultiplier = avoidMultipliers.get(t.uri);
+        return { t, proximity, energy, avoidMultiplier, score: t.similarity * proximity.weight * avoidMultiplier };
+      })
+      .filter(({ energy }) => energy >= Math.min(startEnergy, endEnergy) - FLOW_TOLERANCE && energy <= Math.max(startEnergy, endEnergy) + FLOW_TOLERANCE)
+      .sort((a, b) => b.score - a.score);
+
+    const picked = [];
+    for (const item of ranked) {
+      if (picked.length >= wanted) break;
+      const artists = item.t.artists || [];
+      if (constraints.maxPerArtist && artists.some(a => (artistCounts.get(a.id || a.name) || 0) >= constraints.maxPerArtist)) continue;
+      artists.forEach(a => artistCounts.set(a.id || a.name, (artistCounts.get(a.id || a.name) || 0) + 1));
+      picked.push(item);
     }
+    // Ordena as inseridas para ir da energia da faixa âncora até a da próxima
+    picked.sort((a, b) => (endEnergy >= startEnergy ? a.energy - b.energy : b.energy - a.energy));
 
-    // Construir playlist final com anotações de subgrupo
-    const finalPlaylist = [
-      ...seedWithGroups,
-      ...finalSelection.map(t => ({
+    const groupMap = new Map((stored?.vibeSubgroups || []).map(g => [g.id, g]));
+    const tracks = picked.map(({ t, proximity, avoidMultiplier, score }) => {
+      const scored = {
         ...t,
-        _subgroupLabel: groupMap.get(t._subgroupId)?.label,
-        _subgroupMood: groupMap.get(t._subgroupId)?.mood
-      }))
-    ].map(track => ({
-      id: track.id,
-      name: track.name,
-      artist: (track.artists || []).map(a => a.name).join(', '),
-      albumImages: track.album?.images || [],
-      similarity: Math.round(track.similarity || 0),
-      uri: track.uri,
-      subgroupLabel: track._subgroupLabel || null,
-      subgroupMood: track._subgroupMood || null
-    }));
-    const avgSimilarity = finalPlaylist.reduce((sum, t) => sum + t.similarity, 0) / finalPlaylist.length;
-    const qualityValidation = validatePlaylistQuality(finalPlaylist, seedTracks, culturalContext);
-    const responseData = {
-      similarities: finalPlaylist,
-      avgSimilarity: Math.round(avgSimilarity),
-      featuresAvailable,
-      recommendationsAvailable: recTracks.length > 0,
-      genreDistribution,
-      decadeDistribution,
-      inferredVibe: playlistVibe,
-      culturalContext,
-      qualityValidation,
-      vibeSubgroups: vibeSubgroups.map(g => ({
-        id: g.id,
-        label: g.label,
-        mood: g.mood,
-        subMood: g.subMood,
-        weight: g.weight,
-        seedCount: g.count,
-        seedArtists: Array.from(g.seedArtists || []),
-        tags: Array.from(g.tags || [])
-      }))
-    };
-    console.log(lastfmCache.stats());
-    console.log(lastfmLimiter.stats());
-    console.log(spotifyLimiter.stats());
-    res.json(responseData);
+        _seedIds: [anchor.id],
+        _circle: proximity.circle,
+        _proximityWeight: proximity.weight,
+        _subgroupId: anchor._subgroupId,
+        _avoidMultiplier: avoidMultiplier,
+        finalScore: score
+      };
+      // Entram no pool da análise para também poderem ser trocadas depois
+      if (stored) stored.candidates.push(compactTrack(scored));
+      return formatPlaylistTrack(scored, { seedTracks: [anchor, ...seedTracks], groupMap, energies });
+    });
+    res.json({ trackId, insertAfter: slot, tracks });
+  } catch (err) {
+    console.error('Erro em /more-like-this:', err.body || err.message);
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+// Aborta o pipeline quando o cliente fecha a conexão antes da resposta
+const abortOnDisconnect = (res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+};
+
+app.post('/analyze', async (req, res) => {
+  try {
+    const api = createApiInstance(req);
+    const signal = abortOnDisconnect(res);
+    const reporter = new ProgressReporter({ signal });
+    res.json(await RateLimiter.withSignal(signal, () => runAnalysis(api, req.body, reporter)));
   } catch (err) {
     console.error('ERRO GERAL em /analyze:', {
       message: err.message,
@@ -1525,6 +3102,88 @@ app.post('/analyze', async (req, res) => {
   }
 });
 
+// Variante do /analyze que emite o progresso por fase via Server-Sent Events.
+// Eventos: `phase` (start/finish com contagem por _source), `warning`, `result` e `error`.
+app.post('/analyze-stream', async (req, res) => {
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const signal = abortOnDisconnect(res);
+  const reporter = new ProgressReporter({ signal });
+  reporter.on('event', (event) => send(event.type, event));
+  try {
+    const api = createApiInstance(req);
+    send('result', await RateLimiter.withSignal(signal, () => runAnalysis(api, req.body, reporter)));
+  } catch (err) {
+    console.error('ERRO GERAL em /analyze-stream:', err.message);
+    send('error', { error: err.message, statusCode: err.statusCode || 500 });
+  }
+  res.end();
+});
+
+// Lista as fontes de candidatos registradas (defaults para `options.sources`)
+app.get('/sources', (req, res) => {
+  res.json({ maxCandidates: MAX_CANDIDATES, sources: candidateSources.list() });
+});
+
+// Geração assíncrona: cria um job, o cliente consulta status/parciais e pode cancelar
+// Dono de cada token (hash) -> id do usuário no Spotify; só em memória, evita um /me por polling
+const tokenOwnerCache = new ApiCache(10 * 60 * 1000, 500);
+const getSpotifyUserId = async (req, api) => {
+  const token = req.headers.authorization?.split(' ')[1] || '';
+  const key = `token_owner:${crypto.createHash('sha256').update(token).digest('hex')}`;
+  const cached = tokenOwnerCache.get(key);
+  if (cached) return cached;
+  const meData = await spotifyLimiter.execute(() => api.getMe());
+  tokenOwnerCache.set(key, meData.body.id);
+  return meData.body.id;
+};
+
+// Job do usuário do token; de outro usuário responde como inexistente
+const loadOwnJob = async (req) => {
+  const userId = await getSpotifyUserId(req, createApiInstance(req));
+  const job = analyzeJobs.get(req.params.id);
+  if (!job || job.owner !== userId) throw new ApiError('Job não encontrado ou expirado.', 404);
+  return job;
+};
+
+app.post('/jobs', async (req, res) => {
+  try {
+    const api = createApiInstance(req);
+    const body = req.body;
+    const owner = await getSpotifyUserId(req, api);
+    // `extend` ({ playlistId, count, autoApply }) gera faixas novas para uma playlist existente
+    const job = analyzeJobs.create((reporter) => body?.extend
+      ? runPlaylistExtension(api, body.extend, body.options, reporter)
+      : runAnalysis(api, body, reporter), { owner });
+    res.status(202).json({ jobId: job.id, status: job.status });
+  } catch (err) {
+    console.error('Erro em /jobs:', err.message);
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+app.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await loadOwnJob(req);
+    const since = Math.max(0, parseInt(req.query.since, 10) || 0);
+    res.json(analyzeJobs.serialize(job, since));
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+app.delete('/jobs/:id', async (req, res) => {
+  try {
+    const job = analyzeJobs.cancel((await loadOwnJob(req)).id);
+    console.log(`Job ${job.id} cancelado.`);
+    res.json({ id: job.id, status: job.status });
+  } catch (err) {
+    console.error('Erro ao cancelar job:', err.message);
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
 app.post('/test-token', async (req, res) => {
   try {
     const api = createApiInstance(req);
@@ -1536,69 +3195,216 @@ app.post('/test-token', async (req, res) => {
   }
 });
 
+const DEFAULT_PLAYLIST_DESCRIPTION = 'Playlist gerada pelo Frequency Mixer';
+const MAX_COVER_BYTES = 256 * 1024; // limite do Spotify para a capa (JPEG em base64)
+const PLAYLIST_VISIBILITY = {
+  private: { public: false },
+  public: { public: true },
+  collaborative: { public: false, collaborative: true } // playlists colaborativas precisam ser privadas
+};
+
+// Descrição automática a partir do resumo da análise ({ mood, era, seeds, trackCount })
+const buildPlaylistDescription = (summary = {}) => {
+  const parts = [];
+  const vibe = [summary.mood && summary.mood !== 'neutral' ? summary.mood : null, summary.era].filter(Boolean).join(' ');
+  if (vibe) parts.push(`Vibe ${vibe}`);
+  const seeds = (summary.seeds || []).filter(Boolean);
+  if (seeds.length) {
+    const shown = seeds.slice(0, 3).join(', ');
+    parts.push(`a partir de ${shown}${seeds.length > 3 ? ` e mais ${seeds.length - 3}` : ''}`);
+  }
+  parts.push(DEFAULT_PLAYLIST_DESCRIPTION.toLowerCase());
+  const text = parts.join(' · ');
+  return (text.charAt(0).toUpperCase() + text.slice(1)).slice(0, 300);
+};
+
+// Adiciona em lotes de 100. Um lote que falha é dividido ao meio até isolar as faixas problemáticas,
+// para que uma URI ruim não derrube as outras 99.
+const addTracksReportingFailures = async (api, playlistId, uris) => {
+  const failed = [];
+  let added = 0;
+  const addBatch = async (batch) => {
+    try {
+      await spotifyLimiter.execute(() => api.addTracksToPlaylist(playlistId, batch));
+      added += batch.length;
+    } catch (e) {
+      if (e.name === 'AbortError') throw e;
+      if (batch.length === 1) {
+        failed.push({ uri: batch[0], error: e.body?.error?.message || e.message });
+        return;
+      }
+      const mid = Math.ceil(batch.length / 2);
+      await addBatch(batch.slice(0, mid));
+      await addBatch(batch.slice(mid));
+    }
+  };
+  for (const batch of chunkArray(uris, 100)) await addBatch(batch);
+  return { added, failed };
+};
+
+// Faixas (spotify:track) que o catálogo reconhece; episódios passam direto
+const filterKnownUris = async (api, uris) => {
+  const trackIds = uris.filter(uri => uri.startsWith('spotify:track:')).map(uri => uri.split(':')[2]);
+  const knownIds = new Set();
+  for (const batch of chunkArray(trackIds, 50)) {
+    const data = await spotifyLimiter.execute(() => api.getTracks(batch));
+    (data.body.tracks || []).forEach(t => { if (t?.id) knownIds.add(t.id); });
+  }
+  return uris.filter(uri => !uri.startsWith('spotify:track:') || knownIds.has(uri.split(':')[2]));
+};
+
+// Exporta para o Spotify. `mode`: create (padrão) | replace | append (os dois últimos exigem `targetPlaylistId`).
+// Aceita visibilidade, descrição (ou `summary` para gerar uma) e capa JPEG em base64; falhas vêm por faixa.
 app.post('/export-playlist', async (req, res) => {
   try {
     const api = createApiInstance(req);
-    const { playlistName, trackUris } = req.body;
-    const meData = await spotifyLimiter.execute(() => api.getMe());
-    const playlistData = await spotifyLimiter.execute(() => api.createPlaylist(meData.body.id, playlistName, { public: false, description: 'Playlist gerada pelo Frequency Mixer' }));
-    await spotifyLimiter.execute(() => api.addTracksToPlaylist(playlistData.body.id, trackUris));
-    res.json({ success: true, playlistUrl: playlistData.body.external_urls.spotify });
+    const {
+      playlistName, trackUris, mode = 'create', targetPlaylistId,
+      visibility, description, summary, coverImage
+    } = req.body || {};
+    if (!Array.isArray(trackUris) || trackUris.length === 0) throw new ApiError('Nenhuma faixa para exportar.', 400);
+    if (!['create', 'replace', 'append'].includes(mode)) throw new ApiError(`Modo inválido: ${mode}.`, 400);
+    if (visibility && !PLAYLIST_VISIBILITY[visibility]) throw new ApiError(`Visibilidade inválida: ${visibility}.`, 400);
+    if (mode !== 'create' && !targetPlaylistId) throw new ApiError('targetPlaylistId é obrigatório para replace/append.', 400);
+
+    const finalDescription = (typeof description === 'string' && description.trim())
+      ? description.trim().slice(0, 300)
+      : (summary ? buildPlaylistDescription(summary) : DEFAULT_PLAYLIST_DESCRIPTION);
+    const visibilityOptions = PLAYLIST_VISIBILITY[visibility || 'private'];
+
+    // URIs malformadas nem chegam a ser enviadas; sem nenhuma válida nada é criado nem alterado
+    const validUris = [];
+    const failed = [];
+    trackUris.forEach(uri => {
+      if (typeof uri === 'string' && /^spotify:(track|episode):[A-Za-z0-9]{22}$/.test(uri)) validUris.push(uri);
+      else failed.push({ uri, error: 'URI inválida' });
+    });
+    if (validUris.length === 0) throw new ApiError('Nenhuma URI de faixa válida para exportar.', 400);
+    // Em replace/append a descrição atual da playlist só muda se o cliente mandou uma (ou um resumo)
+    const descriptionChanged = mode === 'create' || Boolean(description || summary);
+
+    let playlistId, playlistUrl;
+    let added = 0;
+    if (mode === 'create') {
+      const playlistData = await spotifyLimiter.execute(() => api.createPlaylist(playlistName || 'My Mixed Playlist', { ...visibilityOptions, description: finalDescription }));
+      playlistId = playlistData.body.id;
+      playlistUrl = playlistData.body.external_urls.spotify;
+    } else {
+      const playlist = await loadEditablePlaylist(api, targetPlaylistId);
+      playlistId = playlist.id;
+      playlistUrl = playlist.external_urls?.spotify || null;
+      const details = {};
+      if (playlistName) details.name = playlistName;
+      if (visibility) Object.assign(details, visibilityOptions);
+      if (descriptionChanged) details.description = finalDescription;
+      if (Object.keys(details).length) {
+        await spotifyLimiter.execute(() => api.changePlaylistDetails(playlistId, details));
+      }
+    }
+
+    let pending = validUris;
+    let replaceError = null;
+    if (mode === 'replace') {
+      // PUT substitui o conteúdo com até 100 faixas; o restante é adicionado em seguida
+      const first = validUris.slice(0, 100);
+      try {
+        await spotifyLimiter.execute(() => api.replaceTracksInPlaylist(playlistId, first));
+        added += first.length;
+        pending = validUris.slice(100);
+      } catch (e) {
+        if (e.name === 'AbortError') throw e;
+        // Lote inicial rejeitado: separa as faixas que o Spotify não reconhece sem mexer na playlist
+        // e tenta de novo só com as demais. Se nada sobrar ou falhar de novo, a playlist fica como estava.
+        replaceError = e.body?.error?.message || e.message;
+        console.warn('Falha ao substituir faixas da playlist:', replaceError);
+        const known = await filterKnownUris(api, first);
+        first.filter(uri => !known.includes(uri)).forEach(uri => failed.push({ uri, error: 'Faixa não encontrada no Spotify' }));
+        if (known.length === 0) {
+          throw new ApiError(`Nenhuma das faixas pôde substituir o conteúdo (${replaceError}); a playlist não foi alterada.`, 422);
+        }
+        await spotifyLimiter.execute(() => api.replaceTracksInPlaylist(playlistId, known));
+        added += known.length;
+        pending = validUris.slice(100);
+      }
+    }
+    const result = await addTracksReportingFailures(api, playlistId, pending);
+    added += result.added;
+    failed.push(...result.failed);
+
+    let coverUploaded = false;
+    let coverError = null;
+    if (coverImage) {
+      const base64 = String(coverImage).replace(/^data:image\/jpe?g;base64,/, '');
+      // O limite do Spotify vale para o payload em base64, não para o JPEG decodificado
+      if (base64.length > MAX_COVER_BYTES) {
+        coverError = 'Capa maior que 256 KB.';
+      } else {
+        try {
+          await spotifyLimiter.execute(() => api.uploadCustomPlaylistCoverImage(playlistId, base64));
+          coverUploaded = true;
+        } catch (e) {
+          coverError = e.body?.error?.message || e.message;
+          console.warn('Falha ao enviar capa:', coverError);
+        }
+      }
+    }
+
+    res.status(added > 0 ? 200 : 422).json({
+      success: added > 0,
+      error: added > 0 ? undefined : 'Nenhuma faixa pôde ser adicionada.',
+      mode,
+      playlistId,
+      playlistUrl,
+      description: descriptionChanged ? finalDescription : null,
+      added,
+      failed,
+      replaceError,
+      coverUploaded,
+      coverError
+    });
   } catch (err) {
     console.error('Erro em /export-playlist:', err.body || err);
     res.status(err.statusCode || 500).json({ error: err.message });
   }
 });
 
-// Endpoint para obter URL de prévia de áudio via fontes alternativas (Deezer/iTunes)
-app.post('/track-preview', async (req, res) => {
+// Baixa a playlist como arquivo (m3u8, xspf, csv ou json). `playlist` segue a estrutura salva pelo frontend.
+app.post('/export-file', (req, res) => {
   try {
-    const { id, name, artist } = req.body || {};
-    const key = `preview:${(artist||'').toLowerCase()}:${(name||'').toLowerCase()}`;
-    const cached = previewCache.get(key);
-    if (cached) {
-      return res.json({ previewUrl: cached, source: 'cache' });
+    const { format, playlist } = req.body || {};
+    if (!PlaylistFormats.formats[format]) {
+      throw new ApiError(`Formato inválido: ${format}. Use ${Object.keys(PlaylistFormats.formats).join(', ')}.`, 400);
     }
+    if (!playlist || !Array.isArray(playlist.tracks) || playlist.tracks.length === 0) {
+      throw new ApiError('Nenhuma faixa para exportar.', 400);
+    }
+    const body = PlaylistFormats.serialize(format, playlist);
+    res.set('Content-Type', PlaylistFormats.formats[format].contentType);
+    res.set('Content-Disposition', `attachment; filename="${PlaylistFormats.fileName(playlist, format)}"`);
+    res.send(body);
+  } catch (err) {
+    console.error('Erro em /export-file:', err.message);
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
 
+// Prévia de áudio da mesma gravação em Deezer/iTunes: ISRC quando o frontend tiver, senão nome + duração
+app.post('/track-preview', async (req, res) => {
+  try {
+    const { name, artist, isrc, durationMs } = req.body || {};
     if (!name || !artist) {
       return res.status(400).json({ error: 'Parâmetros insuficientes: name e artist são obrigatórios.' });
     }
-
-    // 1) Tentar Deezer (com rate limiting)
-    try {
-      const q = `artist:"${artist}" track:"${name}"`;
-      const dzUrl = `https://api.deezer.com/search?q=${encodeURIComponent(q)}&limit=3`;
-      const dzRes = await deezerLimiter.execute(() => fetch(dzUrl));
-      if (dzRes.ok) {
-        const dzData = await dzRes.json();
-        const match = (dzData.data || []).find(it => it.preview);
-        if (match && match.preview) {
-          previewCache.set(key, match.preview);
-          return res.json({ previewUrl: match.preview, source: 'deezer' });
-        }
-      }
-    } catch (e) {
-      console.warn('Deezer preview falhou:', e.message);
-    }
-
-    // 2) Tentar iTunes (com rate limiting)
-    try {
-      const term = `${artist} ${name}`;
-      const itUrl = `https://itunes.apple.com/search?term=${encodeURIComponent(term)}&media=music&limit=5`;
-      const itRes = await itunesLimiter.execute(() => fetch(itUrl));
-      if (itRes.ok) {
-        const itData = await itRes.json();
-        const candidate = (itData.results || []).find(r => r.previewUrl);
-        if (candidate && candidate.previewUrl) {
-          previewCache.set(key, candidate.previewUrl);
-          return res.json({ previewUrl: candidate.previewUrl, source: 'itunes' });
-        }
-      }
-    } catch (e) {
-      console.warn('iTunes preview falhou:', e.message);
+    const query = { title: name, artist, isrc, durationMs: Number(durationMs) || null };
+    const key = `preview:${TrackIdentity.recordingKey(query)}`;
+    const cached = previewCache.get(key);
+    if (cached) {
+      return res.json({ previewUrl: cached, source: 'cache' });
     }
 
-    return res.json({ previewUrl: null });
+    const { previewUrl, source } = await trackIdentity.resolvePreview(query);
+    if (previewUrl) previewCache.set(key, previewUrl);
+    return res.json({ previewUrl, source });
   } catch (err) {
     console.error('Erro em /track-preview:', err);
     res.status(500).json({ error: 'Falha ao obter prévia.' });
@@ -1769,6 +3575,11 @@ app.post('/lyrics', async (req, res) => {
   }
 });
 
+// Léxico de moods (somente leitura): permite ao frontend explicar de onde vem cada rótulo de mood
+app.get('/mood-lexicon', (req, res) => {
+  res.json(moodLexicon.toJSON());
+});
+
 app.get('/health', async (req, res) => {
   try {
     res.json({ status: 'OK', timestamp: new Date().toISOString() });
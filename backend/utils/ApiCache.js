@@ -1,11 +1,21 @@
+const MemoryCacheStore = require('./MemoryCacheStore');
+
+// Cache com TTL, LRU e prioridade por tipo de chave. Opções (3º parâmetro):
+//   store       onde as entradas persistem (MemoryCacheStore por padrão, FileCacheStore para sobreviver a restarts)
+//   namespaces  TTL por prefixo de chave, ex. { 'tag_counts:': 7 dias } — o prefixo mais longo vence
+//   name        nome usado nos logs de aquecimento
+// Entradas salvas no store são recarregadas no construtor (aquecimento), descartando as já expiradas.
 class ApiCache {
-  constructor(ttl = 60 * 60 * 1000, maxSize = 500) {
+  constructor(ttl = 60 * 60 * 1000, maxSize = 500, { store = null, namespaces = {}, name = null } = {}) {
     this.cache = new Map();
     this.order = []; // Para LRU
     this.priorities = new Map(); // Para priorização
     this.ttl = ttl;
     this.maxSize = maxSize;
-    this._stats = { hits: 0, misses: 0 }; // renomeado para evitar colisão com o método stats()
+    this.store = store || new MemoryCacheStore();
+    this.namespaces = Object.entries(namespaces).sort((a, b) => b[0].length - a[0].length);
+    this.name = name;
+    this._stats = { hits: 0, misses: 0, warmed: 0 }; // renomeado para evitar colisão com o método stats()
     
     // Prioridades por tipo de dados
     this.defaultPriorities = {
@@ -16,24 +26,53 @@ class ApiCache {
       'track_info': 2,
       'similar_artists': 2
     };
+
+    this.warmUp();
+  }
+
+  ttlFor(key) {
+    const namespace = this.namespaces.find(([prefix]) => key.startsWith(prefix));
+    return namespace ? namespace[1] : this.ttl;
+  }
+
+  // Recarrega do store as entradas ainda válidas (as mais recentes, até maxSize)
+  warmUp() {
+    const now = Date.now();
+    const entries = this.store.load()
+      .filter(([key, e]) => typeof key === 'string' && e && typeof e.t === 'number' && now - e.t <= this.ttlFor(key))
+      .sort((a, b) => a[1].t - b[1].t)
+      .slice(-this.maxSize);
+    entries.forEach(([key, e]) => {
+      const priority = e.priority ?? this.detectPriority(key);
+      this.cache.set(key, { value: e.value, t: e.t, priority });
+      this.priorities.set(key, priority);
+      this.order.push(key);
+    });
+    this._stats.warmed = entries.length;
+    if (entries.length && this.name) console.log(`Cache ${this.name}: ${entries.length} entradas recarregadas do disco.`);
+    if (this.store.shouldCompact(this.cache.size)) this.store.compact(this.cache);
+    return entries.length;
   }
 
   set(key, value, priority = null) {
     if (typeof key !== 'string') throw new Error('Key must be string');
-    this.del(key); 
+    this._remove(key); 
     
     // Determinar prioridade automaticamente baseada na chave
     if (priority === null) {
       priority = this.detectPriority(key);
     }
     
-    this.cache.set(key, { value, t: Date.now(), priority });
+    const entry = { value, t: Date.now(), priority };
+    this.cache.set(key, entry);
     this.priorities.set(key, priority);
     this.order.push(key);
+    this.store.write(key, entry);
     
     if (this.order.length > this.maxSize) {
       this.evictLowPriority();
     }
+    if (this.store.shouldCompact(this.cache.size)) this.store.compact(this.cache);
   }
 
   get(key) {
@@ -42,7 +81,7 @@ class ApiCache {
       this._stats.misses++;
       return null;
     }
-    if (Date.now() - e.t > this.ttl) {
+    if (Date.now() - e.t > this.ttlFor(key)) {
       this.del(key);
       this._stats.misses++;
       return null;
@@ -54,7 +93,20 @@ class ApiCache {
     return e.value;
   }
 
+  // Entradas válidas cujas chaves começam com `prefix` (não conta como acesso no LRU nem nas estatísticas)
+  entries(prefix = '') {
+    const now = Date.now();
+    return Array.from(this.cache.entries())
+      .filter(([key, e]) => key.startsWith(prefix) && now - e.t <= this.ttlFor(key))
+      .map(([key, e]) => [key, e.value]);
+  }
+
   del(key) {
+    if (this.cache.has(key)) this.store.delete(key);
+    this._remove(key);
+  }
+
+  _remove(key) {
     this.cache.delete(key);
     this.priorities.delete(key);
     this.order = this.order.filter(k => k !== key);
@@ -95,6 +147,7 @@ class ApiCache {
       const oldKey = this.order.shift();
       this.cache.delete(oldKey);
       this.priorities.delete(oldKey);
+      this.store.delete(oldKey);
     }
   }
 
@@ -108,6 +161,8 @@ class ApiCache {
       ...this._stats, 
       size: this.cache.size, 
       ttl: this.ttl,
+      namespaces: Object.fromEntries(this.namespaces),
+      store: this.store.constructor.name,
       priorityDistribution: priorityStats
     };
   }
@@ -116,7 +171,13 @@ class ApiCache {
     this.cache.clear();
     this.order = [];
     this.priorities.clear();
-    this._stats = { hits: 0, misses: 0 };
+    this.store.clear();
+    this._stats = { hits: 0, misses: 0, warmed: 0 };
+  }
+
+  // Grava no store o que ainda estiver no buffer (FileCacheStore)
+  flush() {
+    this.store.flush();
   }
 }
 module.exports = ApiCache;
\ No newline at end of file
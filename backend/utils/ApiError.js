@@ -0,0 +1,12 @@
+// Erro com status HTTP: os endpoints respondem `err.statusCode` (4xx para erros do cliente)
+class ApiError extends Error {
+  constructor(message, statusCode = 500, source = undefined) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.source = source;
+    if (Error.captureStackTrace) Error.captureStackTrace(this, ApiError);
+  }
+}
+
+module.exports = ApiError;
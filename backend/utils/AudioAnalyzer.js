@@ -0,0 +1,281 @@
+// Estimativa local de audio features a partir das prévias de 30s (Deezer/iTunes).
+// O MP3 é decodificado pelo ffmpeg (PCM mono float32) e analisado aqui em JS puro:
+// tempo (autocorrelação do fluxo espectral), loudness (RMS em dBFS), energia, brilho,
+// acústico (proxy), dançabilidade (força do pulso) e tonalidade (croma x perfis de Krumhansl).
+// Sem ffmpeg no PATH (ou em FFMPEG_PATH) o analisador se desativa e devolve null.
+const { spawn } = require('child_process');
+const RateLimiter = require('./RateLimiter');
+
+const FRAME_SIZE = 1024;
+const HOP_SIZE = 512;
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+const PREFERRED_BPM = 120;
+const MAX_PREVIEW_BYTES = 5 * 1024 * 1024;
+
+// Perfis de Krumhansl-Kessler (C como tônica); rotacionados para as outras 11 tonalidades
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+const clamp = (v, a = 0, b = 1) => Math.max(a, Math.min(b, v));
+const round = (v, digits = 3) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+const hannWindow = (size) => {
+  const w = new Float32Array(size);
+  for (let i = 0; i < size; i++) w[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1));
+  return w;
+};
+
+// FFT radix-2 in-place (re/im com tamanho potência de 2)
+const fft = (re, im) => {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = (-2 * Math.PI) / len;
+    const wRe = Math.cos(ang);
+    const wIm = Math.sin(ang);
+    for (let i = 0; i < n; i += len) {
+      let curRe = 1, curIm = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const aRe = re[i + k], aIm = im[i + k];
+        const bRe = re[i + k + len / 2] * curRe - im[i + k + len / 2] * curIm;
+        const bIm = re[i + k + len / 2] * curIm + im[i + k + len / 2] * curRe;
+        re[i + k] = aRe + bRe; im[i + k] = aIm + bIm;
+        re[i + k + len / 2] = aRe - bRe; im[i + k + len / 2] = aIm - bIm;
+        const nextRe = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = nextRe;
+      }
+    }
+  }
+};
+
+const pearson = (a, b) => {
+  const n = a.length;
+  const ma = a.reduce((s, v) => s + v, 0) / n;
+  const mb = b.reduce((s, v) => s + v, 0) / n;
+  let num = 0, da = 0, db = 0;
+  for (let i = 0; i < n; i++) {
+    num += (a[i] - ma) * (b[i] - mb);
+    da += (a[i] - ma) ** 2;
+    db += (b[i] - mb) ** 2;
+  }
+  return da && db ? num / Math.sqrt(da * db) : 0;
+};
+
+// Tonalidade no formato do Spotify: key 0..11 (C=0) e mode 1=maior, 0=menor
+const estimateKey = (chroma) => {
+  let best = { key: -1, mode: 1, score: -Infinity };
+  for (let key = 0; key < 12; key++) {
+    const rotated = chroma.map((_, i) => chroma[(i + key) % 12]);
+    const major = pearson(rotated, MAJOR_PROFILE);
+    const minor = pearson(rotated, MINOR_PROFILE);
+    if (major > best.score) best = { key, mode: 1, score: major };
+    if (minor > best.score) best = { key, mode: 0, score: minor };
+  }
+  return best;
+};
+
+// BPM pelo pico da autocorrelação do envelope de onsets, com preferência (log-gaussiana) perto de 120
+const estimateTempo = (envelope, framesPerSecond) => {
+  const n = envelope.length;
+  // Suavização leve: períodos que não caem em frame inteiro espalham o pico entre lags vizinhos
+  const smooth = envelope.map((v, i) => (2 * v + (envelope[i - 1] ?? v) + (envelope[i + 1] ?? v)) / 4);
+  const mean = smooth.reduce((s, v) => s + v, 0) / (n || 1);
+  const centered = smooth.map(v => v - mean);
+  const acAt = (lag) => {
+    let s = 0;
+    for (let i = 0; i + lag < n; i++) s += centered[i] * centered[i + lag];
+    return s / (n - lag);
+  };
+  const zero = acAt(0);
+  if (!zero) return { tempo: null, strength: 0 };
+  const minLag = Math.max(1, Math.floor((60 * framesPerSecond) / MAX_BPM));
+  const maxLag = Math.min(n - 2, Math.ceil((60 * framesPerSecond) / MIN_BPM));
+  const ac = [];
+  for (let lag = minLag - 1; lag <= maxLag + 1; lag++) ac[lag] = acAt(lag);
+  let bestLag = null, bestWeighted = -Infinity;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const bpm = (60 * framesPerSecond) / lag;
+    const prior = Math.exp(-0.5 * (Math.log2(bpm / PREFERRED_BPM) / 0.9) ** 2);
+    const weighted = ac[lag] * prior;
+    if (weighted > bestWeighted) { bestWeighted = weighted; bestLag = lag; }
+  }
+  if (bestLag === null || ac[bestLag] <= 0) return { tempo: null, strength: 0 };
+  // Interpolação parabólica para precisão abaixo de um frame
+  const [y0, y1, y2] = [ac[bestLag - 1], ac[bestLag], ac[bestLag + 1]];
+  const denom = y0 - 2 * y1 + y2;
+  const offset = denom ? clamp(0.5 * (y0 - y2) / denom, -0.5, 0.5) : 0;
+  return { tempo: (60 * framesPerSecond) / (bestLag + offset), strength: clamp(y1 / zero) };
+};
+
+class AudioAnalyzer {
+  constructor({ ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg', sampleRate = 22050, maxConcurrent = 2, timeoutMs = 20000 } = {}) {
+    this.ffmpegPath = ffmpegPath;
+    this.sampleRate = sampleRate;
+    this.timeoutMs = timeoutMs;
+    this.limiter = new RateLimiter(maxConcurrent, 200);
+    this._available = null;
+  }
+
+  // Verifica (uma vez) se o ffmpeg responde; sem ele a análise local fica desligada
+  isAvailable() {
+    if (!this._available) {
+      this._available = new Promise((resolve) => {
+        try {
+          const proc = spawn(this.ffmpegPath, ['-version'], { stdio: 'ignore' });
+          proc.on('error', () => resolve(false));
+          proc.on('close', (code) => resolve(code === 0));
+        } catch (_) {
+          resolve(false);
+        }
+      }).then((ok) => {
+        if (!ok) console.warn(`ffmpeg não encontrado (${this.ffmpegPath}) — análise local de prévias desativada.`);
+        return ok;
+      });
+    }
+    return this._available;
+  }
+
+  // MP3 (Buffer) -> Float32Array mono em `sampleRate`
+  decode(buffer) {
+    return new Promise((resolve, reject) => {
+      const proc = spawn(this.ffmpegPath, [
+        '-hide_banner', '-loglevel', 'error',
+        '-i', 'pipe:0', '-t', '30', '-ac', '1', '-ar', String(this.sampleRate),
+        '-f', 'f32le', 'pipe:1'
+      ]);
+      const chunks = [];
+      let stderr = '';
+      const timer = setTimeout(() => {
+        proc.kill('SIGKILL');
+        reject(new Error('Timeout ao decodificar prévia'));
+      }, this.timeoutMs);
+      proc.stdout.on('data', (c) => chunks.push(c));
+      proc.stderr.on('data', (c) => { stderr += c; });
+      proc.on('error', (e) => { clearTimeout(timer); reject(e); });
+      proc.on('close', (code) => {
+        clearTimeout(timer);
+        if (code !== 0) return reject(new Error(`ffmpeg saiu com código ${code}: ${stderr.trim().slice(0, 200)}`));
+        const pcm = Buffer.concat(chunks);
+        const samples = new Float32Array(Math.floor(pcm.length / 4));
+        for (let i = 0; i < samples.length; i++) samples[i] = pcm.readFloatLE(i * 4);
+        resolve(samples);
+      });
+      proc.stdin.on('error', () => {}); // ffmpeg pode fechar a entrada antes do fim (-t 30)
+      proc.stdin.end(buffer);
+    });
+  }
+
+  // Features no formato do Spotify (subconjunto) + `brightness` e `source: 'local'`.
+  // Valence, speechiness e instrumentalness não são estimadas.
+  static analyze(samples, sampleRate) {
+    const frameCount = samples.length >= FRAME_SIZE ? Math.floor((samples.length - FRAME_SIZE) / HOP_SIZE) + 1 : 0;
+    if (frameCount < 32) return null;
+    const window = hannWindow(FRAME_SIZE);
+    const bins = FRAME_SIZE / 2;
+    const binHz = sampleRate / FRAME_SIZE;
+    // Croma só entre ~C2 e ~C7, onde a resolução do FFT ainda separa semitons
+    const minChromaBin = Math.ceil(65 / binHz);
+    const maxChromaBin = Math.min(bins - 2, Math.floor(2100 / binHz));
+
+    const re = new Float32Array(FRAME_SIZE);
+    const im = new Float32Array(FRAME_SIZE);
+    let prevLogMag = null;
+    const envelope = new Array(frameCount);
+    const chroma = new Array(12).fill(0);
+    let centroidSum = 0, centroidWeight = 0, fluxSum = 0, activeFrames = 0;
+    for (let f = 0; f < frameCount; f++) {
+      const start = f * HOP_SIZE;
+      let energy = 0;
+      for (let i = 0; i < FRAME_SIZE; i++) {
+        const s = samples[start + i];
+        energy += s * s;
+        re[i] = s * window[i];
+        im[i] = 0;
+      }
+      const frameRms = Math.sqrt(energy / FRAME_SIZE);
+      fft(re, im);
+      const mags = new Float32Array(bins);
+      const logMag = new Float32Array(bins);
+      let magSum = 0, weighted = 0, flux = 0;
+      for (let b = 1; b < bins; b++) {
+        const mag = Math.sqrt(re[b] * re[b] + im[b] * im[b]);
+        mags[b] = mag;
+        magSum += mag;
+        weighted += mag * b * binHz;
+        logMag[b] = Math.log1p(100 * mag);
+        if (prevLogMag) flux += Math.max(0, logMag[b] - prevLogMag[b]);
+      }
+      // Picos espectrais com frequência refinada (parábola nos log-magnitudes) viram classes de altura (C=0)
+      for (let b = minChromaBin; b <= maxChromaBin; b++) {
+        if (mags[b] <= mags[b - 1] || mags[b] < mags[b + 1]) continue;
+        const [a, c, d] = [logMag[b - 1], logMag[b], logMag[b + 1]];
+        const denom = a - 2 * c + d;
+        const hz = (b + (denom ? 0.5 * (a - d) / denom : 0)) * binHz;
+        const pc = ((Math.round(12 * Math.log2(hz / 440)) + 9) % 12 + 12) % 12;
+        chroma[pc] += mags[b];
+      }
+      prevLogMag = logMag;
+      envelope[f] = flux;
+      // Frames quase silenciosos não entram no brilho/percussividade
+      if (frameRms > 1e-3 && magSum > 0) {
+        centroidSum += weighted;
+        centroidWeight += magSum;
+        fluxSum += flux / bins;
+        activeFrames++;
+      }
+    }
+
+    let total = 0;
+    for (let i = 0; i < samples.length; i++) total += samples[i] * samples[i];
+    const rms = Math.sqrt(total / samples.length);
+    const loudness = rms > 0 ? Math.max(-60, 20 * Math.log10(rms)) : -60;
+    const centroid = centroidWeight ? centroidSum / centroidWeight : 0;
+    const brightness = clamp((centroid - 500) / 3500);
+    const percussiveness = activeFrames ? clamp((fluxSum / activeFrames) / 0.6) : 0;
+    const loudNorm = clamp((loudness + 30) / 26);
+    const { tempo, strength } = estimateTempo(envelope, sampleRate / HOP_SIZE);
+    const tempoFit = tempo ? Math.exp(-0.5 * ((tempo - 118) / 28) ** 2) : 0.5;
+    const { key, mode } = estimateKey(chroma);
+
+    return {
+      tempo: tempo ? round(tempo, 1) : null,
+      loudness: round(loudness, 1),
+      energy: round(clamp(0.55 * loudNorm + 0.25 * percussiveness + 0.2 * brightness)),
+      danceability: round(clamp(0.2 + 0.5 * strength + 0.3 * tempoFit)),
+      acousticness: round(clamp(1 - (0.55 * brightness + 0.3 * percussiveness + 0.15 * loudNorm))),
+      brightness: round(brightness),
+      key,
+      mode,
+      source: 'local'
+    };
+  }
+
+  async _download(url) {
+    const res = await fetch(url, { signal: AbortSignal.timeout(this.timeoutMs) });
+    if (!res.ok) throw new Error(`Prévia indisponível (HTTP ${res.status})`);
+    const buffer = Buffer.from(await res.arrayBuffer());
+    if (buffer.length > MAX_PREVIEW_BYTES) throw new Error('Prévia grande demais para análise');
+    return buffer;
+  }
+
+  // Baixa, decodifica e analisa uma prévia; null quando o ffmpeg não está disponível
+  async analyzeUrl(url) {
+    if (!url || !(await this.isAvailable())) return null;
+    return this.limiter.execute(async () => {
+      const samples = await this.decode(await this._download(url));
+      return AudioAnalyzer.analyze(samples, this.sampleRate);
+    });
+  }
+}
+
+module.exports = AudioAnalyzer;
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AudioAnalyzer = require('./AudioAnalyzer');
+
+const SAMPLE_RATE = 22050;
+const SECONDS = 20;
+
+// Cliques curtos (ruído com decaimento exponencial) a cada batida
+const clickTrack = (bpm) => {
+  const samples = new Float32Array(SAMPLE_RATE * SECONDS);
+  const interval = Math.round(SAMPLE_RATE * 60 / bpm);
+  let seed = 1;
+  const noise = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647 * 2 - 1;
+  };
+  for (let start = 0; start < samples.length; start += interval) {
+    for (let i = 0; i < 600 && start + i < samples.length; i++) {
+      samples[start + i] = 0.8 * noise() * Math.exp(-i / 120);
+    }
+  }
+  return samples;
+};
+
+// Acorde sustentado de senoides (frequências em Hz)
+const chord = (frequencies) => {
+  const samples = new Float32Array(SAMPLE_RATE * SECONDS);
+  for (let i = 0; i < samples.length; i++) {
+    const t = i / SAMPLE_RATE;
+    samples[i] = frequencies.reduce((sum, f) => sum + Math.sin(2 * Math.PI * f * t), 0) * (0.5 / frequencies.length);
+  }
+  return samples;
+};
+
+test('analyze: tempo de um click track a 120 BPM', () => {
+  const result = AudioAnalyzer.analyze(clickTrack(120), SAMPLE_RATE);
+  assert.ok(Math.abs(result.tempo - 120) <= 2, `tempo ${result.tempo}`);
+  assert.strictEqual(result.source, 'local');
+});
+
+test('analyze: tempo de um click track a 140 BPM (sem cair para a metade)', () => {
+  const result = AudioAnalyzer.analyze(clickTrack(140), SAMPLE_RATE);
+  assert.ok(Math.abs(result.tempo - 140) <= 2, `tempo ${result.tempo}`);
+});
+
+test('analyze: acorde de Dó maior vira key 0 / mode 1', () => {
+  const result = AudioAnalyzer.analyze(chord([261.63, 329.63, 392.0]), SAMPLE_RATE);
+  assert.strictEqual(result.key, 0);
+  assert.strictEqual(result.mode, 1);
+});
+
+test('analyze: acorde de Lá menor vira key 9 / mode 0', () => {
+  const result = AudioAnalyzer.analyze(chord([220.0, 261.63, 329.63]), SAMPLE_RATE);
+  assert.strictEqual(result.key, 9);
+  assert.strictEqual(result.mode, 0);
+});
+
+test('analyze: features ficam nas faixas do Spotify', () => {
+  const result = AudioAnalyzer.analyze(clickTrack(128), SAMPLE_RATE);
+  ['energy', 'danceability', 'acousticness', 'brightness'].forEach(name => {
+    assert.ok(result[name] >= 0 && result[name] <= 1, `${name} ${result[name]}`);
+  });
+  assert.ok(result.loudness <= 0 && result.loudness >= -60);
+});
+
+test('analyze: sinal curto demais devolve null', () => {
+  assert.strictEqual(AudioAnalyzer.analyze(new Float32Array(1000), SAMPLE_RATE), null);
+});
+
+test('sem ffmpeg o analisador se desativa e analyzeUrl devolve null', async () => {
+  const analyzer = new AudioAnalyzer({ ffmpegPath: '/caminho/inexistente/ffmpeg' });
+  assert.strictEqual(await analyzer.isAvailable(), false);
+  assert.strictEqual(await analyzer.analyzeUrl('https://example.com/preview.mp3'), null);
+});
@@ -0,0 +1,124 @@
+// Armazenamento em disco do ApiCache: arquivo append-only com uma operação por linha (NDJSON).
+//   {"k":"tag_counts:...","v":[...],"t":1700000000000,"p":2}   grava/atualiza uma chave
+//   {"k":"tag_counts:...","d":1}                                remove uma chave
+// As escritas ficam num buffer e vão para o disco a cada `flushIntervalMs` e na saída do processo.
+// Na carga o log é reaplicado e, se tiver muito lixo (chaves sobrescritas/removidas), é compactado.
+// A extensão .ndjson fica fora do que o nodemon observa, então gravar o cache não reinicia o servidor.
+const fs = require('fs');
+const path = require('path');
+
+const openStores = new Set();
+let exitHookInstalled = false;
+
+const installExitHook = () => {
+  if (exitHookInstalled) return;
+  exitHookInstalled = true;
+  const flushAll = () => openStores.forEach(store => store.flush());
+  process.on('exit', flushAll);
+  // nodemon reinicia com SIGUSR2; Ctrl+C manda SIGINT
+  ['SIGINT', 'SIGTERM', 'SIGUSR2'].forEach(signal => {
+    process.once(signal, () => {
+      flushAll();
+      process.kill(process.pid, signal);
+    });
+  });
+};
+
+class FileCacheStore {
+  constructor(filePath, { flushIntervalMs = 2000, compactRatio = 3 } = {}) {
+    this.filePath = filePath;
+    this.flushIntervalMs = flushIntervalMs;
+    this.compactRatio = compactRatio;
+    this.pending = [];
+    this.timer = null;
+    this.lines = 0;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    openStores.add(this);
+    installExitHook();
+  }
+
+  load() {
+    const entries = new Map();
+    let content = '';
+    try {
+      content = fs.readFileSync(this.filePath, 'utf8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn(`Falha ao ler cache em ${this.filePath}:`, e.message);
+      return [];
+    }
+    let corrupted = 0;
+    content.split('\n').forEach(line => {
+      if (!line) return;
+      this.lines++;
+      try {
+        const op = JSON.parse(line);
+        if (op.d) entries.delete(op.k);
+        else entries.set(op.k, { value: op.v, t: op.t, priority: op.p });
+      } catch (_) {
+        corrupted++; // última linha cortada por um encerramento abrupto
+      }
+    });
+    if (corrupted) console.warn(`Cache ${path.basename(this.filePath)}: ${corrupted} linha(s) inválida(s) ignorada(s).`);
+    if (this.shouldCompact(entries.size)) this.compact(entries);
+    return Array.from(entries.entries());
+  }
+
+  // O log cresce a cada escrita; o ApiCache pede compactação quando ele passa de `compactRatio`× as entradas vivas
+  shouldCompact(liveCount) {
+    return this.lines + this.pending.length > Math.max(1000, liveCount * this.compactRatio);
+  }
+
+  // Reescreve o arquivo só com as entradas vivas (arquivo temporário + rename, para não corromper)
+  compact(entries) {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.pending = [];
+    const tmp = `${this.filePath}.tmp`;
+    const body = Array.from(entries.entries())
+      .map(([k, e]) => JSON.stringify({ k, v: e.value, t: e.t, p: e.priority }))
+      .join('\n');
+    fs.writeFileSync(tmp, body ? `${body}\n` : '');
+    fs.renameSync(tmp, this.filePath);
+    this.lines = entries.size;
+  }
+
+  write(key, entry) {
+    this._append(JSON.stringify({ k: key, v: entry.value, t: entry.t, p: entry.priority }));
+  }
+
+  delete(key) {
+    this._append(JSON.stringify({ k: key, d: 1 }));
+  }
+
+  clear() {
+    this.compact(new Map());
+  }
+
+  flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.pending.length === 0) return;
+    const batch = this.pending;
+    this.pending = [];
+    try {
+      fs.appendFileSync(this.filePath, `${batch.join('\n')}\n`);
+      this.lines += batch.length;
+    } catch (e) {
+      console.warn(`Falha ao gravar cache em ${this.filePath}:`, e.message);
+    }
+  }
+
+  _append(line) {
+    this.pending.push(line);
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.flushIntervalMs);
+      this.timer.unref();
+    }
+  }
+}
+
+module.exports = FileCacheStore;
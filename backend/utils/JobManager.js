@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const ProgressReporter = require('./ProgressReporter');
+const RateLimiter = require('./RateLimiter');
+const ApiError = require('./ApiError');
+
+class JobManager {
+  constructor(ttl = 15 * 60 * 1000, maxJobs = 100) {
+    this.jobs = new Map();
+    this.ttl = ttl; // por quanto tempo um job finalizado guarda o resultado
+    this.maxJobs = maxJobs; // jobs em execução ao mesmo tempo (finalizados não contam)
+  }
+
+  // `runner(reporter)` roda dentro do escopo de cancelamento do job:
+  // ao cancelar, os RateLimiters deixam de executar novas chamadas dele.
+  // `owner` identifica quem criou o job (só ele pode consultar/cancelar).
+  create(runner, { owner = null } = {}) {
+    this.sweep();
+    if (this.runningCount() >= this.maxJobs) {
+      throw new ApiError('Limite de jobs simultâneos atingido', 429);
+    }
+    const controller = new AbortController();
+    const reporter = new ProgressReporter({ signal: controller.signal });
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'running',
+      owner,
+      createdAt: Date.now(),
+      finishedAt: null,
+      result: null,
+      error: null,
+      controller,
+      reporter
+    };
+    this.jobs.set(job.id, job);
+
+    RateLimiter.withSignal(controller.signal, () => runner(reporter))
+      .then(result => {
+        if (job.status === 'running') {
+          job.status = 'done';
+          job.result = result;
+        }
+      })
+      .catch(err => {
+        if (job.status === 'running') {
+          job.status = 'error';
+          job.error = { message: err.message, statusCode: err.statusCode || 500 };
+        }
+      })
+      .finally(() => {
+        job.finishedAt = job.finishedAt || Date.now();
+      });
+
+    return job;
+  }
+
+  runningCount() {
+    let running = 0;
+    this.jobs.forEach(job => { if (job.status === 'running') running++; });
+    return running;
+  }
+
+  get(id) {
+    this.sweep();
+    return this.jobs.get(id) || null;
+  }
+
+  cancel(id) {
+    const job = this.get(id);
+    if (!job) return null;
+    if (job.status === 'running') {
+      job.status = 'cancelled';
+      job.finishedAt = Date.now();
+      job.controller.abort();
+    }
+    return job;
+  }
+
+  // Remove jobs finalizados cujo resultado já expirou
+  sweep() {
+    const now = Date.now();
+    for (const [id, job] of this.jobs.entries()) {
+      if (job.finishedAt && now - job.finishedAt > this.ttl) this.jobs.delete(id);
+    }
+  }
+
+  // Representação pública; `since` permite buscar apenas eventos novos
+  serialize(job, since = 0) {
+    return {
+      id: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt,
+      events: job.reporter.events.slice(since),
+      eventCount: job.reporter.events.length,
+      partial: job.status === 'running' ? job.reporter.snapshot() : null,
+      result: job.result,
+      error: job.error
+    };
+  }
+
+  stats() {
+    const byStatus = {};
+    for (const job of this.jobs.values()) byStatus[job.status] = (byStatus[job.status] || 0) + 1;
+    return { size: this.jobs.size, ttl: this.ttl, byStatus };
+  }
+}
+
+module.exports = JobManager;
@@ -0,0 +1,116 @@
+// k-means determinístico (inicialização k-means++ com seed fixa) para vetores numéricos de mesmo tamanho.
+// Usado para escolher seeds diversas e para agrupar faixas por vibe.
+const seededRandom = (seed) => {
+  let x = (Number(seed) || 0) >>> 0;
+  if (x === 0) x = 123456789;
+  return () => {
+    x ^= x << 13; x >>>= 0;
+    x ^= x >> 17; x >>>= 0;
+    x ^= x << 5;  x >>>= 0;
+    return (x >>> 0) / 4294967296;
+  };
+};
+
+const squaredDistance = (a, b) => {
+  let d = 0;
+  for (let i = 0; i < a.length; i++) d += (a[i] - b[i]) ** 2;
+  return d;
+};
+
+class KMeans {
+  constructor({ k = 3, maxIterations = 50, seed = 42 } = {}) {
+    this.k = k;
+    this.maxIterations = maxIterations;
+    this.seed = seed;
+  }
+
+  static distance(a, b) {
+    return Math.sqrt(squaredDistance(a, b));
+  }
+
+  // Silhueta média (-1..1): quão mais perto cada ponto está do próprio cluster do que do vizinho mais próximo
+  static silhouette(vectors = [], assignments = []) {
+    const n = vectors.length;
+    const clusters = Array.from(new Set(assignments));
+    if (n < 2 || clusters.length < 2) return 0;
+    let total = 0;
+    for (let i = 0; i < n; i++) {
+      const meanTo = (cluster) => {
+        let sum = 0, count = 0;
+        for (let j = 0; j < n; j++) {
+          if (j === i || assignments[j] !== cluster) continue;
+          sum += KMeans.distance(vectors[i], vectors[j]);
+          count++;
+        }
+        return count ? sum / count : null;
+      };
+      const a = meanTo(assignments[i]);
+      if (a === null) continue; // cluster unitário: silhueta 0 por convenção
+      const b = Math.min(...clusters.filter(c => c !== assignments[i]).map(meanTo).filter(d => d !== null));
+      const denom = Math.max(a, b);
+      total += denom > 0 ? (b - a) / denom : 0;
+    }
+    return total / n;
+  }
+
+  // Escolhe k entre 2..maxK pela maior silhueta; abaixo de `minSilhouette` fica com um cluster só
+  static fitBest(vectors = [], { maxK = 4, minSilhouette = 0.2, seed = 42, maxIterations = 50 } = {}) {
+    const single = { ...new KMeans({ k: 1, seed, maxIterations }).fit(vectors), k: 1, silhouette: 0 };
+    const limit = Math.min(maxK, Math.floor(vectors.length / 2));
+    let best = null;
+    for (let k = 2; k <= limit; k++) {
+      const result = new KMeans({ k, seed, maxIterations }).fit(vectors);
+      if (result.sizes.some(size => size === 0)) continue;
+      const score = KMeans.silhouette(vectors, result.assignments);
+      if (!best || score > best.silhouette) best = { ...result, k: result.centroids.length, silhouette: score };
+    }
+    return best && best.silhouette >= minSilhouette ? best : single;
+  }
+
+  // Devolve { centroids, assignments, sizes, iterations }
+  fit(vectors = []) {
+    const n = vectors.length;
+    const k = Math.max(1, Math.min(this.k, n));
+    if (n === 0) return { centroids: [], assignments: [], sizes: [], iterations: 0 };
+    const rand = seededRandom(this.seed);
+
+    // k-means++: próximos centróides sorteados com probabilidade proporcional à distância²
+    const centroids = [vectors[Math.floor(rand() * n)].slice()];
+    while (centroids.length < k) {
+      const dists = vectors.map(v => Math.min(...centroids.map(c => squaredDistance(v, c))));
+      const total = dists.reduce((s, d) => s + d, 0);
+      if (total === 0) break; // pontos restantes idênticos aos centróides
+      let r = rand() * total;
+      let idx = 0;
+      while (idx < n - 1 && r > dists[idx]) { r -= dists[idx]; idx++; }
+      centroids.push(vectors[idx].slice());
+    }
+
+    let assignments = new Array(n).fill(-1);
+    let iterations = 0;
+    for (; iterations < this.maxIterations; iterations++) {
+      let changed = false;
+      const next = vectors.map((v, i) => {
+        let best = 0, bestD = Infinity;
+        centroids.forEach((c, j) => {
+          const d = squaredDistance(v, c);
+          if (d < bestD) { bestD = d; best = j; }
+        });
+        if (best !== assignments[i]) changed = true;
+        return best;
+      });
+      assignments = next;
+      if (!changed) break;
+      centroids.forEach((c, j) => {
+        const members = vectors.filter((_, i) => assignments[i] === j);
+        if (members.length === 0) return; // mantém o centróide vazio onde está
+        for (let d = 0; d < c.length; d++) c[d] = members.reduce((s, m) => s + m[d], 0) / members.length;
+      });
+    }
+
+    const sizes = centroids.map((_, j) => assignments.filter(a => a === j).length);
+    return { centroids, assignments, sizes, iterations };
+  }
+}
+
+module.exports = KMeans;
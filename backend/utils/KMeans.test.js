@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const KMeans = require('./KMeans');
+
+// Dois grupos bem separados em 2D
+const blobs = [
+  [0, 0], [0.1, 0.2], [0.2, 0.1], [0.1, 0],
+  [5, 5], [5.1, 5.2], [4.9, 5.1], [5.2, 4.9]
+];
+
+test('fit: separa grupos distantes e é determinístico com a mesma seed', () => {
+  const result = new KMeans({ k: 2, seed: 7 }).fit(blobs);
+  assert.deepStrictEqual([...result.sizes].sort(), [4, 4]);
+  assert.ok(result.assignments.slice(0, 4).every(a => a === result.assignments[0]));
+  assert.ok(result.assignments.slice(4).every(a => a === result.assignments[4]));
+  assert.notStrictEqual(result.assignments[0], result.assignments[4]);
+  assert.deepStrictEqual(new KMeans({ k: 2, seed: 7 }).fit(blobs), result);
+});
+
+test('fit: k maior que o número de pontos e lista vazia', () => {
+  assert.strictEqual(new KMeans({ k: 5 }).fit([[1, 1], [2, 2]]).centroids.length, 2);
+  assert.deepStrictEqual(new KMeans({ k: 3 }).fit([]), { centroids: [], assignments: [], sizes: [], iterations: 0 });
+  // Pontos idênticos: não cria centróides repetidos
+  assert.strictEqual(new KMeans({ k: 3 }).fit([[1, 1], [1, 1], [1, 1]]).centroids.length, 1);
+});
+
+test('silhouette: alta para grupos separados, 0 com um cluster só', () => {
+  const good = KMeans.silhouette(blobs, [0, 0, 0, 0, 1, 1, 1, 1]);
+  const bad = KMeans.silhouette(blobs, [0, 1, 0, 1, 0, 1, 0, 1]);
+  assert.ok(good > 0.9, `silhueta ${good}`);
+  assert.ok(bad < 0, `silhueta ${bad}`);
+  assert.strictEqual(KMeans.silhouette(blobs, new Array(blobs.length).fill(0)), 0);
+});
+
+test('fitBest: escolhe k pela silhueta e fica com um cluster quando não há estrutura', () => {
+  const three = [...blobs, [10, 0], [10.1, 0.2], [9.9, 0.1], [10, -0.1]];
+  const best = KMeans.fitBest(three, { maxK: 4 });
+  assert.strictEqual(best.k, 3);
+  assert.ok(best.silhouette >= 0.2);
+  // Pontos espalhados uniformemente numa reta não formam grupos
+  const line = Array.from({ length: 8 }, (_, i) => [i, 0]);
+  const single = KMeans.fitBest(line, { maxK: 4, minSilhouette: 0.7 });
+  assert.strictEqual(single.k, 1);
+  assert.strictEqual(single.silhouette, 0);
+  assert.ok(single.assignments.every(a => a === 0));
+});
@@ -0,0 +1,24 @@
+// Armazenamento padrão do ApiCache: nada é persistido, o cache vive só na memória do processo.
+// Define a interface que os outros stores implementam (todas as operações são síncronas).
+class MemoryCacheStore {
+  // Entradas salvas anteriormente: [[key, { value, t, priority }]]
+  load() {
+    return [];
+  }
+
+  write() {}
+
+  delete() {}
+
+  clear() {}
+
+  shouldCompact() {
+    return false;
+  }
+
+  compact() {}
+
+  flush() {}
+}
+
+module.exports = MemoryCacheStore;
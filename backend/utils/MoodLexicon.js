@@ -0,0 +1,158 @@
+// Léxico de moods: moods, sub-moods e flags de perfil com sinônimos em vários idiomas e peso por tag.
+// Os dados vêm de backend/data/moodLexicon.json; MOOD_LEXICON_PATH aponta para um arquivo extra que
+// é mesclado por cima (acrescenta tags/moods, muda pesos, ou remove um mood com `null`).
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LEXICON_PATH = path.join(__dirname, '..', 'data', 'moodLexicon.json');
+// Tag que só contém o termo ("sad songs for rainy days" ~ "sad") vale menos que a tag exata
+const PARTIAL_MATCH_FACTOR = 0.5;
+
+const normalizeTag = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .replace(/[\s_-]+/g, ' ')
+  .trim();
+
+const isPlainObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+// Mescla `override` em `base`: objetos são mesclados recursivamente e `null` remove a chave
+const mergeDeep = (base, override) => {
+  const out = { ...base };
+  Object.entries(override || {}).forEach(([key, value]) => {
+    if (value === null) delete out[key];
+    else if (isPlainObject(value) && isPlainObject(out[key])) out[key] = mergeDeep(out[key], value);
+    else out[key] = value;
+  });
+  return out;
+};
+
+const indexTags = (tags, where) => {
+  if (!isPlainObject(tags)) throw new Error(`Léxico de moods inválido: "${where}.tags" deve ser um objeto { tag: peso }`);
+  return Object.entries(tags).map(([tag, weight]) => {
+    if (typeof weight !== 'number' || !isFinite(weight) || weight < 0) {
+      throw new Error(`Léxico de moods inválido: peso de "${tag}" em "${where}" deve ser um número >= 0`);
+    }
+    return { term: normalizeTag(tag), weight };
+  }).filter(e => e.term && e.weight > 0);
+};
+
+class MoodLexicon {
+  constructor(data = {}) {
+    if (!isPlainObject(data.moods)) throw new Error('Léxico de moods inválido: "moods" é obrigatório');
+    this.data = data;
+    this.thresholds = { mood: 0.15, subMood: 0.1, flag: 0.15, ...data.thresholds };
+    this.fallback = { id: 'neutral', label: 'Neutral', description: '', ...data.fallback };
+    this.moods = Object.entries(data.moods).map(([id, mood]) => ({
+      id,
+      terms: indexTags(mood.tags, `moods.${id}`),
+      subMoods: Object.entries(mood.subMoods || {}).map(([subId, sub]) => ({
+        id: subId,
+        isDefault: Boolean(sub.default),
+        terms: indexTags(sub.tags, `moods.${id}.subMoods.${subId}`)
+      }))
+    }));
+    this.flags = Object.entries(data.profileFlags || {}).map(([id, flag]) => ({
+      id,
+      terms: indexTags(flag.tags, `profileFlags.${id}`)
+    }));
+  }
+
+  static normalize(tag) {
+    return normalizeTag(tag);
+  }
+
+  // Carrega o léxico padrão e, se houver, os arquivos extras mesclados em ordem
+  static fromFiles(extraPaths = []) {
+    const data = [DEFAULT_LEXICON_PATH, ...extraPaths.filter(Boolean)].reduce((acc, file) => {
+      let parsed;
+      try {
+        parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (e) {
+        throw new Error(`Falha ao ler léxico de moods em ${file}: ${e.message}`);
+      }
+      return mergeDeep(acc, parsed);
+    }, {});
+    return new MoodLexicon(data);
+  }
+
+  // Soma ponderada: peso da tag na faixa/playlist × peso do termo no léxico (melhor termo por tag)
+  _score(terms, tagWeights) {
+    let score = 0;
+    const evidence = [];
+    Object.entries(tagWeights || {}).forEach(([tag, tagWeight]) => {
+      const normalized = normalizeTag(tag);
+      const padded = ` ${normalized} `;
+      let best = 0;
+      terms.forEach(({ term, weight }) => {
+        if (term === normalized) best = Math.max(best, weight);
+        else if (padded.includes(` ${term} `)) best = Math.max(best, weight * PARTIAL_MATCH_FACTOR);
+      });
+      if (best > 0) {
+        score += tagWeight * best;
+        evidence.push({ tag, contribution: tagWeight * best });
+      }
+    });
+    evidence.sort((a, b) => b.contribution - a.contribution);
+    return { score, tags: evidence.map(e => e.tag) };
+  }
+
+  // Mood de maior pontuação (ou o fallback) + sub-mood; `tags` são as tags que sustentaram o mood
+  classify(tagWeights = {}) {
+    let best = null;
+    this.moods.forEach(mood => {
+      const result = this._score(mood.terms, tagWeights);
+      if (result.score >= this.thresholds.mood && (!best || result.score > best.score)) best = { mood, ...result };
+    });
+    if (!best) return { mood: this.fallback.id, subMood: null, score: 0, tags: [] };
+    let subMood = null;
+    let subScore = 0;
+    best.mood.subMoods.forEach(sub => {
+      const { score } = this._score(sub.terms, tagWeights);
+      if (score >= this.thresholds.subMood && score > subScore) { subMood = sub.id; subScore = score; }
+    });
+    if (!subMood) subMood = best.mood.subMoods.find(sub => sub.isDefault)?.id || null;
+    return { mood: best.mood.id, subMood, score: Math.round(best.score * 1000) / 1000, tags: best.tags.slice(0, 5) };
+  }
+
+  // Flags de perfil (isAcoustic, isFast, ...); isVocal é o complemento de isInstrumental
+  profileFlags(tagWeights = {}) {
+    const profile = {};
+    this.flags.forEach(flag => {
+      profile[flag.id] = this._score(flag.terms, tagWeights).score >= this.thresholds.flag;
+    });
+    profile.isVocal = !profile.isInstrumental;
+    return profile;
+  }
+
+  // Representação pública (GET /mood-lexicon)
+  toJSON() {
+    const describeTags = (tags) => Object.entries(tags || {}).map(([tag, weight]) => ({ tag, weight }));
+    return {
+      version: this.data.version ?? 1,
+      thresholds: this.thresholds,
+      fallback: this.fallback,
+      moods: Object.entries(this.data.moods).map(([id, mood]) => ({
+        id,
+        label: mood.label || id,
+        description: mood.description || '',
+        tags: describeTags(mood.tags),
+        subMoods: Object.entries(mood.subMoods || {}).map(([subId, sub]) => ({
+          id: subId,
+          label: sub.label || subId,
+          default: Boolean(sub.default),
+          tags: describeTags(sub.tags)
+        }))
+      })),
+      profileFlags: Object.entries(this.data.profileFlags || {}).map(([id, flag]) => ({
+        id,
+        label: flag.label || id,
+        tags: describeTags(flag.tags)
+      }))
+    };
+  }
+}
+
+MoodLexicon.DEFAULT_LEXICON_PATH = DEFAULT_LEXICON_PATH;
+
+module.exports = MoodLexicon;
@@ -0,0 +1,151 @@
+// Serializa uma playlist salva ({ name, tracks, analysis, seedTracks, ... }, a mesma estrutura
+// do savePlaylist do frontend) em arquivos M3U8, XSPF, CSV ou JSON.
+// Todos os formatos levam os metadados da análise (vibe, contexto cultural, subgrupos).
+const JSON_FORMAT_ID = 'frequency-mixer-playlist';
+const JSON_FORMAT_VERSION = 1;
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Diretivas M3U e comentários do CSV precisam caber em uma linha
+const singleLine = (value) => String(value ?? '').replace(/[\r\n]+/g, ' ').trim();
+
+const spotifyUrl = (track) => track.id ? `https://open.spotify.com/track/${track.id}` : (track.uri || '');
+
+class PlaylistFormats {
+  static get formats() {
+    return {
+      m3u8: { extension: 'm3u8', contentType: 'audio/x-mpegurl; charset=utf-8' },
+      xspf: { extension: 'xspf', contentType: 'application/xspf+xml; charset=utf-8' },
+      csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+      json: { extension: 'json', contentType: 'application/json; charset=utf-8' }
+    };
+  }
+
+  // Resumo da análise que vai no cabeçalho de todos os formatos
+  static summarize(analysis = {}) {
+    const vibe = analysis?.inferredVibe || {};
+    const cultural = analysis?.culturalContext || {};
+    return {
+      mood: vibe.mood || null,
+      subMood: vibe.subMood || null,
+      confidence: vibe.confidence ?? null,
+      era: cultural.culturalEra || null,
+      timeRange: Array.isArray(cultural.timeRange) ? cultural.timeRange : null,
+      subgroups: (analysis?.vibeSubgroups || []).map(g => g.label).filter(Boolean),
+      arc: analysis?.arc || null
+    };
+  }
+
+  static summaryLines(analysis) {
+    const s = PlaylistFormats.summarize(analysis);
+    const lines = [];
+    if (s.mood) lines.push(`vibe: ${s.mood}${s.subMood ? ` (${s.subMood})` : ''}${s.confidence !== null ? `, ${s.confidence}%` : ''}`);
+    if (s.era) lines.push(`era: ${s.era}${s.timeRange ? ` (${s.timeRange[0]}-${s.timeRange[1]})` : ''}`);
+    if (s.subgroups.length) lines.push(`subgroups: ${s.subgroups.join(', ')}`);
+    if (s.arc && s.arc !== 'none') lines.push(`arc: ${s.arc}`);
+    return lines;
+  }
+
+  static toM3U8(playlist) {
+    const lines = ['#EXTM3U', `#PLAYLIST:${singleLine(playlist.name)}`];
+    PlaylistFormats.summaryLines(playlist.analysis).forEach(l => lines.push(`# ${singleLine(l)}`));
+    (playlist.tracks || []).forEach(track => {
+      const seconds = track.durationMs ? Math.round(track.durationMs / 1000) : -1;
+      lines.push(`#EXTINF:${seconds},${singleLine(track.artist)} - ${singleLine(track.name)}`);
+      if (track.album) lines.push(`#EXTALB:${singleLine(track.album)}`);
+      if (track.subgroupLabel) lines.push(`#EXTGRP:${singleLine(track.subgroupLabel)}`);
+      // Sem id/uri: "Artista - Título" como localização, para o #EXTINF não ficar sem linha e a
+      // faixa voltar pela busca ao reimportar
+      lines.push(spotifyUrl(track) || `${singleLine(track.artist)} - ${singleLine(track.name)}`);
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  static toXSPF(playlist) {
+    const s = PlaylistFormats.summarize(playlist.analysis);
+    const meta = [['mood', s.mood], ['era', s.era], ['subgroups', s.subgroups.join(', ')], ['arc', s.arc]]
+      .filter(([, value]) => value)
+      .map(([rel, value]) => `  <meta rel="https://frequency-mixer/${rel}">${escapeXml(value)}</meta>`);
+    const tracks = (playlist.tracks || []).map(track => {
+      const image = track.albumImages?.[0]?.url;
+      return [
+        '    <track>',
+        `      <location>${escapeXml(spotifyUrl(track))}</location>`,
+        track.uri ? `      <identifier>${escapeXml(track.uri)}</identifier>` : null,
+        `      <title>${escapeXml(track.name)}</title>`,
+        `      <creator>${escapeXml(track.artist)}</creator>`,
+        track.album ? `      <album>${escapeXml(track.album)}</album>` : null,
+        track.durationMs ? `      <duration>${Math.round(track.durationMs)}</duration>` : null,
+        image ? `      <image>${escapeXml(image)}</image>` : null,
+        track.subgroupLabel ? `      <annotation>${escapeXml(track.subgroupLabel)}</annotation>` : null,
+        '    </track>'
+      ].filter(Boolean).join('\n');
+    });
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+      `  <title>${escapeXml(playlist.name)}</title>`,
+      `  <annotation>${escapeXml(PlaylistFormats.summaryLines(playlist.analysis).join('; '))}</annotation>`,
+      playlist.createdAt ? `  <date>${escapeXml(playlist.createdAt)}</date>` : null,
+      ...meta,
+      '  <trackList>',
+      ...tracks,
+      '  </trackList>',
+      '</playlist>'
+    ].filter(Boolean).join('\n') + '\n';
+  }
+
+  // Metadados da análise vão em linhas de comentário (#) antes do cabeçalho
+  static toCSV(playlist) {
+    const columns = ['position', 'title', 'artist', 'album', 'duration_ms', 'spotify_uri', 'similarity', 'subgroup', 'subgroup_mood', 'energy', 'tempo'];
+    const rows = (playlist.tracks || []).map((track, i) => [
+      i + 1, track.name, track.artist, track.album, track.durationMs, track.uri,
+      track.similarity, track.subgroupLabel, track.subgroupMood, track.energy, track.tempo
+    ].map(escapeCsv).join(','));
+    const comments = [`# playlist: ${singleLine(playlist.name)}`, ...PlaylistFormats.summaryLines(playlist.analysis).map(l => `# ${singleLine(l)}`)];
+    return [...comments, columns.join(','), ...rows].join('\r\n') + '\r\n';
+  }
+
+  // Formato completo: o objeto salvo vai inteiro em `playlist`, para voltar ao app sem perdas
+  static toJSON(playlist) {
+    return JSON.stringify({
+      format: JSON_FORMAT_ID,
+      version: JSON_FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      summary: PlaylistFormats.summarize(playlist.analysis),
+      playlist
+    }, null, 2);
+  }
+
+  static serialize(format, playlist) {
+    switch (format) {
+      case 'm3u8': return PlaylistFormats.toM3U8(playlist);
+      case 'xspf': return PlaylistFormats.toXSPF(playlist);
+      case 'csv': return PlaylistFormats.toCSV(playlist);
+      case 'json': return PlaylistFormats.toJSON(playlist);
+      default: throw new Error(`Formato desconhecido: ${format}`);
+    }
+  }
+
+  static fileName(playlist, format) {
+    const base = String(playlist.name || 'playlist')
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^A-Za-z0-9 _-]+/g, '').trim().replace(/\s+/g, '_') || 'playlist';
+    return `${base.slice(0, 80)}.${PlaylistFormats.formats[format].extension}`;
+  }
+}
+
+PlaylistFormats.JSON_FORMAT_ID = JSON_FORMAT_ID;
+PlaylistFormats.JSON_FORMAT_VERSION = JSON_FORMAT_VERSION;
+
+module.exports = PlaylistFormats;
@@ -0,0 +1,78 @@
+const EventEmitter = require('events');
+
+// Conta candidatos por `_source` (usado nos eventos de fim de fase)
+const countBySource = (candidates = []) => {
+  const counts = {};
+  candidates.forEach(c => {
+    const source = (c && c._source) || 'unknown';
+    counts[source] = (counts[source] || 0) + 1;
+  });
+  return counts;
+};
+
+// Resumo curto de um candidato para os resultados parciais
+const summarizeCandidate = (c) => ({
+  id: c.id,
+  name: c.name,
+  artist: (c.artists || []).map(a => a.name).join(', '),
+  source: c._source || null,
+  similarity: Math.round(c.similarity || 0)
+});
+
+class ProgressReporter extends EventEmitter {
+  constructor({ signal = null } = {}) {
+    super();
+    this.signal = signal;
+    this.events = [];
+    this.startedAt = new Map(); // fase -> timestamp de início
+    this.lastCandidates = [];
+    this.currentPhase = null;
+  }
+
+  _push(type, payload) {
+    const event = { type, ...payload, t: Date.now() };
+    this.events.push(event);
+    this.emit('event', event);
+    return event;
+  }
+
+  start(phase, label = phase) {
+    // Cada início de fase é um ponto de cancelamento
+    if (this.signal) this.signal.throwIfAborted();
+    this.currentPhase = phase;
+    this.startedAt.set(phase, Date.now());
+    return this._push('phase', { phase, status: 'start', label });
+  }
+
+  finish(phase, candidates = [], extra = {}) {
+    const started = this.startedAt.get(phase);
+    if (candidates.length > 0) this.lastCandidates = candidates;
+    return this._push('phase', {
+      phase,
+      status: 'finish',
+      durationMs: started ? Date.now() - started : null,
+      total: candidates.length,
+      counts: countBySource(candidates),
+      ...extra
+    });
+  }
+
+  warn(code, message) {
+    return this._push('warning', { code, message });
+  }
+
+  // Estado parcial: fase atual e melhores candidatos coletados até agora
+  snapshot(limit = 10) {
+    const top = [...this.lastCandidates]
+      .sort((a, b) => (b.similarity || 0) - (a.similarity || 0))
+      .slice(0, limit);
+    return {
+      phase: this.currentPhase,
+      total: this.lastCandidates.length,
+      counts: countBySource(this.lastCandidates),
+      tracks: top.map(summarizeCandidate)
+    };
+  }
+}
+
+module.exports = ProgressReporter;
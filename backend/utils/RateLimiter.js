@@ -1,3 +1,15 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Escopo de cancelamento: chamadas feitas dentro de RateLimiter.withSignal(signal, fn)
+// herdam o signal e deixam de ser executadas assim que ele é abortado.
+const cancellationScope = new AsyncLocalStorage();
+
+const abortedError = () => {
+  const err = new Error('Aborted');
+  err.name = 'AbortError';
+  return err;
+};
+
 class RateLimiter {
   constructor(concurrency = 1, maxQueue = 50) {
     this.concurrency = concurrency;
@@ -7,19 +19,29 @@ class RateLimiter {
     this._stats = { executed: 0, queued: 0, failures: 0 }; // renomeado para evitar colisão com método stats()
   }
 
+  static withSignal(signal, fn) {
+    return cancellationScope.run(signal, fn);
+  }
+
   execute(fn) {
+    const signal = cancellationScope.getStore();
     return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) return reject(abortedError());
       if (this.queue.length >= this.maxQueue) {
         this._stats.failures++;
         return reject(new Error('RateLimiter queue full'));
       }
-      this.queue.push({ fn, resolve, reject });
+      this.queue.push({ fn, resolve, reject, signal });
       this._stats.queued = this.queue.length;
       this._tryNext();
     });
   }
 
   _tryNext() {
+    // Descarta itens cujo job foi cancelado enquanto esperavam na fila
+    while (this.queue.length > 0 && this.queue[0].signal && this.queue[0].signal.aborted) {
+      this.queue.shift().reject(abortedError());
+    }
     if (this.active < this.concurrency && this.queue.length > 0) {
       const item = this.queue.shift();
       this._stats.queued = this.queue.length;
@@ -0,0 +1,105 @@
+// Registro das fontes de candidatos do /analyze. Cada fonte tem nome, quota,
+// prioridade e flag de ativação; tudo pode ser sobrescrito por request via `options.sources`.
+// Se o contexto tiver `exclude(track)`, os baldes recusam as faixas para as quais ele devolve true.
+// Com `identify(track)` + `recordingSeen` (Set), também recusam outra edição de uma gravação já coletada.
+class SourceRegistry {
+  constructor(maxCandidates = 80) {
+    this.sources = new Map();
+    this.maxCandidates = maxCandidates;
+  }
+
+  register({ name, label = name, quota, priority = 10, enabled = true, collect }) {
+    if (!name || typeof name !== 'string') throw new Error('Source name must be string');
+    if (typeof collect !== 'function') throw new Error(`Source ${name} must define collect()`);
+    this.sources.set(name, { name, label, quota: Math.max(0, Number(quota) || 0), priority, enabled, collect });
+    return this;
+  }
+
+  list() {
+    return Array.from(this.sources.values())
+      .sort((a, b) => a.priority - b.priority)
+      .map(({ name, label, quota, priority, enabled }) => ({ name, label, quota, priority, enabled }));
+  }
+
+  // Aplica overrides (`{ nome: false }` ou `{ nome: { enabled, quota, priority } }`)
+  // e normaliza as quotas para caberem em maxCandidates
+  resolve(overrides = {}) {
+    const plan = [];
+    for (const source of this.sources.values()) {
+      const raw = overrides ? overrides[source.name] : undefined;
+      const o = (typeof raw === 'boolean') ? { enabled: raw } : (raw && typeof raw === 'object' ? raw : {});
+      const entry = {
+        ...source,
+        enabled: o.enabled !== undefined ? Boolean(o.enabled) : source.enabled,
+        quota: o.quota !== undefined ? Math.max(0, Number(o.quota) || 0) : source.quota,
+        priority: o.priority !== undefined ? Number(o.priority) : source.priority
+      };
+      if (entry.enabled && entry.quota > 0) plan.push(entry);
+    }
+    plan.sort((a, b) => a.priority - b.priority);
+    const total = plan.reduce((s, p) => s + p.quota, 0);
+    if (total > this.maxCandidates) {
+      const factor = this.maxCandidates / total;
+      plan.forEach(p => { p.quota = Math.max(1, Math.floor(p.quota * factor)); });
+    }
+    return plan;
+  }
+
+  // Roda as fontes em ordem de prioridade. Cada uma só enche o próprio balde;
+  // a quota não usada por uma fonte passa para a seguinte (no máximo dobrando a quota dela).
+  async run(ctx, overrides = {}, reporter = null) {
+    const plan = this.resolve(overrides);
+    const candidates = [];
+    let spare = 0;
+    for (const source of plan) {
+      if (reporter) reporter.start(source.name, source.label);
+      const quota = source.quota + Math.min(spare, source.quota);
+      const bucket = this._createBucket(source.name, quota, ctx, candidates);
+      try {
+        await source.collect(ctx, bucket);
+      } catch (e) {
+        if (e.name === 'AbortError') throw e;
+        console.warn(`Fonte ${source.name} falhou:`, e.message || e);
+        if (reporter) reporter.warn('source-failed', `Fonte ${source.name} falhou: ${e.message}`);
+      }
+      spare = Math.max(0, spare - Math.max(0, bucket.count - source.quota)) + Math.max(0, source.quota - bucket.count);
+      if (reporter) reporter.finish(source.name, candidates, { added: bucket.count, excluded: bucket.excluded, duplicates: bucket.duplicates, quota });
+    }
+    return candidates;
+  }
+
+  _createBucket(name, quota, ctx, candidates) {
+    const { uriSeen, exclude, identify, recordingSeen } = ctx;
+    let count = 0;
+    let excluded = 0;
+    let duplicates = 0;
+    return {
+      name,
+      quota,
+      get count() { return count; },
+      get excluded() { return excluded; },
+      get duplicates() { return duplicates; },
+      isFull: () => count >= quota,
+      has: (uri) => uriSeen.has(uri),
+      add: (track) => {
+        if (!track || !track.uri || uriSeen.has(track.uri) || count >= quota) return false;
+        if (typeof exclude === 'function' && exclude(track)) {
+          excluded++;
+          return false;
+        }
+        const recording = typeof identify === 'function' && recordingSeen ? identify(track) : null;
+        if (recording && recordingSeen.has(recording)) {
+          duplicates++;
+          return false;
+        }
+        candidates.push({ ...track, _source: name });
+        uriSeen.add(track.uri);
+        if (recording) recordingSeen.add(recording);
+        count++;
+        return true;
+      }
+    };
+  }
+}
+
+module.exports = SourceRegistry;
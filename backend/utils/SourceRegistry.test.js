@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SourceRegistry = require('./SourceRegistry');
+
+// Fonte que tenta adicionar `count` faixas com o prefixo dado
+const source = (name, quota, priority, count, extra = {}) => ({
+  name,
+  quota,
+  priority,
+  collect: async (ctx, bucket) => {
+    for (let i = 0; i < count && !bucket.isFull(); i++) bucket.add({ uri: `${name}:${i}`, name: `${name} ${i}` });
+  },
+  ...extra
+});
+
+const newContext = (extra = {}) => ({ uriSeen: new Set(), ...extra });
+
+test('resolve: aplica overrides, ordena por prioridade e reduz quotas a maxCandidates', () => {
+  const registry = new SourceRegistry(20)
+    .register(source('a', 20, 2, 0))
+    .register(source('b', 20, 1, 0))
+    .register(source('c', 10, 3, 0));
+  const plan = registry.resolve({ c: false, a: { quota: 10 } });
+  assert.deepStrictEqual(plan.map(p => [p.name, p.quota]), [['b', 13], ['a', 6]]);
+});
+
+test('run: quota não usada passa para a próxima fonte, no máximo dobrando a quota dela', async () => {
+  const registry = new SourceRegistry(100)
+    .register(source('first', 10, 1, 4))
+    .register(source('second', 5, 2, 50))
+    .register(source('third', 10, 3, 50));
+  const candidates = await registry.run(newContext());
+  const bySource = (name) => candidates.filter(c => c._source === name).length;
+  // first deixa 6 sobrando; second pega 5 + 5; a sobra restante (1) vai para third
+  assert.strictEqual(bySource('first'), 4);
+  assert.strictEqual(bySource('second'), 10);
+  assert.strictEqual(bySource('third'), 11);
+});
+
+test('run: fonte que falha é reportada e a quota dela vai para a seguinte', async () => {
+  const warnings = [];
+  const reporter = { start() {}, finish() {}, warn: (code, msg) => warnings.push({ code, msg }) };
+  const registry = new SourceRegistry(100)
+    .register(source('broken', 5, 1, 0, { collect: async () => { throw new Error('timeout'); } }))
+    .register(source('fallback', 5, 2, 50));
+  const candidates = await registry.run(newContext(), {}, reporter);
+  assert.strictEqual(candidates.length, 10);
+  assert.deepStrictEqual(warnings.map(w => w.code), ['source-failed']);
+});
+
+test('run: AbortError interrompe a coleta', async () => {
+  const abort = Object.assign(new Error('aborted'), { name: 'AbortError' });
+  const registry = new SourceRegistry().register(source('a', 5, 1, 0, { collect: async () => { throw abort; } }));
+  await assert.rejects(registry.run(newContext()), { name: 'AbortError' });
+});
+
+test('bucket: recusa URIs repetidas, excluídas e outra edição de gravação já coletada', async () => {
+  const registry = new SourceRegistry().register({
+    name: 'a',
+    quota: 10,
+    collect: async (ctx, bucket) => {
+      bucket.add({ uri: 'x', rec: 'r1' });
+      bucket.add({ uri: 'x', rec: 'r1' });
+      bucket.add({ uri: 'blocked', rec: 'r2' });
+      bucket.add({ uri: 'y', rec: 'r1' });
+      bucket.add({ uri: 'z', rec: 'r3' });
+    }
+  });
+  const finished = [];
+  const reporter = { start() {}, warn() {}, finish: (name, list, stats) => finished.push(stats) };
+  const ctx = newContext({ exclude: t => t.uri === 'blocked', identify: t => t.rec, recordingSeen: new Set() });
+  const candidates = await registry.run(ctx, {}, reporter);
+  assert.deepStrictEqual(candidates.map(c => c.uri), ['x', 'z']);
+  assert.deepStrictEqual(finished[0], { added: 2, excluded: 1, duplicates: 1, quota: 10 });
+});
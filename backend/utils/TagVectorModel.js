@@ -0,0 +1,88 @@
+// Representação de faixas/playlists como vetores de tags do Last.fm (track.gettoptags).
+// Peso de cada tag = frequência relativa (count 0..100 do Last.fm) × IDF, onde o IDF vem de
+// todas as listas de tags já vistas pelo servidor: tags onipresentes ("rock", "seen live")
+// pesam pouco e tags específicas ("shoegaze", "dream pop") dominam a similaridade.
+class TagVectorModel {
+  constructor({ maxDocuments = 20000 } = {}) {
+    this.maxDocuments = maxDocuments;
+    this.documents = new Set();
+    this.documentFrequency = new Map();
+  }
+
+  // Pesos relativos (0..1) a partir da lista [{ name, count }] do Last.fm
+  static termWeights(tagCounts = []) {
+    const weights = {};
+    tagCounts.forEach(({ name, count }) => {
+      const tag = String(name || '').toLowerCase().trim();
+      if (!tag) return;
+      // O Last.fm devolve count 0 para tags raras, que ainda assim foram aplicadas
+      weights[tag] = Math.max(weights[tag] || 0, Math.max(1, Number(count) || 0) / 100);
+    });
+    return weights;
+  }
+
+  // Média ponderada de vários conjuntos de pesos ([{ weights, weight }]), ex. o perfil das seeds
+  static merge(entries = []) {
+    const merged = {};
+    const total = entries.reduce((s, e) => s + (e.weight ?? 1), 0);
+    if (!total) return merged;
+    entries.forEach(({ weights, weight = 1 }) => {
+      Object.entries(weights || {}).forEach(([tag, w]) => {
+        merged[tag] = (merged[tag] || 0) + (w * weight) / total;
+      });
+    });
+    return merged;
+  }
+
+  // Registra a lista de tags de uma faixa (uma vez por `key`) para o IDF
+  observe(key, weights) {
+    if (!key || this.documents.has(key) || this.documents.size >= this.maxDocuments) return;
+    const tags = Object.keys(weights || {});
+    if (tags.length === 0) return;
+    this.documents.add(key);
+    tags.forEach(tag => this.documentFrequency.set(tag, (this.documentFrequency.get(tag) || 0) + 1));
+  }
+
+  // IDF suavizado: tag nunca vista recebe o peso máximo
+  idf(tag) {
+    const n = this.documents.size;
+    return Math.log((1 + n) / (1 + (this.documentFrequency.get(tag) || 0))) + 1;
+  }
+
+  vectorize(weights = {}) {
+    const vector = {};
+    Object.entries(weights).forEach(([tag, w]) => {
+      if (w > 0) vector[tag] = w * this.idf(tag);
+    });
+    return vector;
+  }
+
+  static cosine(a = {}, b = {}) {
+    let dot = 0, normA = 0, normB = 0;
+    Object.entries(a).forEach(([tag, v]) => {
+      normA += v * v;
+      if (b[tag]) dot += v * b[tag];
+    });
+    Object.values(b).forEach(v => { normB += v * v; });
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  // Similaridade 0..1 entre dois conjuntos de pesos, com o IDF atual
+  similarity(a, b) {
+    return TagVectorModel.cosine(this.vectorize(a), this.vectorize(b));
+  }
+
+  // Tags mais representativas (peso × IDF)
+  topTags(weights, limit = 5) {
+    return Object.entries(this.vectorize(weights))
+      .sort((x, y) => y[1] - x[1])
+      .slice(0, limit)
+      .map(([tag]) => tag);
+  }
+
+  stats() {
+    return { documents: this.documents.size, tags: this.documentFrequency.size };
+  }
+}
+
+module.exports = TagVectorModel;
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TagVectorModel = require('./TagVectorModel');
+
+test('termWeights: count do Last.fm vira 0..1, tags em minúsculas e count 0 ainda pesa', () => {
+  const weights = TagVectorModel.termWeights([{ name: 'Shoegaze', count: 100 }, { name: 'dream pop', count: 40 }, { name: 'rare', count: 0 }, { name: ' ', count: 50 }]);
+  assert.deepStrictEqual(weights, { shoegaze: 1, 'dream pop': 0.4, rare: 0.01 });
+});
+
+test('merge: média ponderada dos perfis', () => {
+  const merged = TagVectorModel.merge([{ weights: { rock: 1 }, weight: 3 }, { weights: { rock: 0.2, jazz: 1 }, weight: 1 }]);
+  assert.ok(Math.abs(merged.rock - 0.8) < 1e-9);
+  assert.ok(Math.abs(merged.jazz - 0.25) < 1e-9);
+  assert.deepStrictEqual(TagVectorModel.merge([]), {});
+});
+
+test('observe/idf: tags onipresentes pesam menos, cada chave conta uma vez', () => {
+  const model = new TagVectorModel();
+  model.observe('a', { rock: 1, shoegaze: 1 });
+  model.observe('b', { rock: 1 });
+  model.observe('c', { rock: 1 });
+  model.observe('c', { rock: 1, shoegaze: 1 });
+  assert.deepStrictEqual(model.stats(), { documents: 3, tags: 2 });
+  assert.ok(model.idf('shoegaze') > model.idf('rock'));
+  assert.ok(model.idf('never-seen') > model.idf('shoegaze'));
+});
+
+test('similarity: tag específica em comum vale mais que tag genérica em comum', () => {
+  const model = new TagVectorModel();
+  for (let i = 0; i < 20; i++) model.observe(`rock-${i}`, { rock: 1 });
+  model.observe('sg', { rock: 1, shoegaze: 1 });
+  const seed = { rock: 1, shoegaze: 1 };
+  const shareSpecific = model.similarity(seed, { shoegaze: 1, pop: 1 });
+  const shareGeneric = model.similarity(seed, { rock: 1, pop: 1 });
+  assert.ok(shareSpecific > shareGeneric, `${shareSpecific} <= ${shareGeneric}`);
+  assert.strictEqual(model.similarity(seed, {}), 0);
+  assert.ok(Math.abs(model.similarity(seed, seed) - 1) < 1e-9);
+  assert.deepStrictEqual(model.topTags(seed, 1), ['shoegaze']);
+});
+
+test('observe: respeita maxDocuments', () => {
+  const model = new TagVectorModel({ maxDocuments: 2 });
+  ['a', 'b', 'c'].forEach(key => model.observe(key, { [key]: 1 }));
+  assert.deepStrictEqual(model.stats(), { documents: 2, tags: 2 });
+});
@@ -0,0 +1,334 @@
+// Identidade de gravação entre provedores (Spotify, Deezer, iTunes).
+// A chave é o ISRC quando existe; sem ele, artista + título normalizados + duração aproximada.
+// O mapeamento gravação -> IDs em cada provedor fica no cache para que prévias, dedup e
+// resolução de faixas similares caiam sempre na mesma gravação (e não em covers ou karaokê).
+const VERSION_MARKERS = ['karaoke', 'instrumental', 'cover', 'tribute', 'remix', 'live', 'acoustic', 'sped up', 'slowed'];
+const MIN_MATCH_SCORE = 70;
+const DURATION_BUCKET_MS = 10000;
+const DUPLICATE_DURATION_TOLERANCE_MS = 10000; // mesma gravação em outra edição varia poucos segundos
+// Links de prévia do Deezer são assinados e expiram; o ID fica no cache, o link é buscado de novo depois disso
+const DEEZER_PREVIEW_TTL_MS = 15 * 60 * 1000;
+// Erro do Deezer que significa "não encontrado" (os demais — cota, serviço ocupado — são falhas temporárias)
+const DEEZER_NO_DATA = 800;
+// Marcas de edição/versão removidas do título para comparar gravações ("- Remastered 2011", "(Live)", "[Deluxe]")
+const VERSION_TAG_RE = /\b(remaster(ed)?|remasterizad[ao]|ao vivo|live|mono|stereo|version|edit|deluxe|edition|anniversary|expanded|bonus|demo|re-?recorded|single|album|radio|explicit|clean)\b/i;
+// Sinais de que a edição não é o lançamento original
+const REISSUE_RE = /\b(remaster(ed)?|remasterizad[ao]|ao vivo|live|deluxe|anniversary|expanded|re-?recorded|demo|bonus|reissue)\b/i;
+
+const clamp = (v, a = 0, b = 1) => Math.max(a, Math.min(b, v));
+
+// Minúsculas sem acentos e pontuação; remove "(feat. ...)"
+const normalizeWords = (s) => String(s || '')
+  .toLowerCase()
+  .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .replace(/[([](feat|ft|with)\.?[^)\]]*[)\]]/g, '')
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Para busca tolerante: também descarta qualquer sufixo " - ..." ("- Remastered 2011", "- Radio Edit")
+const normalizeMatchText = (s) => normalizeWords(String(s || '').replace(/\s[-–—]\s.*$/, ''));
+
+// Coeficiente de Dice sobre palavras (0..1); contém-um-no-outro conta como bem próximo
+const textSimilarity = (a, b) => {
+  const x = normalizeMatchText(a);
+  const y = normalizeMatchText(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  const xs = new Set(x.split(' '));
+  const ys = new Set(y.split(' '));
+  const common = [...xs].filter(w => ys.has(w)).length;
+  const dice = (2 * common) / (xs.size + ys.size);
+  return (x.includes(y) || y.includes(x)) ? Math.max(dice, 0.85) : dice;
+};
+
+// Título da gravação sem marcas de versão; "(feat. ...)" também sai
+const normalizeTitle = (title) => normalizeWords(String(title || '')
+  .replace(/\s[-–—]\s(.*)$/, (m, suffix) => (VERSION_TAG_RE.test(suffix) ? '' : m))
+  .replace(/\s*[([][^)\]]*[)\]]/g, (m) => (VERSION_TAG_RE.test(m) || /\b(feat|ft|with)\b/i.test(m) ? '' : m)));
+
+const normalizeIsrc = (isrc) => {
+  const clean = String(isrc || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return /^[A-Z]{2}[A-Z0-9]{3}\d{7}$/.test(clean) ? clean : null;
+};
+
+// Formato comum de candidato: { title, artists: [nomes], durationMs, isrc }
+const fromSpotify = (t) => ({ title: t.name, artists: (t.artists || []).map(a => a.name), durationMs: t.duration_ms || null, isrc: normalizeIsrc(t.external_ids?.isrc) });
+const fromDeezer = (t) => ({ title: t.title, artists: [t.artist?.name].filter(Boolean), durationMs: t.duration ? t.duration * 1000 : null, isrc: normalizeIsrc(t.isrc) });
+const fromItunes = (t) => ({ title: t.trackName, artists: [t.artistName].filter(Boolean), durationMs: t.trackTimeMillis || null, isrc: null });
+
+class TrackIdentity {
+  // `limiters`: { spotify, deezer, itunes } (RateLimiter); `cache`: ApiCache para os mapeamentos
+  constructor({ cache, limiters = {} }) {
+    this.cache = cache;
+    this.limiters = limiters;
+  }
+
+  static normalizeText(s) {
+    return normalizeMatchText(s);
+  }
+
+  static textSimilarity(a, b) {
+    return textSimilarity(a, b);
+  }
+
+  static normalizeIsrc(isrc) {
+    return normalizeIsrc(isrc);
+  }
+
+  static normalizeTitle(title) {
+    return normalizeTitle(title);
+  }
+
+  // Faixas do Spotify que são a mesma gravação: mesmo ISRC, ou mesmo artista principal + título
+  // normalizado com duração dentro da tolerância. Devolve os grupos como listas de índices.
+  static groupRecordings(tracks = []) {
+    const parent = tracks.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const union = (a, b) => { parent[find(a)] = find(b); };
+    const byIsrc = new Map();
+    const byName = new Map();
+    tracks.forEach((t, i) => {
+      const isrc = normalizeIsrc(t.external_ids?.isrc);
+      if (isrc) {
+        if (byIsrc.has(isrc)) union(i, byIsrc.get(isrc));
+        else byIsrc.set(isrc, i);
+      }
+      const key = `${normalizeWords(t.artists?.[0]?.name)}|${normalizeTitle(t.name)}`;
+      if (!byName.has(key)) byName.set(key, []);
+      byName.get(key).forEach(j => {
+        const a = t.duration_ms;
+        const b = tracks[j].duration_ms;
+        if (!a || !b || Math.abs(a - b) <= DUPLICATE_DURATION_TOLERANCE_MS) union(i, j);
+      });
+      byName.get(key).push(i);
+    });
+    const groups = new Map();
+    tracks.forEach((_, i) => {
+      const root = find(i);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(i);
+    });
+    return Array.from(groups.values());
+  }
+
+  // Ordena edições da mesma gravação: lançamento original primeiro (não compilação, sem
+  // remaster/ao vivo/deluxe, data mais antiga), depois disponível no mercado, depois popularidade
+  static compareEditions(a, b, market = null) {
+    const reissueRank = (t) => (REISSUE_RE.test(t.name || '') || REISSUE_RE.test(t.album?.name || '') ? 1 : 0)
+      + (t.album?.album_type === 'compilation' ? 1 : 0);
+    const available = (t) => (t.is_playable === false || (market && Array.isArray(t.available_markets) && !t.available_markets.includes(market)) ? 0 : 1);
+    const date = (t) => t.album?.release_date || '9999';
+    return (reissueRank(a) - reissueRank(b))
+      || date(a).localeCompare(date(b))
+      || (available(b) - available(a))
+      || ((b.popularity || 0) - (a.popularity || 0));
+  }
+
+  // Remove edições repetidas da mesma gravação mantendo a melhor de cada grupo.
+  // Grupos que contêm uma faixa de `reserved` (seeds) perdem todos os candidatos.
+  static dedupeRecordings(tracks = [], { reserved = [], market = null } = {}) {
+    const all = [...reserved, ...tracks];
+    const winners = new Set();
+    const removed = [];
+    TrackIdentity.groupRecordings(all).forEach(group => {
+      const members = group.filter(i => i >= reserved.length).map(i => all[i]);
+      if (members.length === 0) return;
+      const reservedMember = group.find(i => i < reserved.length);
+      if (reservedMember !== undefined) {
+        members.forEach(t => removed.push({ uri: t.uri, name: t.name, keptUri: all[reservedMember].uri }));
+        return;
+      }
+      const [best, ...rest] = [...members].sort((a, b) => TrackIdentity.compareEditions(a, b, market));
+      // A pontuação é da gravação, não da edição: a vencedora herda a melhor similaridade do grupo
+      best.similarity = Math.max(...members.map(t => t.similarity || 0));
+      winners.add(best);
+      rest.forEach(t => removed.push({ uri: t.uri, name: t.name, keptUri: best.uri }));
+    });
+    return { tracks: tracks.filter(t => winners.has(t)), removed };
+  }
+
+  // Chave da gravação: ISRC ou artista principal + título normalizados + duração em faixas de 10s
+  static recordingKey({ isrc, artist, title, durationMs } = {}) {
+    const code = normalizeIsrc(isrc);
+    if (code) return `isrc:${code}`;
+    const firstArtist = String(artist || '').split(/\s*,\s*/)[0];
+    const bucket = durationMs ? Math.round(durationMs / DURATION_BUCKET_MS) : '?';
+    return `name:${normalizeMatchText(firstArtist)}|${normalizeMatchText(title)}|${bucket}`;
+  }
+
+  // Identidade a partir de uma faixa do Spotify (objeto completo da API)
+  static fromSpotifyTrack(track) {
+    return {
+      isrc: normalizeIsrc(track?.external_ids?.isrc),
+      artist: (track?.artists || []).map(a => a.name).join(', '),
+      title: track?.name || '',
+      durationMs: track?.duration_ms || null
+    };
+  }
+
+  // Confiança 0..100 de que `candidate` é a gravação descrita por `query` ({ title, artist, durationMs, isrc, raw })
+  static matchScore(query, candidate) {
+    const queryIsrc = normalizeIsrc(query.isrc);
+    if (queryIsrc && candidate.isrc) return queryIsrc === candidate.isrc ? 100 : 0;
+    const titleScore = textSimilarity(query.title, candidate.title);
+    const artistScore = query.artist
+      ? Math.max(0, ...(candidate.artists || []).map(name => textSimilarity(query.artist, name)))
+      : null;
+    const durationScore = query.durationMs && candidate.durationMs
+      ? clamp(1 - (Math.abs(query.durationMs - candidate.durationMs) - 3000) / 27000)
+      : null;
+    const parts = [[titleScore, 0.55], [artistScore, 0.35], [durationScore, 0.1]].filter(([v]) => v !== null);
+    const weightSum = parts.reduce((s, [, w]) => s + w, 0);
+    let score = parts.reduce((s, [v, w]) => s + v * w, 0) / weightSum;
+    // Sem artista informado, o título sozinho não basta para confiança alta
+    if (artistScore === null) score *= 0.85;
+    // Karaokê, cover, ao vivo etc. só valem se a busca também pedir essa versão
+    const wanted = normalizeMatchText(query.raw || `${query.artist || ''} ${query.title || ''}`);
+    const found = String(candidate.title || '').toLowerCase();
+    if (VERSION_MARKERS.some(m => found.includes(m) && !wanted.includes(m))) score *= 0.7;
+    return Math.round(score * 100);
+  }
+
+  static pickBest(query, items, toCandidate, minScore = MIN_MATCH_SCORE) {
+    let best = null;
+    for (const item of items || []) {
+      if (!item) continue;
+      const score = TrackIdentity.matchScore(query, toCandidate(item));
+      if (score >= minScore && (!best || score > best.score)) best = { item, score };
+    }
+    return best;
+  }
+
+  _get(query) {
+    return this.cache.get(`identity:${TrackIdentity.recordingKey(query)}`) || {};
+  }
+
+  // Grava o mapeamento sob a chave pedida e, se houver, também sob o ISRC descoberto
+  _remember(query, patch) {
+    const key = TrackIdentity.recordingKey(query);
+    const entry = { ...this.cache.get(`identity:${key}`), ...patch };
+    this.cache.set(`identity:${key}`, entry);
+    if (entry.isrc && !key.startsWith('isrc:')) {
+      this.cache.set(`identity:isrc:${entry.isrc}`, { ...this.cache.get(`identity:isrc:${entry.isrc}`), ...entry });
+    }
+    return entry;
+  }
+
+  // Registra uma faixa do Spotify já conhecida (evita buscas futuras pela mesma gravação)
+  rememberSpotifyTrack(track) {
+    if (!track?.id) return;
+    const identity = TrackIdentity.fromSpotifyTrack(track);
+    this._remember(identity, { isrc: identity.isrc, spotifyId: track.id, spotifyUri: track.uri });
+  }
+
+  // Faixa do Spotify para a gravação: busca por `isrc:` quando possível, senão por nome com pontuação
+  async resolveSpotify(api, query, { market } = {}) {
+    const known = this._get(query);
+    if (known.spotifyId === null) return null;
+    if (known.spotifyId) {
+      const data = await this.limiters.spotify.execute(() => api.getTrack(known.spotifyId, market ? { market } : {}));
+      return data.body;
+    }
+    const isrc = normalizeIsrc(query.isrc);
+    const options = { limit: 5, ...(market ? { market } : {}) };
+    let best = null;
+    if (isrc) {
+      const data = await this.limiters.spotify.execute(() => api.searchTracks(`isrc:${isrc}`, options));
+      const items = data.body.tracks?.items || [];
+      // Várias edições compartilham o ISRC: prefere a do álbum original (não compilação)
+      const original = items.find(t => t.album?.album_type === 'album') || items[0];
+      if (original) best = { item: original, score: 100 };
+    }
+    if (!best && query.title) {
+      const q = query.artist ? `track:${query.title} artist:${query.artist}` : query.title;
+      const data = await this.limiters.spotify.execute(() => api.searchTracks(q, options));
+      best = TrackIdentity.pickBest(query, data.body.tracks?.items, fromSpotify);
+    }
+    if (!best) {
+      this._remember(query, { spotifyId: null });
+      return null;
+    }
+    const track = best.item;
+    this._remember(query, { isrc: normalizeIsrc(track.external_ids?.isrc) || isrc, spotifyId: track.id, spotifyUri: track.uri });
+    return track;
+  }
+
+  // Faixa do Deezer: endpoint `track/isrc:` e, na falta do ISRC, busca por nome com pontuação.
+  // "Não encontrado" fica no cache; falhas (HTTP != 2xx ou `error` no corpo) não, para tentar de novo depois.
+  async resolveDeezer(query) {
+    const known = this._get(query);
+    if (known.deezerId === null) return null;
+    if (known.deezerId) {
+      if (known.deezerPreview && Date.now() - (known.deezerPreviewAt || 0) < DEEZER_PREVIEW_TTL_MS) {
+        return { id: known.deezerId, preview: known.deezerPreview };
+      }
+      const res = await this.limiters.deezer.execute(() => fetch(`https://api.deezer.com/track/${known.deezerId}`));
+      const data = res.ok ? await res.json() : null;
+      if (!data || data.error) throw new Error(`Deezer indisponível (${data?.error?.message || `HTTP ${res.status}`})`);
+      this._remember(query, { deezerPreview: data.preview || null, deezerPreviewAt: Date.now() });
+      return { id: known.deezerId, preview: data.preview || null };
+    }
+    const isrc = normalizeIsrc(query.isrc) || known.isrc;
+    let track = null;
+    let failed = null;
+    if (isrc) {
+      const res = await this.limiters.deezer.execute(() => fetch(`https://api.deezer.com/track/isrc:${isrc}`));
+      const data = res.ok ? await res.json() : null;
+      if (!data) failed = `HTTP ${res.status}`;
+      else if (data.error && data.error.code !== DEEZER_NO_DATA) failed = data.error.message || 'erro';
+      else if (data.id && !data.error) track = data;
+    }
+    if (!track && query.title && query.artist) {
+      const q = `artist:"${query.artist}" track:"${query.title}"`;
+      const res = await this.limiters.deezer.execute(() => fetch(`https://api.deezer.com/search?q=${encodeURIComponent(q)}&limit=5`));
+      const data = res.ok ? await res.json() : null;
+      if (!data) failed = `HTTP ${res.status}`;
+      else if (data.error) failed = data.error.message || 'erro';
+      else track = TrackIdentity.pickBest(query, data.data, fromDeezer)?.item || null;
+    }
+    if (!track && failed) throw new Error(`Deezer indisponível (${failed})`);
+    this._remember(query, {
+      deezerId: track?.id || null,
+      deezerPreview: track?.preview || null,
+      deezerPreviewAt: track ? Date.now() : null,
+      ...(track?.isrc && !known.isrc ? { isrc: normalizeIsrc(track.isrc) } : {})
+    });
+    return track ? { id: track.id, preview: track.preview || null } : null;
+  }
+
+  // Faixa do iTunes: a API pública não busca por ISRC, então nome + duração decidem
+  async resolveItunes(query) {
+    const known = this._get(query);
+    if (known.itunesId !== undefined) return known.itunesId ? { id: known.itunesId, preview: known.itunesPreview } : null;
+    if (!query.title) return null;
+    const term = `${query.artist || ''} ${query.title}`.trim();
+    const res = await this.limiters.itunes.execute(() => fetch(`https://itunes.apple.com/search?term=${encodeURIComponent(term)}&media=music&entity=song&limit=10`));
+    // 403/429/5xx: não guarda o "não encontrado", a próxima chamada tenta de novo
+    if (!res.ok) throw new Error(`iTunes indisponível (HTTP ${res.status})`);
+    const data = await res.json();
+    const track = TrackIdentity.pickBest(query, data.results, fromItunes)?.item || null;
+    this._remember(query, { itunesId: track?.trackId || null, itunesPreview: track?.previewUrl || null });
+    return track ? { id: track.trackId, preview: track.previewUrl || null } : null;
+  }
+
+  // Prévia de áudio da mesma gravação: Deezer primeiro, depois iTunes
+  async resolvePreview(query) {
+    const sources = [['deezer', () => this.resolveDeezer(query)], ['itunes', () => this.resolveItunes(query)]];
+    for (const [source, resolve] of sources) {
+      try {
+        const found = await resolve();
+        if (found?.preview) return { previewUrl: found.preview, source };
+      } catch (e) {
+        if (e.name === 'AbortError') throw e;
+        console.warn(`Prévia via ${source} falhou:`, e.message);
+      }
+    }
+    return { previewUrl: null, source: null };
+  }
+}
+
+TrackIdentity.MIN_MATCH_SCORE = MIN_MATCH_SCORE;
+TrackIdentity.fromSpotify = fromSpotify;
+
+module.exports = TrackIdentity;
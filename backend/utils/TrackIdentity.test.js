@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TrackIdentity = require('./TrackIdentity');
+
+// Faixa no formato da API do Spotify, só com os campos que a deduplicação usa
+const spotifyTrack = ({ id, name = 'Song', artist = 'Band', isrc, durationMs = 200000, album = 'Album', albumType = 'album', releaseDate = '1990-01-01', popularity = 50, markets, similarity = 70 }) => ({
+  id,
+  uri: `spotify:track:${id}`,
+  name,
+  artists: [{ name: artist }],
+  duration_ms: durationMs,
+  external_ids: isrc ? { isrc } : {},
+  album: { name: album, album_type: albumType, release_date: releaseDate },
+  popularity,
+  available_markets: markets,
+  similarity
+});
+
+test('dedupeRecordings: lançamento original vence remaster e coletânea, mesmo menos popular', () => {
+  const original = spotifyTrack({ id: 'orig', isrc: 'GBAYE7500101', releaseDate: '1975-10-31', popularity: 40, similarity: 60 });
+  const remaster = spotifyTrack({ id: 'rem', isrc: 'GBAYE7500101', name: 'Song - Remastered 2011', releaseDate: '2011-09-05', popularity: 90, similarity: 85 });
+  const compilation = spotifyTrack({ id: 'comp', isrc: 'GBAYE7500101', albumType: 'compilation', releaseDate: '1981-01-01', popularity: 70 });
+  const { tracks, removed } = TrackIdentity.dedupeRecordings([remaster, compilation, original]);
+  assert.deepStrictEqual(tracks.map(t => t.id), ['orig']);
+  // A vencedora herda a melhor similaridade do grupo
+  assert.strictEqual(tracks[0].similarity, 85);
+  assert.deepStrictEqual(removed.map(r => r.uri).sort(), ['spotify:track:comp', 'spotify:track:rem']);
+  assert.ok(removed.every(r => r.keptUri === 'spotify:track:orig'));
+});
+
+test('dedupeRecordings: mesma data, a edição disponível no mercado vence a mais popular', () => {
+  const blocked = spotifyTrack({ id: 'blocked', isrc: 'USABC9900001', popularity: 90, markets: ['US'] });
+  const available = spotifyTrack({ id: 'available', isrc: 'USABC9900001', popularity: 30, markets: ['US', 'BR'] });
+  assert.deepStrictEqual(TrackIdentity.dedupeRecordings([blocked, available], { market: 'BR' }).tracks.map(t => t.id), ['available']);
+  // Sem mercado informado, decide a popularidade
+  assert.deepStrictEqual(TrackIdentity.dedupeRecordings([available, blocked]).tracks.map(t => t.id), ['blocked']);
+});
+
+test('dedupeRecordings: sem ISRC agrupa por artista + título normalizado dentro da tolerância de duração', () => {
+  const a = spotifyTrack({ id: 'a', name: 'Song', durationMs: 200000, popularity: 10 });
+  const b = spotifyTrack({ id: 'b', name: 'Song (feat. Someone)', durationMs: 204000, popularity: 60 });
+  const otherTake = spotifyTrack({ id: 'c', name: 'Song', durationMs: 260000 });
+  const otherArtist = spotifyTrack({ id: 'd', name: 'Song', artist: 'Another Band' });
+  const { tracks } = TrackIdentity.dedupeRecordings([a, b, otherTake, otherArtist]);
+  assert.deepStrictEqual(tracks.map(t => t.id), ['b', 'c', 'd']);
+});
+
+test('dedupeRecordings: gravação de uma seed (reserved) remove todos os candidatos do grupo', () => {
+  const seed = spotifyTrack({ id: 'seed', isrc: 'BRXYZ0100001' });
+  const sameRecording = spotifyTrack({ id: 'dup', isrc: 'BRXYZ0100001', name: 'Song - Live' });
+  const other = spotifyTrack({ id: 'other', name: 'Different Song' });
+  const { tracks, removed } = TrackIdentity.dedupeRecordings([sameRecording, other], { reserved: [seed] });
+  assert.deepStrictEqual(tracks.map(t => t.id), ['other']);
+  assert.deepStrictEqual(removed, [{ uri: 'spotify:track:dup', name: 'Song - Live', keptUri: 'spotify:track:seed' }]);
+});
+
+test('recordingKey: ISRC normalizado tem prioridade', () => {
+  assert.strictEqual(TrackIdentity.recordingKey({ isrc: 'us-abc-12-34567', artist: 'X', title: 'Y', durationMs: 1000 }), 'isrc:USABC1234567');
+  // ISRC inválido cai para o nome
+  assert.ok(TrackIdentity.recordingKey({ isrc: 'nope', artist: 'X', title: 'Y' }).startsWith('name:'));
+});
+
+test('recordingKey: sem ISRC usa artista principal, título normalizado e faixas de 10s de duração', () => {
+  const key = (o) => TrackIdentity.recordingKey(o);
+  assert.strictEqual(key({ artist: 'Beyoncé, Jay-Z', title: 'Crazy in Love - Remastered', durationMs: 236000 }), 'name:beyonce|crazy in love|24');
+  assert.strictEqual(key({ artist: 'Band', title: 'Song', durationMs: 201000 }), key({ artist: 'band', title: 'SONG', durationMs: 204000 }));
+  assert.notStrictEqual(key({ artist: 'Band', title: 'Song', durationMs: 201000 }), key({ artist: 'Band', title: 'Song', durationMs: 216000 }));
+  assert.strictEqual(key({ artist: 'Band', title: 'Song' }), 'name:band|song|?');
+});
@@ -0,0 +1,178 @@
+// Lê listas de faixas coladas ou enviadas (M3U/M3U8, CSV ou linhas "Artista - Título")
+// e devolve entradas { line, raw, artist, title, album, durationMs, spotifyId } para resolução no Spotify.
+const SPOTIFY_TRACK_RE = /(?:spotify:track:|open\.spotify\.com\/(?:intl-[a-z-]+\/)?track\/)([A-Za-z0-9]{22})/;
+const DASH_SPLIT_RE = /\s+[-–—]\s+/;
+
+// Cabeçalhos reconhecidos no CSV (inclui o nosso /export-file e o formato do Exportify)
+const CSV_COLUMNS = {
+  title: ['title', 'track', 'track name', 'name', 'song', 'song name'],
+  artist: ['artist', 'artists', 'artist name', 'artist name(s)', 'artist names', 'creator'],
+  album: ['album', 'album name'],
+  durationMs: ['duration_ms', 'duration (ms)', 'track duration (ms)', 'duration'],
+  uri: ['spotify_uri', 'uri', 'track uri', 'spotify uri', 'spotify id', 'spotify_id', 'url']
+};
+
+// Divide uma linha de CSV respeitando aspas ("a, b" e "" escapado)
+const splitCsvLine = (line, separator) => {
+  const cells = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { current += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else current += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === separator) {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+};
+
+// Nome do arquivo no fim de um caminho/URL; "%" solto ("100% Hits.mp3") não é escape válido e fica como está
+const fileNameFromPath = (location) => {
+  const name = location.split(/[\\/]/).pop().replace(/\.[a-z0-9]{2,4}$/i, '');
+  try {
+    return decodeURIComponent(name);
+  } catch (_) {
+    return name;
+  }
+};
+
+const extractSpotifyId = (text) => {
+  const match = SPOTIFY_TRACK_RE.exec(text || '');
+  return match ? match[1] : null;
+};
+
+// "Artista - Título", "Título by Artista" ou só o título; numeração inicial ("01 - ", "3. ") é ignorada
+const parseDisplayName = (text) => {
+  const clean = String(text || '').replace(/^\s*\d{1,3}\s*(?:[.)]|\s[-–—])\s*/, '').trim();
+  if (!clean) return { artist: null, title: null };
+  const parts = clean.split(DASH_SPLIT_RE);
+  if (parts.length >= 2) return { artist: parts[0].trim(), title: parts.slice(1).join(' - ').trim() };
+  const by = /^(.+?)\s+by\s+(.+)$/i.exec(clean);
+  if (by) return { artist: by[2].trim(), title: by[1].trim() };
+  return { artist: null, title: clean };
+};
+
+class TrackListParser {
+  static detectFormat(text) {
+    const lines = String(text || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    if (lines.some(l => /^#EXT(M3U|INF)/i.test(l))) return 'm3u';
+    const header = lines.find(l => !l.startsWith('#'));
+    if (header && TrackListParser._csvHeader(header)) return 'csv';
+    return 'lines';
+  }
+
+  static parse(text, format = 'auto') {
+    const resolved = format === 'auto' || !format ? TrackListParser.detectFormat(text) : format;
+    const lines = String(text || '').split(/\r?\n/);
+    let entries;
+    if (resolved === 'm3u') entries = TrackListParser._parseM3U(lines);
+    else if (resolved === 'csv') entries = TrackListParser._parseCSV(lines);
+    else if (resolved === 'lines') entries = TrackListParser._parseLines(lines);
+    else throw new Error(`Formato de lista desconhecido: ${format}`);
+    return { format: resolved, entries: entries.filter(e => e.spotifyId || e.title) };
+  }
+
+  // Separador e mapeamento de colunas, ou null se a linha não parece um cabeçalho
+  static _csvHeader(line) {
+    const separator = [',', ';', '\t'].sort((a, b) => line.split(b).length - line.split(a).length)[0];
+    const cells = splitCsvLine(line, separator).map(c => c.toLowerCase());
+    if (cells.length < 2) return null;
+    const columns = {};
+    Object.entries(CSV_COLUMNS).forEach(([field, names]) => {
+      const idx = cells.findIndex(c => names.includes(c));
+      if (idx >= 0) columns[field] = idx;
+    });
+    if (columns.title === undefined && columns.uri === undefined) return null;
+    return { separator, columns };
+  }
+
+  static _parseM3U(lines) {
+    const entries = [];
+    let info = null;
+    lines.forEach((rawLine, i) => {
+      const line = rawLine.trim();
+      if (!line) return;
+      const extinf = /^#EXTINF:\s*(-?\d+(?:\.\d+)?)[^,]*,(.*)$/i.exec(line);
+      if (extinf) {
+        const seconds = Number(extinf[1]);
+        info = { line: i + 1, raw: line, ...parseDisplayName(extinf[2]), durationMs: seconds > 0 ? Math.round(seconds * 1000) : null };
+        return;
+      }
+      if (/^#EXTALB:/i.test(line) && info) { info.album = line.slice(8).trim(); return; }
+      if (line.startsWith('#')) return;
+      // Linha de localização: URL/URI do Spotify ou caminho de arquivo
+      const spotifyId = extractSpotifyId(line);
+      const fromPath = parseDisplayName(fileNameFromPath(line));
+      const base = info || { line: i + 1, raw: line, ...fromPath, durationMs: null };
+      entries.push({
+        line: base.line,
+        raw: base.raw,
+        artist: base.artist || fromPath.artist,
+        title: base.title || fromPath.title,
+        album: base.album || null,
+        durationMs: base.durationMs,
+        spotifyId
+      });
+      info = null;
+    });
+    return entries;
+  }
+
+  static _parseCSV(lines) {
+    const headerIndex = lines.findIndex(l => l.trim() && !l.trim().startsWith('#'));
+    if (headerIndex < 0) return [];
+    const header = TrackListParser._csvHeader(lines[headerIndex]);
+    if (!header) return [];
+    const { separator, columns } = header;
+    const cell = (cells, field) => (columns[field] !== undefined ? cells[columns[field]] : '') || null;
+    const entries = [];
+    lines.slice(headerIndex + 1).forEach((rawLine, offset) => {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#')) return;
+      const cells = splitCsvLine(line, separator);
+      const duration = Number(cell(cells, 'durationMs'));
+      const uri = cell(cells, 'uri');
+      entries.push({
+        line: headerIndex + offset + 2,
+        raw: line,
+        // Exportify separa vários artistas com vírgula; o primeiro basta para a busca
+        artist: (cell(cells, 'artist') || '').split(/\s*,\s*/)[0] || null,
+        title: cell(cells, 'title'),
+        album: cell(cells, 'album'),
+        durationMs: Number.isFinite(duration) && duration > 0 ? duration : null,
+        spotifyId: extractSpotifyId(uri) || (/^[A-Za-z0-9]{22}$/.test(uri || '') ? uri : null)
+      });
+    });
+    return entries;
+  }
+
+  static _parseLines(lines) {
+    const entries = [];
+    lines.forEach((rawLine, i) => {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#') || line.startsWith('//')) return;
+      const spotifyId = extractSpotifyId(line);
+      entries.push({
+        line: i + 1,
+        raw: line,
+        ...(spotifyId ? { artist: null, title: null } : parseDisplayName(line)),
+        album: null,
+        durationMs: null,
+        spotifyId
+      });
+    });
+    return entries;
+  }
+}
+
+module.exports = TrackListParser;
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TrackListParser = require('./TrackListParser');
+
+test('M3U: "%" solto no nome do arquivo não quebra o decode', () => {
+  const { format, entries } = TrackListParser.parse('#EXTM3U\n/music/100% Hits - Song.mp3');
+  assert.strictEqual(format, 'm3u');
+  assert.strictEqual(entries.length, 1);
+  assert.strictEqual(entries[0].artist, '100% Hits');
+  assert.strictEqual(entries[0].title, 'Song');
+});
+
+test('M3U: "%" solto no caminho depois de #EXTINF mantém os dados do EXTINF', () => {
+  const { entries } = TrackListParser.parse('#EXTM3U\n#EXTINF:200,Artist - Title\n/music/100% Hits - Song.mp3');
+  assert.strictEqual(entries.length, 1);
+  assert.strictEqual(entries[0].artist, 'Artist');
+  assert.strictEqual(entries[0].title, 'Title');
+  assert.strictEqual(entries[0].durationMs, 200000);
+});
+
+test('M3U: nomes com escapes válidos continuam decodificados', () => {
+  const { entries } = TrackListParser.parse('#EXTM3U\n/music/Some%20Artist%20-%20Some%20Song.mp3');
+  assert.strictEqual(entries[0].artist, 'Some Artist');
+  assert.strictEqual(entries[0].title, 'Some Song');
+});
+
+test('CSV: texto só com comentários devolve lista vazia', () => {
+  assert.deepStrictEqual(TrackListParser.parse('# only comment', 'csv'), { format: 'csv', entries: [] });
+  assert.deepStrictEqual(TrackListParser.parse('', 'csv'), { format: 'csv', entries: [] });
+});
+
+const PlaylistFormats = require('./PlaylistFormats');
+
+const ID_A = '4uLU6hMCjMI75M1A2tKUQC';
+const ID_B = '7ouMYWpwJ422jRcDASZB7P';
+
+test('detectFormat: M3U por #EXTM3U/#EXTINF, CSV por cabeçalho conhecido, senão linhas', () => {
+  assert.strictEqual(TrackListParser.detectFormat('#EXTM3U\n/music/a.mp3'), 'm3u');
+  assert.strictEqual(TrackListParser.detectFormat('#EXTINF:100,A - B\nfoo.mp3'), 'm3u');
+  assert.strictEqual(TrackListParser.detectFormat('# comentário\ntitle,artist\nSong,Band'), 'csv');
+  assert.strictEqual(TrackListParser.detectFormat('Band - Song\nOther - Track'), 'lines');
+  assert.strictEqual(TrackListParser.detectFormat('one, two\nthree, four'), 'lines');
+  assert.strictEqual(TrackListParser.detectFormat(''), 'lines');
+});
+
+test('CSV: colunas em qualquer ordem e separadores vírgula, ponto e vírgula e tab', () => {
+  ['title,artist,album,duration_ms', 'title;artist;album;duration_ms', 'title\tartist\talbum\tduration_ms'].forEach((header) => {
+    const sep = header[5];
+    const { format, entries } = TrackListParser.parse(`${header}\n${['Song', 'Band', 'Record', '215000'].join(sep)}`);
+    assert.strictEqual(format, 'csv');
+    assert.deepStrictEqual(
+      { artist: entries[0].artist, title: entries[0].title, album: entries[0].album, durationMs: entries[0].durationMs },
+      { artist: 'Band', title: 'Song', album: 'Record', durationMs: 215000 }
+    );
+  });
+  const { entries } = TrackListParser.parse(`Artist;URI;Song\nBand;spotify:track:${ID_A};"Song; Live"`);
+  assert.strictEqual(entries[0].artist, 'Band');
+  assert.strictEqual(entries[0].title, 'Song; Live');
+  assert.strictEqual(entries[0].spotifyId, ID_A);
+});
+
+test('CSV: Exportify com vários artistas na mesma célula usa o primeiro', () => {
+  const csv = [
+    '"Track URI","Track Name","Artist Name(s)","Album Name","Track Duration (ms)"',
+    `"spotify:track:${ID_A}","Under Pressure","Queen,David Bowie","Hot Space","248440"`,
+    `"spotify:track:${ID_B}","Solo","Artist","Album","180000"`
+  ].join('\n');
+  const { format, entries } = TrackListParser.parse(csv);
+  assert.strictEqual(format, 'csv');
+  assert.strictEqual(entries.length, 2);
+  assert.strictEqual(entries[0].artist, 'Queen');
+  assert.strictEqual(entries[0].title, 'Under Pressure');
+  assert.strictEqual(entries[0].durationMs, 248440);
+  assert.strictEqual(entries[0].spotifyId, ID_A);
+  assert.strictEqual(entries[1].artist, 'Artist');
+});
+
+const savedPlaylist = {
+  name: 'Noite, "chuvosa"',
+  analysis: { inferredVibe: { mood: 'melancholic', confidence: 80 }, culturalContext: { culturalEra: '90s' } },
+  tracks: [
+    { id: ID_A, uri: `spotify:track:${ID_A}`, name: 'Song, Part 1', artist: 'Band', album: 'Record', durationMs: 215000, subgroupLabel: 'Late night' },
+    { id: ID_B, uri: `spotify:track:${ID_B}`, name: 'Other', artist: 'Singer', album: 'LP', durationMs: 180400 },
+    { name: 'Local Only', artist: 'Unknown Band', durationMs: 100000 }
+  ]
+};
+
+const comparable = (entries) => entries.map(e => ({ artist: e.artist, title: e.title, spotifyId: e.spotifyId }));
+
+test('CSV do /export-file volta com as mesmas faixas', () => {
+  const { format, entries } = TrackListParser.parse(PlaylistFormats.toCSV(savedPlaylist));
+  assert.strictEqual(format, 'csv');
+  assert.deepStrictEqual(comparable(entries), [
+    { artist: 'Band', title: 'Song, Part 1', spotifyId: ID_A },
+    { artist: 'Singer', title: 'Other', spotifyId: ID_B },
+    { artist: 'Unknown Band', title: 'Local Only', spotifyId: null }
+  ]);
+  assert.strictEqual(entries[0].album, 'Record');
+  assert.strictEqual(entries[0].durationMs, 215000);
+});
+
+test('M3U8 do /export-file volta com as mesmas faixas, inclusive sem id/uri', () => {
+  const { format, entries } = TrackListParser.parse(PlaylistFormats.toM3U8(savedPlaylist));
+  assert.strictEqual(format, 'm3u');
+  assert.deepStrictEqual(comparable(entries), [
+    { artist: 'Band', title: 'Song, Part 1', spotifyId: ID_A },
+    { artist: 'Singer', title: 'Other', spotifyId: ID_B },
+    { artist: 'Unknown Band', title: 'Local Only', spotifyId: null }
+  ]);
+  assert.strictEqual(entries[0].album, 'Record');
+  assert.strictEqual(entries[1].durationMs, 180000);
+});
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { motion, useMotionValue, useSpring, AnimatePresence } from 'framer-motion';
 
@@ -43,6 +43,84 @@ const TiltCard = ({ children, ...props }) => {
   );
 };
 
+// Agrupa os eventos de progresso por fase para a timeline
+const buildProgressTimeline = (events = []) => {
+  const phases = new Map();
+  const warnings = [];
+  events.forEach(ev => {
+    if (ev.type === 'warning') {
+      warnings.push(ev);
+      return;
+    }
+    if (ev.type !== 'phase') return;
+    const current = phases.get(ev.phase) || { phase: ev.phase, label: ev.label || ev.phase };
+    phases.set(ev.phase, { ...current, ...ev, label: current.label });
+  });
+  return { phases: Array.from(phases.values()), warnings };
+};
+
+// Texto curto "because you added X" e detalhamento do score para o tooltip
+const describeExplanation = (explanation) => {
+  if (!explanation) return null;
+  let reason = `via ${explanation.source}`;
+  if (explanation.source === 'more-like-this' && explanation.seeds?.length > 0) {
+    reason = `more like ${explanation.seeds[0].name}`;
+  } else if (explanation.seeds?.length > 0) {
+    reason = `because you added ${explanation.seeds.map(s => s.name).join(', ')}`;
+  }
+  const { scores = {}, subgroup } = explanation;
+  const steps = (scores.steps || []).map(st => `${st.factor} ×${st.multiplier} → ${st.after}`);
+  const details = [
+    `source: ${explanation.source}`,
+    `base ${scores.base}${steps.length ? ' → ' + steps.join(' → ') : ''}`,
+    scores.proximityWeight !== null && scores.proximityWeight !== undefined ? `proximity weight ×${scores.proximityWeight}` : null,
+    scores.variabilityFactor !== null && scores.variabilityFactor !== undefined ? `variability ×${scores.variabilityFactor}` : null,
+    subgroup ? `subgroup: ${subgroup.label}${subgroup.score !== null ? ` (${subgroup.score})` : ''}` : null
+  ].filter(Boolean).join('\n');
+  return { reason, details };
+};
+
+// URL/URI de playlist, álbum, artista ou faixa do Spotify colada na busca
+const SPOTIFY_REFERENCE_RE = /open\.spotify\.com\/(?:intl-[a-z-]+\/)?(playlist|album|artist|track)\/|^spotify:(playlist|album|artist|track):/;
+
+// Fontes do "seed from my listening" (nomes aceitos por /my-listening-seeds)
+const LISTENING_SOURCE_LABELS = {
+  'top-short': 'Top · 4 weeks',
+  'top-medium': 'Top · 6 months',
+  'top-long': 'Top · all time',
+  recent: 'Recently played',
+  liked: 'Liked songs'
+};
+
+const EXPORT_FILE_FORMATS = [
+  { format: 'm3u8', label: 'M3U8' },
+  { format: 'xspf', label: 'XSPF' },
+  { format: 'csv', label: 'CSV' },
+  { format: 'json', label: 'JSON' }
+];
+const PLAYLIST_FILE_FORMAT_ID = 'frequency-mixer-playlist';
+const MAX_JOB_POLL_FAILURES = 8; // falhas seguidas no polling antes de desistir (o job continua retomável)
+
+// Sparkline da energia das faixas na ordem atual da playlist
+const EnergyCurve = ({ tracks = [], arc }) => {
+  const points = tracks.map(t => (typeof t.energy === 'number' ? t.energy : null));
+  if (points.filter(p => p !== null).length < 2) return null;
+  const width = 300;
+  const height = 40;
+  const step = width / Math.max(1, points.length - 1);
+  const path = points
+    .map((p, i) => `${i === 0 ? 'M' : 'L'}${(i * step).toFixed(1)},${(height - (p ?? 0.5) * height).toFixed(1)}`)
+    .join(' ');
+  return (
+    <div style={styles.energyCurve}>
+      <div style={styles.energyCurveLabel}>Energy{arc && arc !== 'none' ? ` · ${arc}` : ''}</div>
+      <svg width="100%" height={height} viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none">
+        <path d={path} fill="none" stroke="#007aff" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+      </svg>
+    </div>
+  );
+};
+
 const Home = () => {
   const [authorized, setAuthorized] = useState(false);
   const [seedTracks, setSeedTracks] = useState([]);
@@ -57,6 +135,28 @@ const Home = () => {
   const [artistName, setArtistName] = useState('');
   const [previewUrl, setPreviewUrl] = useState(null);
   const [exporting, setExporting] = useState(false);
+  const [progressEvents, setProgressEvents] = useState([]);
+  const [activeJobId, setActiveJobId] = useState(null);
+  const [showOptions, setShowOptions] = useState(false);
+  const [vibePrompt, setVibePrompt] = useState('');
+  const [seedPicker, setSeedPicker] = useState(null);
+  const [extendModal, setExtendModal] = useState(null);
+  const [exportModal, setExportModal] = useState(null);
+  const [importModal, setImportModal] = useState(null);
+  const [swappingIndex, setSwappingIndex] = useState(null);
+  const [expandingIndex, setExpandingIndex] = useState(null);
+  const [generationOptions, setGenerationOptions] = useState({
+    targetCount: '',
+    targetDurationMinutes: '',
+    maxPerArtist: '',
+    minYear: '',
+    maxYear: '',
+    excludeExplicit: false,
+    arc: 'none',
+    market: '',
+    avoidArtists: '',
+    avoidTags: ''
+  });
   
   // Novos estados para funcionalidades avançadas
   const [playlistAnalysis, setPlaylistAnalysis] = useState(null);
@@ -64,6 +164,7 @@ const Home = () => {
   const [trackRatings, setTrackRatings] = useState({});
   const [overallRating, setOverallRating] = useState(0);
   const [feedbackStats, setFeedbackStats] = useState(null);
+  const [moodLexicon, setMoodLexicon] = useState(null);
   const [showQualityMetrics, setShowQualityMetrics] = useState(false);
   const [showDetails, setShowDetails] = useState(false);
   const [playingTrackId, setPlayingTrackId] = useState(null);
@@ -113,7 +214,7 @@ const Home = () => {
         const res = await fetch('http://127.0.0.1:5000/track-preview', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ id: track.id, name: track.name, artist: track.artist })
+          body: JSON.stringify({ id: track.id, name: track.name, artist: track.artist, isrc: track.isrc, durationMs: track.durationMs })
         });
         const data = await res.json();
         if (data.previewUrl) {
@@ -168,6 +269,7 @@ const Home = () => {
   useEffect(() => {
     if (authorized) {
       fetchFeedbackStats();
+      fetchMoodLexicon();
       loadSavedPlaylists();
     }
   }, [authorized]);
@@ -184,22 +286,25 @@ const Home = () => {
     }
   };
 
+  // Estrutura usada tanto no localStorage quanto no arquivo JSON exportado
+  const buildPlaylistData = (name) => ({
+    id: `playlist_${Date.now()}`,
+    name,
+    tracks: playlist,
+    analysis: playlistAnalysis,
+    seedTracks: seedTracks,
+    createdAt: new Date().toISOString(),
+    trackRatings: trackRatings,
+    overallRating: overallRating
+  });
+
   const savePlaylist = () => {
     if (!playlistName.trim()) {
       alert('Por favor, digite um nome para a playlist.');
       return;
     }
 
-    const playlistData = {
-      id: `playlist_${Date.now()}`,
-      name: playlistName.trim(),
-      tracks: playlist,
-      analysis: playlistAnalysis,
-      seedTracks: seedTracks,
-      createdAt: new Date().toISOString(),
-      trackRatings: trackRatings,
-      overallRating: overallRating
-    };
+    const playlistData = buildPlaylistData(playlistName.trim());
 
     const updatedPlaylists = [...savedPlaylists, playlistData];
     setSavedPlaylists(updatedPlaylists);
@@ -232,6 +337,59 @@ const Home = () => {
     }
   };
 
+  const downloadPlaylistFile = async (format) => {
+    if (playlist.length === 0) return;
+    try {
+      const res = await fetch('http://127.0.0.1:5000/export-file', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ format, playlist: buildPlaylistData('My Mixed Playlist') }),
+      });
+      if (!res.ok) {
+        const data = await res.json();
+        throw new Error(data.error);
+      }
+      const fileName = (res.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/)?.[1] || `playlist.${format}`;
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      alert('Erro ao baixar arquivo: ' + err.message);
+    }
+  };
+
+  // Lê um JSON exportado pelo app e o adiciona às playlists salvas
+  const importPlaylistFile = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const data = JSON.parse(reader.result);
+        const imported = data?.playlist;
+        if (data?.format !== PLAYLIST_FILE_FORMAT_ID || !Array.isArray(imported?.tracks)) {
+          throw new Error('arquivo não é uma playlist exportada pelo Frequency Mixer');
+        }
+        const playlistData = {
+          ...imported,
+          id: `playlist_${Date.now()}`,
+          name: imported.name || file.name.replace(/\.json$/i, ''),
+          seedTracks: imported.seedTracks || [],
+          createdAt: imported.createdAt || new Date().toISOString()
+        };
+        const updatedPlaylists = [...savedPlaylists, playlistData];
+        setSavedPlaylists(updatedPlaylists);
+        localStorage.setItem('savedPlaylists', JSON.stringify(updatedPlaylists));
+        loadPlaylist(playlistData);
+      } catch (err) {
+        alert('Erro ao importar playlist: ' + err.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
   const deletePlaylist = (playlistId) => {
     const playlistToDelete = savedPlaylists.find(p => p.id === playlistId);
     if (playlistToDelete && window.confirm(`Tem certeza que deseja excluir a playlist "${playlistToDelete.name}"?`)) {
@@ -299,7 +457,7 @@ const Home = () => {
   };
 
   // Função "guardiã" que verifica e renova o token antes de usá-lo
-  const getValidToken = async () => {
+  const getValidToken = useCallback(async () => {
     let token = localStorage.getItem('spotify_access_token');
     const expiresAt = parseInt(localStorage.getItem('spotify_token_expires_at') || '0', 10);
 
@@ -333,7 +491,7 @@ const Home = () => {
       }
     }
     return token;
-  };
+  }, []);
 
   const handleInputChange = (e) => {
     const value = e.target.value;
@@ -387,9 +545,211 @@ const Home = () => {
     }
   };
 
+  // Expande uma URL do Spotify e abre o seletor de seeds
+  const expandSpotifyUrl = async (url) => {
+    setLoading(true);
+    try {
+      const token = await getValidToken();
+      if (!token) return;
+
+      const res = await fetch('http://127.0.0.1:5000/expand-seeds', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ url }),
+      });
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+      const available = (data.tracks || []).filter(t => !seedTracks.some(s => s.id === t.id));
+      if (data.source?.type === 'track' && available.length === 1) {
+        addTrackFromData(available[0]);
+      } else if (available.length === 0) {
+        alert('Nenhuma música nova encontrada nesse link.');
+      } else {
+        setSeedPicker({ ...data, tracks: available, selected: available.map(t => t.id) });
+        setInputValue('');
+        setSuggestions([]);
+        setShowSuggestions(false);
+      }
+    } catch (err) {
+      alert('Erro ao abrir o link: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Seeds diversas a partir das top tracks / recentes / curtidas do usuário
+  const loadListeningSeeds = async (sources = Object.keys(LISTENING_SOURCE_LABELS)) => {
+    if (sources.length === 0) return;
+    setLoading(true);
+    try {
+      const token = await getValidToken();
+      if (!token) return;
+
+      const res = await fetch(`http://127.0.0.1:5000/my-listening-seeds?sources=${sources.join(',')}&count=8`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+      const available = (data.tracks || []).filter(t => !seedTracks.some(s => s.id === t.id));
+      setSeedPicker({
+        source: { type: 'listening', name: 'From your listening', total: data.poolSize },
+        tracks: available,
+        sampled: data.poolSize > available.length,
+        selected: available.map(t => t.id),
+        listening: { requested: sources, sources: data.sources || [] }
+      });
+    } catch (err) {
+      alert('Erro ao carregar suas músicas: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleListeningSource = (name) => {
+    const current = seedPicker?.listening?.requested || [];
+    const next = current.includes(name) ? current.filter(n => n !== name) : [...current, name];
+    loadListeningSeeds(next);
+  };
+
+  const toggleSeedPickerTrack = (id) => {
+    setSeedPicker(prev => ({
+      ...prev,
+      selected: prev.selected.includes(id) ? prev.selected.filter(x => x !== id) : [...prev.selected, id]
+    }));
+  };
+
+  const confirmSeedPicker = () => {
+    const chosen = seedPicker.tracks.filter(t => seedPicker.selected.includes(t.id));
+    setSeedTracks(prev => [...prev, ...chosen.filter(t => !prev.some(p => p.id === t.id))]);
+    setSeedPicker(null);
+  };
+
+  // Importar lista (M3U, CSV ou "Artista - Título"): cada linha é resolvida no Spotify com uma confiança
+  const openImportModal = () => setImportModal({ text: '', result: null, selected: [], fixes: {} });
+
+  const readImportFile = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => setImportModal(prev => prev && ({ ...prev, text: reader.result, result: null }));
+    reader.readAsText(file);
+  };
+
+  const postImportTracks = async (text, format = 'auto') => {
+    const token = await getValidToken();
+    if (!token) throw new Error('Sessão do Spotify expirada.');
+    const res = await fetch('http://127.0.0.1:5000/import-tracks', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ text, format }),
+    });
+    const data = await res.json();
+    if (data.error) throw new Error(data.error);
+    return data;
+  };
+
+  const matchImportList = async () => {
+    setLoading(true);
+    try {
+      const data = await postImportTracks(importModal.text);
+      setImportModal(prev => prev && ({ ...prev, result: data, selected: data.matched.map(m => m.line), fixes: {} }));
+    } catch (err) {
+      alert('Erro ao importar a lista: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Move uma linha não encontrada para as encontradas com o candidato escolhido
+  const resolveImportLine = (line, candidate) => {
+    setImportModal(prev => {
+      const entry = prev.result.unmatched.find(u => u.line === line);
+      if (!entry) return prev;
+      return {
+        ...prev,
+        result: {
+          ...prev.result,
+          matched: [...prev.result.matched, { line, raw: entry.raw, confidence: candidate.confidence, track: candidate.track, alternatives: [] }]
+            .sort((a, b) => a.line - b.line),
+          unmatched: prev.result.unmatched.filter(u => u.line !== line)
+        },
+        selected: [...prev.selected, line]
+      };
+    });
+  };
+
+  // Busca de novo uma linha com o texto corrigido pelo usuário
+  const retryImportLine = async (line) => {
+    const text = (importModal.fixes[line] || '').trim();
+    if (!text) return;
+    setLoading(true);
+    try {
+      const data = await postImportTracks(text, 'lines');
+      if (data.matched[0]) {
+        resolveImportLine(line, data.matched[0]);
+      } else {
+        const candidates = data.unmatched[0]?.candidates || [];
+        setImportModal(prev => ({
+          ...prev,
+          result: { ...prev.result, unmatched: prev.result.unmatched.map(u => u.line === line ? { ...u, candidates } : u) }
+        }));
+        if (candidates.length === 0) alert(`Nada encontrado para "${text}".`);
+      }
+    } catch (err) {
+      alert('Erro na busca: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleImportLine = (line) => {
+    setImportModal(prev => ({
+      ...prev,
+      selected: prev.selected.includes(line) ? prev.selected.filter(l => l !== line) : [...prev.selected, line]
+    }));
+  };
+
+  const selectedImportTracks = () => {
+    const seen = new Set();
+    return (importModal?.result?.matched || [])
+      .filter(m => importModal.selected.includes(m.line))
+      .map(m => m.track)
+      .filter(t => !seen.has(t.id) && seen.add(t.id));
+  };
+
+  const useImportAsSeeds = () => {
+    const tracks = selectedImportTracks();
+    setSeedTracks(prev => [...prev, ...tracks.filter(t => !prev.some(p => p.id === t.id))]);
+    setImportModal(null);
+  };
+
+  const loadImportAsPlaylist = () => {
+    const tracks = selectedImportTracks();
+    if (playlist.length > 0 && !window.confirm('Substituir a playlist atual pela lista importada?')) return;
+    setPlaylist(tracks.map(t => ({ ...t, explanation: null })));
+    setPlaylistAnalysis(null);
+    setTrackRatings({});
+    setOverallRating(0);
+    if (tracks.length > 0) {
+      setCoverArtUrl(tracks[0].albumImages?.[0]?.url || '');
+      setTrackName(tracks[0].name);
+      setArtistName(tracks[0].artist);
+    }
+    setImportModal(null);
+  };
+
   const addTrackId = async () => {
     const query = inputValue.trim();
     if (!query) return;
+    if (SPOTIFY_REFERENCE_RE.test(query)) {
+      await expandSpotifyUrl(query);
+      return;
+    }
     setLoading(true);
 
     try {
@@ -434,6 +794,100 @@ const Home = () => {
     }
   };
 
+  const setSeedWeight = (index, weight) => {
+    setSeedTracks(prev => prev.map((t, i) => i === index ? { ...t, weight } : t));
+  };
+
+  // Alterna a seed entre "like this" e "avoid this"
+  const toggleSeedNegative = (index) => {
+    setSeedTracks(prev => prev.map((t, i) => i === index ? { ...t, negative: !t.negative } : t));
+  };
+
+  // Troca a faixa pela próxima alternativa; o primeiro clique busca a lista em /alternatives
+  // e os seguintes alternam entre ela (incluindo a faixa original)
+  const swapTrack = async (index) => {
+    const current = playlist[index];
+    if (!current) return;
+    if (current.alternatives?.length > 1) {
+      const nextIndex = ((current.alternativeIndex || 0) + 1) % current.alternatives.length;
+      const next = current.alternatives[nextIndex];
+      setPlaylist(prev => prev.map((t, i) => i === index ? { ...next, alternatives: current.alternatives, alternativeIndex: nextIndex } : t));
+      return;
+    }
+    if (!playlistAnalysis?.analysisId) {
+      alert('Gere a playlist novamente para poder trocar faixas.');
+      return;
+    }
+    setSwappingIndex(index);
+    try {
+      const token = await getValidToken();
+      if (!token) return;
+      const res = await fetch('http://127.0.0.1:5000/alternatives', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          analysisId: playlistAnalysis.analysisId,
+          trackId: current.id,
+          playlistUris: playlist.map(t => t.uri)
+        }),
+      });
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+      if (!data.alternatives?.length) {
+        alert('Nenhuma alternativa encontrada para esta faixa.');
+        return;
+      }
+      const { alternatives: _previous, alternativeIndex: _previousIndex, ...original } = current;
+      const cycle = [original, ...data.alternatives];
+      setPlaylist(prev => prev.map((t, i) => i === index ? { ...cycle[1], alternatives: cycle, alternativeIndex: 1 } : t));
+    } catch (err) {
+      alert('Erro ao buscar alternativas: ' + err.message);
+    } finally {
+      setSwappingIndex(null);
+    }
+  };
+
+  // Insere logo depois da faixa algumas músicas parecidas com ela
+  const expandFromTrack = async (index) => {
+    const anchor = playlist[index];
+    if (!anchor) return;
+    setExpandingIndex(index);
+    try {
+      const token = await getValidToken();
+      if (!token) return;
+      const res = await fetch('http://127.0.0.1:5000/more-like-this', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          analysisId: playlistAnalysis?.analysisId,
+          trackId: anchor.id,
+          playlistUris: playlist.map(t => t.uri)
+        }),
+      });
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+      if (!data.tracks?.length) {
+        alert('Nenhuma música parecida que combine com esse trecho da playlist.');
+        return;
+      }
+      setPlaylist(prev => {
+        const at = prev.findIndex(t => t.uri === anchor.uri);
+        const insertAt = at >= 0 ? at + 1 : prev.length;
+        return [...prev.slice(0, insertAt), ...data.tracks, ...prev.slice(insertAt)];
+      });
+    } catch (err) {
+      alert('Erro ao buscar músicas parecidas: ' + err.message);
+    } finally {
+      setExpandingIndex(null);
+    }
+  };
+
   const removeTrackFromPlaylist = (indexToRemove) => {
     setPlaylist(currentPlaylist => {
       const removed = currentPlaylist[indexToRemove];
@@ -446,37 +900,179 @@ const Home = () => {
     });
   };
 
+  const applyAnalysisResult = useCallback((data) => {
+    setPlaylist(data.similarities || []);
+    setPlaylistAnalysis(data); // Salvar análise completa
+    
+    // Resetar ratings para nova playlist
+    setTrackRatings({});
+    setOverallRating(0);
+  }, []);
+
+  // Acompanha um job de geração via polling até ele terminar. Falhas de rede ou respostas inválidas
+  // são tentadas de novo; o id só sai do localStorage quando o job termina (ou não existe mais),
+  // para que a geração continue podendo ser retomada/cancelada depois de um erro no polling.
+  const followAnalyzeJob = useCallback(async (jobId) => {
+    setActiveJobId(jobId);
+    localStorage.setItem('analyze_job_id', jobId);
+    setProgressEvents([]);
+    let since = 0;
+    let failures = 0;
+    let finished = false;
+    try {
+      while (true) {
+        const token = await getValidToken();
+        if (!token) throw new Error('Sessão expirada.');
+        let job;
+        try {
+          const res = await fetch(`http://127.0.0.1:5000/jobs/${jobId}?since=${since}`, {
+            headers: { 'Authorization': `Bearer ${token}` }
+          });
+          if (res.status === 404) {
+            finished = true;
+            throw new Error('Job não encontrado ou expirado.');
+          }
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          job = await res.json();
+          failures = 0;
+        } catch (err) {
+          if (finished || ++failures > MAX_JOB_POLL_FAILURES) throw err;
+          console.warn(`Falha ao consultar o job (tentativa ${failures}):`, err.message);
+          const backoffMs = 1500 * failures;
+          await new Promise(resolve => setTimeout(resolve, backoffMs));
+          continue;
+        }
+        const newEvents = job.events || [];
+        if (newEvents.length) setProgressEvents(prev => [...prev, ...newEvents]);
+        since = job.eventCount ?? since + newEvents.length;
+        if (['done', 'error', 'cancelled'].includes(job.status)) finished = true;
+        if (job.status === 'done') {
+          applyAnalysisResult(job.result);
+          break;
+        }
+        if (job.status === 'error') throw new Error(job.error?.message || 'Falha na geração.');
+        if (job.status === 'cancelled') break;
+        await new Promise(resolve => setTimeout(resolve, 1500));
+      }
+    } finally {
+      if (finished) localStorage.removeItem('analyze_job_id');
+      setActiveJobId(null);
+    }
+  }, [applyAnalysisResult, getValidToken]);
+
+  // Fluxo "estender playlist": escolher uma playlist própria, gerar preview e aprovar
+  const openExtendModal = async () => {
+    setLoading(true);
+    try {
+      const token = await getValidToken();
+      if (!token) return;
+      const res = await fetch('http://127.0.0.1:5000/my-playlists', {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+      setExtendModal({ playlists: data.playlists || [], playlistId: data.playlists?.[0]?.id || '', count: 10 });
+    } catch (err) {
+      alert('Erro ao carregar suas playlists: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startExtension = async () => {
+    const { playlistId, count } = extendModal;
+    if (!playlistId) return;
+    setExtendModal(null);
+    setLoading(true);
+    setProgressEvents([]);
+    try {
+      const token = await getValidToken();
+      if (!token) return;
+      const res = await fetch('http://127.0.0.1:5000/jobs', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ extend: { playlistId, count }, options: buildAnalyzeOptions() }),
+      });
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+      await followAnalyzeJob(data.jobId);
+    } catch (err) {
+      alert('Erro ao estender a playlist: ' + err.message);
+    }
+    setLoading(false);
+  };
+
+  const approveExtension = async () => {
+    const extension = playlistAnalysis?.extension;
+    if (!extension || playlist.length === 0) return;
+    setExporting(true);
+    try {
+      const token = await getValidToken();
+      if (!token) return;
+      const res = await fetch('http://127.0.0.1:5000/extend-playlist', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ playlistId: extension.playlistId, trackUris: playlist.map(t => t.uri) }),
+      });
+      const data = await res.json();
+      if (!data.success) throw new Error(data.error);
+      setPlaylistAnalysis(prev => ({ ...prev, extension: { ...prev.extension, applied: true } }));
+      alert(`${data.added} músicas adicionadas a "${extension.name}".`);
+    } catch (err) {
+      alert('Erro ao adicionar à playlist: ' + err.message);
+    }
+    setExporting(false);
+  };
+
+  const resumeAnalyzeJob = useCallback(async (jobId) => {
+    setLoading(true);
+    try {
+      await followAnalyzeJob(jobId);
+    } catch (err) {
+      console.error('Não foi possível retomar a geração:', err);
+    }
+    setLoading(false);
+  }, [followAnalyzeJob]);
+
+  // Retoma um job de geração iniciado antes de recarregar a página
+  useEffect(() => {
+    const pendingJobId = localStorage.getItem('analyze_job_id');
+    if (authorized && pendingJobId) resumeAnalyzeJob(pendingJobId);
+  }, [authorized, resumeAnalyzeJob]);
+
   const handleAnalyze = async () => {
-    const trackIds = seedTracks.map(track => track.id);
-    if (trackIds.length === 0) {
-      alert('Adicione pelo menos uma música para gerar a playlist.');
+    const trackIds = seedTracks.filter(track => !track.negative).map(track => track.id);
+    const prompt = vibePrompt.trim();
+    if (trackIds.length === 0 && !prompt) {
+      alert('Adicione pelo menos uma música ou descreva uma vibe para gerar a playlist.');
       return;
     }
     setLoading(true);
+    setProgressEvents([]);
 
     try {
       // CORREÇÃO: Usar a função guardiã para garantir um token válido
       const token = await getValidToken();
       if (!token) return;
 
-      const res = await fetch('http://127.0.0.1:5000/analyze', {
+      const res = await fetch('http://127.0.0.1:5000/jobs', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${token}`
         },
-        body: JSON.stringify({ trackIds }),
+        body: JSON.stringify({ trackIds, prompt: prompt || undefined, options: buildAnalyzeOptions() }),
       });
       
       const data = await res.json();
       if (data.error) throw new Error(data.error);
-      
-      setPlaylist(data.similarities || []);
-      setPlaylistAnalysis(data); // Salvar análise completa
-      
-      // Resetar ratings para nova playlist
-      setTrackRatings({});
-      setOverallRating(0);
+      await followAnalyzeJob(data.jobId);
     } catch (err) {
       alert('Erro na análise: ' + err.message);
     }
@@ -484,6 +1080,47 @@ const Home = () => {
     setLoading(false);
   };
 
+  // Remove campos vazios antes de enviar as opções ao /analyze
+  const buildAnalyzeOptions = () => {
+    const options = {};
+    const { avoidArtists, avoidTags, ...rest } = generationOptions;
+    Object.entries(rest).forEach(([key, value]) => {
+      if (value === '' || value === false || value === null) return;
+      options[key] = value;
+    });
+    // Seeds marcadas como negativas + artistas/tags a evitar
+    const splitList = (value) => value.split(',').map(v => v.trim()).filter(Boolean);
+    const avoid = {
+      trackIds: seedTracks.filter(t => t.negative).map(t => t.id),
+      artists: splitList(avoidArtists),
+      tags: splitList(avoidTags)
+    };
+    if (avoid.trackIds.length || avoid.artists.length || avoid.tags.length) options.avoid = avoid;
+    const weighted = seedTracks.filter(t => !t.negative && typeof t.weight === 'number' && t.weight !== 1);
+    if (weighted.length > 0) {
+      options.seedWeights = Object.fromEntries(weighted.map(t => [t.id, t.weight]));
+    }
+    return options;
+  };
+
+  const updateGenerationOption = (key, value) => {
+    setGenerationOptions(prev => ({ ...prev, [key]: value }));
+  };
+
+  const cancelAnalyze = async () => {
+    if (!activeJobId) return;
+    try {
+      const token = await getValidToken();
+      if (!token) return;
+      await fetch(`http://127.0.0.1:5000/jobs/${activeJobId}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+    } catch (err) {
+      console.error('Erro ao cancelar geração:', err);
+    }
+  };
+
   // Função para enviar feedback
   const handleSubmitFeedback = async () => {
     if (Object.keys(trackRatings).length === 0 || overallRating === 0) {
@@ -536,6 +1173,24 @@ const Home = () => {
     }
   };
 
+  // Léxico de moods do backend, usado para explicar o rótulo de mood da análise
+  const fetchMoodLexicon = async () => {
+    try {
+      const res = await fetch('http://127.0.0.1:5000/mood-lexicon');
+      if (res.ok) setMoodLexicon(await res.json());
+    } catch (err) {
+      console.error('Erro ao carregar léxico de moods:', err);
+    }
+  };
+
+  const describeMood = (vibe) => {
+    if (!moodLexicon || !vibe) return null;
+    const entry = moodLexicon.moods.find(m => m.id === vibe.mood) || (moodLexicon.fallback.id === vibe.mood ? moodLexicon.fallback : null);
+    if (!entry) return null;
+    const tags = vibe.moodTags || [];
+    return `${entry.description}${tags.length ? ` Based on tags: ${tags.join(', ')}.` : ''}`;
+  };
+
   // Função para avaliar uma música individual
   const rateTrack = (trackId, rating) => {
     setTrackRatings(prev => ({
@@ -572,8 +1227,58 @@ const Home = () => {
       alert('Nenhuma playlist para exportar.');
       return;
     }
-    const playlistName = prompt('Nome da playlist:', 'My Mixed Playlist');
-    if (!playlistName) return;
+    setExportModal({
+      name: 'My Mixed Playlist',
+      visibility: 'private',
+      description: '',
+      coverImage: null,
+      mode: 'create',
+      targetPlaylistId: '',
+      playlists: null
+    });
+    // Playlists próprias só são necessárias para replace/append; falha aqui não bloqueia a criação
+    try {
+      const token = await getValidToken();
+      if (!token) return;
+      const res = await fetch('http://127.0.0.1:5000/my-playlists', {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await res.json();
+      const playlists = data.playlists || [];
+      setExportModal(prev => prev && ({ ...prev, playlists, targetPlaylistId: playlists[0]?.id || '' }));
+    } catch (err) {
+      console.warn('Não foi possível carregar suas playlists:', err);
+      setExportModal(prev => prev && ({ ...prev, playlists: [] }));
+    }
+  };
+
+  // Reduz a capa para um JPEG quadrado de 300px, bem abaixo do limite de 256 KB do Spotify
+  const loadCoverImage = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const img = new Image();
+      img.onload = () => {
+        const size = 300;
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const side = Math.min(img.width, img.height);
+        canvas.getContext('2d').drawImage(
+          img, (img.width - side) / 2, (img.height - side) / 2, side, side, 0, 0, size, size
+        );
+        setExportModal(prev => prev && ({ ...prev, coverImage: canvas.toDataURL('image/jpeg', 0.85) }));
+      };
+      img.src = reader.result;
+    };
+    reader.readAsDataURL(file);
+  };
+
+  const submitExport = async () => {
+    const { name, visibility, description, coverImage, mode, targetPlaylistId } = exportModal;
+    if (mode === 'create' && !name.trim()) return;
+    if (mode !== 'create' && !targetPlaylistId) return;
+    setExportModal(null);
     setExporting(true);
 
     try {
@@ -590,18 +1295,35 @@ const Home = () => {
           'Authorization': `Bearer ${token}`
         },
         body: JSON.stringify({ 
-          playlistName, 
-          trackUris 
+          playlistName: mode === 'create' ? name.trim() : undefined,
+          trackUris,
+          mode,
+          targetPlaylistId: mode === 'create' ? undefined : targetPlaylistId,
+          visibility: mode === 'create' ? visibility : undefined,
+          description: description.trim() || undefined,
+          // Em playlists existentes, descrição vazia mantém a atual
+          summary: mode === 'create' ? {
+            mood: playlistAnalysis?.inferredVibe?.mood,
+            era: playlistAnalysis?.culturalContext?.culturalEra,
+            seeds: seedTracks.filter(t => !t.negative).map(t => t.name),
+            trackCount: trackUris.length
+          } : undefined,
+          coverImage: coverImage || undefined
         }),
       });
       
       const data = await res.json();
-      
+      if (data.error) throw new Error(data.error);
+
+      const notes = [];
+      if (data.replaceError) notes.push(`Substituição das faixas falhou (${data.replaceError}); a playlist foi esvaziada antes de readicionar as faixas.`);
+      if (data.failed?.length) notes.push(`${data.failed.length} faixa(s) não puderam ser adicionadas.`);
+      if (coverImage && !data.coverUploaded) notes.push(`Capa não enviada: ${data.coverError || 'erro desconhecido'}`);
       if (data.success) {
-        alert('Playlist criada com sucesso no Spotify!');
-        window.open(data.playlistUrl, '_blank');
+        alert(`Playlist ${mode === 'create' ? 'criada' : 'atualizada'} no Spotify com ${data.added} faixas!` + (notes.length ? '\n' + notes.join('\n') : ''));
+        if (data.playlistUrl) window.open(data.playlistUrl, '_blank');
       } else {
-        throw new Error(data.error);
+        throw new Error(notes.join(' ') || 'Nenhuma faixa foi adicionada.');
       }
     } catch (err) {
       alert('Erro ao exportar: ' + err.message);
@@ -706,7 +1428,7 @@ const Home = () => {
                   onKeyPress={(e) => e.key === 'Enter' && addTrackId()}
                   onFocus={() => suggestions.length > 0 && setShowSuggestions(true)}
                   onBlur={() => setTimeout(() => setShowSuggestions(false), 200)}
-                  placeholder="Search for a Track..." 
+                  placeholder="Search for a Track or paste a Spotify link..." 
                   style={styles.ipodInput}
                 />
                 
@@ -742,6 +1464,37 @@ const Home = () => {
                   </div>
                 )}
                 
+                <input
+                  type="text"
+                  value={vibePrompt}
+                  onChange={(e) => setVibePrompt(e.target.value)}
+                  onKeyDown={(e) => { if (e.key === 'Enter' && !loading) handleAnalyze(); }}
+                  placeholder="...or describe a vibe (e.g. rainy sunday bossa nova)"
+                  style={{ ...styles.ipodInput, ...styles.promptInput }}
+                />
+                
+                <button
+                  onClick={() => loadListeningSeeds()}
+                  style={styles.linkButton}
+                  disabled={loading}
+                >
+                  ✦ Seed from my listening
+                </button>
+                <button
+                  onClick={openImportModal}
+                  style={styles.linkButton}
+                  disabled={loading}
+                >
+                  ⇪ Import a track list
+                </button>
+                <button
+                  onClick={openExtendModal}
+                  style={styles.linkButton}
+                  disabled={loading}
+                >
+                  ＋ Extend one of my playlists
+                </button>
+                
                 <div style={styles.buttonGroup}>
                   <button 
                     onClick={addTrackId} 
@@ -755,55 +1508,167 @@ const Home = () => {
                     style={{
                       ...styles.ipodButton,
                       ...styles.mixButton,
-                      ...(loading || seedTracks.length === 0 ? styles.buttonDisabled : {})
+                      ...(loading || (seedTracks.length === 0 && !vibePrompt.trim()) ? styles.buttonDisabled : {})
                     }} 
-                    disabled={loading || seedTracks.length === 0}
+                    disabled={loading || (seedTracks.length === 0 && !vibePrompt.trim())}
                   >
                     {loading ? 'Mixing...' : 'Mix Playlist'}
                   </button>
-                  {(playlist.length > 0 || seedTracks.length > 0 || savedPlaylists.length > 0) && (
-                    <div style={{ position: 'relative' }}>
-                      <button 
-                        onClick={(e) => { e.stopPropagation(); setShowMainMenu(!showMainMenu); setShowPlaylistMenu(false); }}
-                        style={{
-                          ...styles.ipodButton,
-                          ...styles.moreButton,
-                          padding: '10px 14px'
-                        }}
-                      >
-                        ...
-                      </button>
-                      <AnimatePresence>
-                        {showMainMenu && (
-                          <motion.div
-                            initial={{ opacity: 0, y: -10, scale: 0.95 }}
-                            animate={{ opacity: 1, y: 0, scale: 1 }}
-                            exit={{ opacity: 0, y: -10, scale: 0.95 }}
-                            transition={{ duration: 0.15 }}
-                            style={styles.actionsMenu}
+                  {activeJobId && (
+                    <button 
+                      onClick={cancelAnalyze} 
+                      style={styles.ipodButton}
+                    >
+                      Cancel
+                    </button>
+                  )}
+                  <div style={{ position: 'relative' }}>
+                    <button 
+                      onClick={(e) => { e.stopPropagation(); setShowMainMenu(!showMainMenu); setShowPlaylistMenu(false); }}
+                      style={{
+                        ...styles.ipodButton,
+                        ...styles.moreButton,
+                        padding: '10px 14px'
+                      }}
+                    >
+                      ...
+                    </button>
+                    <AnimatePresence>
+                      {showMainMenu && (
+                        <motion.div
+                          initial={{ opacity: 0, y: -10, scale: 0.95 }}
+                          animate={{ opacity: 1, y: 0, scale: 1 }}
+                          exit={{ opacity: 0, y: -10, scale: 0.95 }}
+                          transition={{ duration: 0.15 }}
+                          style={styles.actionsMenu}
+                        >
+                          <button 
+                            onClick={() => { resetPlaylist(); setShowMainMenu(false); }}
+                            style={styles.actionMenuItem}
+                            disabled={playlist.length === 0 && seedTracks.length === 0}
                           >
+                            Reset All
+                          </button>
+                          {savedPlaylists.length > 0 && (
                             <button 
-                              onClick={() => { resetPlaylist(); setShowMainMenu(false); }}
+                              onClick={() => { setShowSavedPlaylists(!showSavedPlaylists); setShowMainMenu(false); }}
                               style={styles.actionMenuItem}
-                              disabled={playlist.length === 0 && seedTracks.length === 0}
                             >
-                              Reset All
+                              Saved ({savedPlaylists.length})
                             </button>
-                            {savedPlaylists.length > 0 && (
-                              <button 
-                                onClick={() => { setShowSavedPlaylists(!showSavedPlaylists); setShowMainMenu(false); }}
-                                style={styles.actionMenuItem}
-                              >
-                                Saved ({savedPlaylists.length})
-                              </button>
-                            )}
-                          </motion.div>
-                        )}
-                      </AnimatePresence>
-                    </div>
-                  )}
+                          )}
+                          <label style={{ ...styles.actionMenuItem, boxSizing: 'border-box' }}>
+                            Import .json
+                            <input
+                              type="file"
+                              accept="application/json,.json"
+                              style={{ display: 'none' }}
+                              onChange={(e) => { importPlaylistFile(e.target.files?.[0]); e.target.value = ''; setShowMainMenu(false); }}
+                            />
+                          </label>
+                        </motion.div>
+                      )}
+                    </AnimatePresence>
+                  </div>
                 </div>
                 
+                <div 
+                  style={styles.trackCounter}
+                  onClick={() => setShowOptions(!showOptions)}
+                >
+                  <span>Generation options</span>
+                  <svg 
+                    width="12" 
+                    height="12" 
+                    viewBox="0 0 12 12" 
+                    style={{
+                      ...styles.arrowIcon,
+                      transform: showOptions ? 'rotate(180deg)' : 'rotate(0deg)'
+                    }}
+                  >
+                    <path d="M6 9L1 4h10z" fill="currentColor"/>
+                  </svg>
+                </div>
+
+                <AnimatePresence>
+                  {showOptions && (
+                    <motion.div
+                      initial={{ opacity: 0, height: 0 }}
+                      animate={{ opacity: 1, height: 'auto' }}
+                      exit={{ opacity: 0, height: 0 }}
+                      transition={{ duration: 0.2 }}
+                      style={styles.optionsPanel}
+                    >
+                      <div style={styles.optionsGrid}>
+                        <label style={styles.optionField}>
+                          <span style={styles.optionLabel}>Tracks</span>
+                          <input type="number" min="1" max="100" value={generationOptions.targetCount}
+                            onChange={e => updateGenerationOption('targetCount', e.target.value)}
+                            placeholder="auto" style={styles.optionInput} />
+                        </label>
+                        <label style={styles.optionField}>
+                          <span style={styles.optionLabel}>Duration (min)</span>
+                          <input type="number" min="1" value={generationOptions.targetDurationMinutes}
+                            onChange={e => updateGenerationOption('targetDurationMinutes', e.target.value)}
+                            placeholder="—" style={styles.optionInput} />
+                        </label>
+                        <label style={styles.optionField}>
+                          <span style={styles.optionLabel}>Max per artist</span>
+                          <input type="number" min="1" value={generationOptions.maxPerArtist}
+                            onChange={e => updateGenerationOption('maxPerArtist', e.target.value)}
+                            placeholder="—" style={styles.optionInput} />
+                        </label>
+                        <label style={styles.optionField}>
+                          <span style={styles.optionLabel}>From year</span>
+                          <input type="number" min="1900" max="2100" value={generationOptions.minYear}
+                            onChange={e => updateGenerationOption('minYear', e.target.value)}
+                            placeholder="—" style={styles.optionInput} />
+                        </label>
+                        <label style={styles.optionField}>
+                          <span style={styles.optionLabel}>To year</span>
+                          <input type="number" min="1900" max="2100" value={generationOptions.maxYear}
+                            onChange={e => updateGenerationOption('maxYear', e.target.value)}
+                            placeholder="—" style={styles.optionInput} />
+                        </label>
+                        <label style={styles.optionField}>
+                          <span style={styles.optionLabel}>Energy arc</span>
+                          <select value={generationOptions.arc}
+                            onChange={e => updateGenerationOption('arc', e.target.value)}
+                            style={styles.optionInput}>
+                            <option value="none">Best match first</option>
+                            <option value="flat">Flat</option>
+                            <option value="warmup">Warm-up → peak → cool-down</option>
+                            <option value="rising">Steadily rising</option>
+                          </select>
+                        </label>
+                        <label style={styles.optionField}>
+                          <span style={styles.optionLabel}>Market</span>
+                          <input type="text" value={generationOptions.market} maxLength={2}
+                            onChange={e => updateGenerationOption('market', e.target.value.toUpperCase())}
+                            placeholder="your country" style={styles.optionInput} />
+                        </label>
+                        <label style={styles.optionField}>
+                          <span style={styles.optionLabel}>Avoid artists</span>
+                          <input type="text" value={generationOptions.avoidArtists}
+                            onChange={e => updateGenerationOption('avoidArtists', e.target.value)}
+                            placeholder="comma separated" style={styles.optionInput} />
+                        </label>
+                        <label style={styles.optionField}>
+                          <span style={styles.optionLabel}>Avoid tags</span>
+                          <input type="text" value={generationOptions.avoidTags}
+                            onChange={e => updateGenerationOption('avoidTags', e.target.value)}
+                            placeholder="e.g. edm, trap" style={styles.optionInput} />
+                        </label>
+                        <label style={{ ...styles.optionField, ...styles.optionCheckbox }}>
+                          <input type="checkbox" checked={generationOptions.excludeExplicit}
+                            onChange={e => updateGenerationOption('excludeExplicit', e.target.checked)} />
+                          <span style={styles.optionLabel}>No explicit tracks</span>
+                        </label>
+                      </div>
+                    </motion.div>
+                  )}
+                </AnimatePresence>
+                
                 {/* Saved Playlists - agora controlado pelo menu */}
                 <AnimatePresence>
                   {showSavedPlaylists && savedPlaylists.length > 0 && (
@@ -869,7 +1734,7 @@ const Home = () => {
                   {showSeeds && seedTracks.length > 0 && (
                     <ul style={styles.seedList}>
                       {seedTracks.map((track, index) => (
-                        <li key={index} style={styles.seedListItem}>
+                        <li key={index} style={{ ...styles.seedListItem, ...(track.negative ? styles.seedNegative : {}) }}>
                           <img 
                             src={track.albumImages[2]?.url || track.albumImages[0]?.url || ''}
                             alt={track.name} 
@@ -877,8 +1742,29 @@ const Home = () => {
                           />
                           <div style={styles.seedInfo}>
                             <div style={styles.seedName}>{track.name}</div>
-                            <div style={styles.seedArtist}>{track.artist}</div>
+                            <div style={styles.seedArtist}>{track.negative ? 'avoid · ' : ''}{track.artist}</div>
                           </div>
+                          {!track.negative && (
+                            <label style={styles.seedWeight} title="How much this seed shapes the mix">
+                              <input
+                                type="range"
+                                min="0"
+                                max="3"
+                                step="0.5"
+                                value={track.weight ?? 1}
+                                onChange={e => setSeedWeight(index, Number(e.target.value))}
+                                style={styles.seedWeightSlider}
+                              />
+                              <span style={styles.seedWeightValue}>×{track.weight ?? 1}</span>
+                            </label>
+                          )}
+                          <button
+                            onClick={() => toggleSeedNegative(index)}
+                            style={{ ...styles.removeButton, ...(track.negative ? styles.negativeToggleActive : {}) }}
+                            title={track.negative ? 'Use as seed again' : 'Avoid tracks like this'}
+                          >
+                            ⊘
+                          </button>
                           <button
                             onClick={() => togglePreview(track)}
                             style={styles.playButton}
@@ -900,6 +1786,30 @@ const Home = () => {
                 </div>
               )}
               
+              {loading && progressEvents.length > 0 && (() => {
+                const { phases, warnings } = buildProgressTimeline(progressEvents);
+                return (
+                  <div style={styles.progressTimeline}>
+                    {phases.map(p => (
+                      <div key={p.phase} style={styles.progressItem}>
+                        <span style={p.status === 'finish' ? styles.progressDone : styles.progressRunning}>
+                          {p.status === 'finish' ? '✓' : '…'}
+                        </span>
+                        <span style={styles.progressLabel}>{p.label}</span>
+                        {p.status === 'finish' && p.total > 0 && (
+                          <span style={styles.progressCounts}>
+                            {p.total} candidatos ({Object.entries(p.counts || {}).map(([source, n]) => `${source}: ${n}`).join(', ')})
+                          </span>
+                        )}
+                      </div>
+                    ))}
+                    {warnings.map((w, i) => (
+                      <div key={`${w.code}-${i}`} style={styles.progressWarning}>⚠ {w.message}</div>
+                    ))}
+                  </div>
+                );
+              })()}
+              
               {playlist.length > 0 && (
                 <motion.div
                   initial={{ opacity: 0, y: 20 }}
@@ -959,6 +1869,15 @@ const Home = () => {
                               >
                                 Save Playlist
                               </button>
+                              {EXPORT_FILE_FORMATS.map(({ format, label }) => (
+                                <button
+                                  key={format}
+                                  onClick={() => { downloadPlaylistFile(format); setShowPlaylistMenu(false); }}
+                                  style={styles.actionMenuItem}
+                                >
+                                  Download {label}
+                                </button>
+                              ))}
                             </motion.div>
                           )}
                         </AnimatePresence>
@@ -966,6 +1885,40 @@ const Home = () => {
                     </div>
                   </div>
 
+                  {playlistAnalysis?.extension && (
+                    <div style={styles.extensionBanner}>
+                      <span>
+                        {playlistAnalysis.extension.applied
+                          ? `Added to "${playlistAnalysis.extension.name}"`
+                          : `${playlist.length} new tracks for "${playlistAnalysis.extension.name}" (${playlistAnalysis.extension.existingCount} already in it)`}
+                      </span>
+                      {!playlistAnalysis.extension.applied ? (
+                        <button
+                          onClick={approveExtension}
+                          style={{ ...styles.ipodButton, ...styles.exportButton }}
+                          disabled={exporting || playlist.length === 0}
+                        >
+                          {exporting ? '...' : 'Append to playlist'}
+                        </button>
+                      ) : playlistAnalysis.extension.url && (
+                        <a href={playlistAnalysis.extension.url} target="_blank" rel="noreferrer" style={styles.linkButton}>Open ↗</a>
+                      )}
+                    </div>
+                  )}
+
+                  {playlistAnalysis?.promptInterpretation && (() => {
+                    const { tags = [], era, unrecognized = [] } = playlistAnalysis.promptInterpretation;
+                    return (
+                      <div style={styles.promptInterpretation}>
+                        <span>Recognised: {tags.length ? tags.map(t => t.tag).join(', ') : 'no tags'}</span>
+                        {era && <span> · era {era.timeRange[0]}–{era.timeRange[1]}</span>}
+                        {unrecognized.length > 0 && <span style={styles.promptIgnored}> · ignored: {unrecognized.join(', ')}</span>}
+                      </div>
+                    );
+                  })()}
+
+                  <EnergyCurve tracks={playlist} arc={playlistAnalysis?.arc} />
+
                   {/* Métricas de Qualidade */}
                   <AnimatePresence>
                     {showQualityMetrics && playlistAnalysis?.qualityValidation && (
@@ -1057,6 +2010,9 @@ const Home = () => {
                               <div style={styles.vibeItem}>
                                 <strong>Mood:</strong> {playlistAnalysis.inferredVibe.mood}
                                 {playlistAnalysis.inferredVibe.subMood && ` (${playlistAnalysis.inferredVibe.subMood})`}
+                                {describeMood(playlistAnalysis.inferredVibe) && (
+                                  <div style={styles.moodExplanation}>{describeMood(playlistAnalysis.inferredVibe)}</div>
+                                )}
                               </div>
                               <div style={styles.vibeItem}>
                                 <strong>Confidence:</strong> {playlistAnalysis.inferredVibe.confidence}%
@@ -1086,6 +2042,12 @@ const Home = () => {
                           <div style={styles.trackDetails}>
                             <div style={styles.listItemName}>{track.name}</div>
                             <div style={styles.listItemArtist}>{track.artist}</div>
+                            {track.explanation && track.explanation.source !== 'seed' && (() => {
+                              const { reason, details } = describeExplanation(track.explanation);
+                              return (
+                                <div style={styles.listItemReason} title={details}>{reason}</div>
+                              );
+                            })()}
                           </div>
                         </div>
                         <div style={styles.trackActions}>
@@ -1096,6 +2058,24 @@ const Home = () => {
                           >
                             {playingTrackId === track.id && isPlaying ? '❚❚' : '▶'}
                           </button>
+                          <button
+                            onClick={() => expandFromTrack(index)}
+                            style={styles.removeButton}
+                            disabled={expandingIndex === index}
+                            title="More like this"
+                          >
+                            {expandingIndex === index ? '…' : '＋'}
+                          </button>
+                          {track.explanation?.source !== 'seed' && (
+                            <button
+                              onClick={() => swapTrack(index)}
+                              style={styles.removeButton}
+                              disabled={swappingIndex === index}
+                              title={track.alternatives ? `Alternative ${track.alternativeIndex + 1} of ${track.alternatives.length}` : 'Swap for an alternative'}
+                            >
+                              {swappingIndex === index ? '…' : '⇄'}
+                            </button>
+                          )}
                           <button
                             onClick={() => removeTrackFromPlaylist(index)}
                             style={styles.removeButton}
@@ -1104,24 +2084,376 @@ const Home = () => {
                             ✕
                           </button>
                         </div>
-                      </motion.li>
+                      </motion.li>
+                    ))}
+                  </ul>
+                </motion.div>
+              )}
+            </div>
+          )}
+        </div>
+      </main>
+
+      {/* Modal de Feedback */}
+      {showFeedbackModal && (
+        <div style={styles.modalOverlay}>
+          <div style={styles.modalContent}>
+            <div style={styles.modalHeader}>
+              <h2 style={styles.modalTitle}>Rate This Playlist</h2>
+              <button 
+                onClick={() => setShowFeedbackModal(false)}
+                style={styles.closeButton}
+              >
+                ✕
+              </button>
+            </div>
+            
+            <div style={styles.modalBody}>
+              <div style={styles.overallRatingSection}>
+                <h3 style={styles.ratingSectionTitle}>Overall Rating</h3>
+                {renderStars(overallRating, setOverallRating)}
+              </div>
+              
+              <div style={styles.trackRatingsSection}>
+                <h3 style={styles.ratingSectionTitle}>Rate Individual Tracks</h3>
+                <div style={styles.trackRatingsList}>
+                  {playlist.slice(0, 10).map((track, index) => (
+                    <div key={track.id} style={styles.trackRatingItem}>
+                      <img 
+                        src={track.albumImages?.[0]?.url || ''} 
+                        alt={track.name} 
+                        style={styles.ratingTrackCover}
+                      />
+                      <div style={styles.ratingTrackInfo}>
+                        <div style={styles.ratingTrackName}>{track.name}</div>
+                        <div style={styles.ratingTrackArtist}>{track.artist}</div>
+                      </div>
+                      {renderStars(trackRatings[track.id] || 0, (rating) => rateTrack(track.id, rating), 'small')}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+            
+            <div style={styles.modalFooter}>
+              <button 
+                onClick={() => setShowFeedbackModal(false)}
+                style={styles.cancelButton}
+              >
+                Cancel
+              </button>
+              <button 
+                onClick={handleSubmitFeedback}
+                style={styles.submitButton}
+              >
+                Submit Feedback
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {exportModal && (
+        <div style={styles.modalOverlay}>
+          <div style={styles.modalContent}>
+            <div style={styles.modalHeader}>
+              <h2 style={styles.modalTitle}>Export to Spotify</h2>
+              <button 
+                onClick={() => setExportModal(null)}
+                style={styles.closeButton}
+              >
+                ✕
+              </button>
+            </div>
+            
+            <div style={styles.modalBody}>
+              <label style={styles.inputLabel}>Destination:</label>
+              <select
+                value={exportModal.mode}
+                onChange={(e) => setExportModal(prev => ({ ...prev, mode: e.target.value }))}
+                style={styles.playlistNameInput}
+              >
+                <option value="create">New playlist</option>
+                <option value="replace" disabled={!exportModal.playlists?.length}>Replace an existing playlist</option>
+                <option value="append" disabled={!exportModal.playlists?.length}>Append to an existing playlist</option>
+              </select>
+              {exportModal.mode === 'create' ? (
+                <>
+                  <label style={styles.inputLabel}>Name:</label>
+                  <input
+                    type="text"
+                    value={exportModal.name}
+                    onChange={(e) => setExportModal(prev => ({ ...prev, name: e.target.value }))}
+                    style={styles.playlistNameInput}
+                  />
+                  <label style={styles.inputLabel}>Visibility:</label>
+                  <select
+                    value={exportModal.visibility}
+                    onChange={(e) => setExportModal(prev => ({ ...prev, visibility: e.target.value }))}
+                    style={styles.playlistNameInput}
+                  >
+                    <option value="private">Private</option>
+                    <option value="public">Public</option>
+                    <option value="collaborative">Collaborative</option>
+                  </select>
+                </>
+              ) : (
+                <>
+                  <label style={styles.inputLabel}>Playlist:</label>
+                  <select
+                    value={exportModal.targetPlaylistId}
+                    onChange={(e) => setExportModal(prev => ({ ...prev, targetPlaylistId: e.target.value }))}
+                    style={styles.playlistNameInput}
+                  >
+                    {(exportModal.playlists || []).map(p => (
+                      <option key={p.id} value={p.id}>{p.name} ({p.trackCount})</option>
+                    ))}
+                  </select>
+                  {exportModal.mode === 'replace' && (
+                    <div style={styles.previewMeta}>All current tracks in this playlist will be replaced.</div>
+                  )}
+                </>
+              )}
+              <label style={styles.inputLabel}>Description:</label>
+              <textarea
+                value={exportModal.description}
+                onChange={(e) => setExportModal(prev => ({ ...prev, description: e.target.value }))}
+                placeholder={exportModal.mode === 'create' ? 'Leave empty to generate one from the vibe and seeds' : 'Leave empty to keep the current description'}
+                maxLength={300}
+                style={{ ...styles.playlistNameInput, minHeight: '60px', resize: 'vertical' }}
+              />
+              <label style={styles.inputLabel}>Cover image:</label>
+              <input
+                type="file"
+                accept="image/*"
+                onChange={(e) => loadCoverImage(e.target.files?.[0])}
+                style={styles.previewMeta}
+              />
+              {exportModal.coverImage && (
+                <img src={exportModal.coverImage} alt="Cover preview" style={styles.coverPreview} />
+              )}
+            </div>
+            
+            <div style={styles.modalFooter}>
+              <button 
+                onClick={() => setExportModal(null)}
+                style={styles.cancelButton}
+              >
+                Cancel
+              </button>
+              <button 
+                onClick={submitExport}
+                style={styles.submitButton}
+                disabled={exportModal.mode === 'create' ? !exportModal.name.trim() : !exportModal.targetPlaylistId}
+              >
+                Export {playlist.length} tracks
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Modal para Salvar Playlist */}
+      {extendModal && (
+        <div style={styles.modalOverlay}>
+          <div style={styles.modalContent}>
+            <div style={styles.modalHeader}>
+              <h2 style={styles.modalTitle}>Extend a playlist</h2>
+              <button 
+                onClick={() => setExtendModal(null)}
+                style={styles.closeButton}
+              >
+                ✕
+              </button>
+            </div>
+            
+            <div style={styles.modalBody}>
+              {extendModal.playlists.length === 0 ? (
+                <div style={styles.previewMeta}>No playlists you can edit were found.</div>
+              ) : (
+                <>
+                  <label style={styles.inputLabel}>Playlist:</label>
+                  <select
+                    value={extendModal.playlistId}
+                    onChange={(e) => setExtendModal(prev => ({ ...prev, playlistId: e.target.value }))}
+                    style={styles.playlistNameInput}
+                  >
+                    {extendModal.playlists.map(p => (
+                      <option key={p.id} value={p.id}>{p.name} ({p.trackCount})</option>
+                    ))}
+                  </select>
+                  <label style={styles.inputLabel}>New tracks:</label>
+                  <input
+                    type="number"
+                    min="1"
+                    max="50"
+                    value={extendModal.count}
+                    onChange={(e) => setExtendModal(prev => ({ ...prev, count: e.target.value }))}
+                    style={styles.playlistNameInput}
+                  />
+                  <div style={styles.previewMeta}>You'll get a preview to review before anything is added.</div>
+                </>
+              )}
+            </div>
+            
+            <div style={styles.modalFooter}>
+              <button 
+                onClick={() => setExtendModal(null)}
+                style={styles.cancelButton}
+              >
+                Cancel
+              </button>
+              <button 
+                onClick={startExtension}
+                style={styles.submitButton}
+                disabled={!extendModal.playlistId}
+              >
+                Generate preview
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {importModal && (
+        <div style={styles.modalOverlay}>
+          <div style={styles.modalContent}>
+            <div style={styles.modalHeader}>
+              <h2 style={styles.modalTitle}>Import a track list</h2>
+              <button 
+                onClick={() => setImportModal(null)}
+                style={styles.closeButton}
+              >
+                ✕
+              </button>
+            </div>
+            
+            <div style={styles.modalBody}>
+              {!importModal.result ? (
+                <>
+                  <div style={styles.previewMeta}>Paste an M3U, a CSV or one "Artist - Title" per line, or pick a file.</div>
+                  <input
+                    type="file"
+                    accept=".m3u,.m3u8,.csv,.txt,text/plain,text/csv"
+                    onChange={(e) => readImportFile(e.target.files?.[0])}
+                    style={styles.previewMeta}
+                  />
+                  <textarea
+                    value={importModal.text}
+                    onChange={(e) => setImportModal(prev => ({ ...prev, text: e.target.value }))}
+                    placeholder={'Radiohead - Reckoner\nMassive Attack - Teardrop'}
+                    style={styles.importTextarea}
+                  />
+                </>
+              ) : (
+                <>
+                  <div style={styles.previewMeta}>
+                    {importModal.result.matched.length} of {importModal.result.total} lines matched
+                    {importModal.result.truncated ? ` • only the first ${importModal.result.matched.length + importModal.result.unmatched.length} were read` : ''}
+                  </div>
+                  <ul style={styles.seedList}>
+                    {importModal.result.matched.map(m => (
+                      <li key={m.line} style={styles.seedListItem}>
+                        <input
+                          type="checkbox"
+                          checked={importModal.selected.includes(m.line)}
+                          onChange={() => toggleImportLine(m.line)}
+                        />
+                        <img 
+                          src={m.track.albumImages[2]?.url || m.track.albumImages[0]?.url || ''}
+                          alt={m.track.name} 
+                          style={styles.seedCover}
+                        />
+                        <div style={styles.seedInfo}>
+                          <div style={styles.seedName}>{m.track.name}</div>
+                          <div style={styles.seedArtist}>{m.track.artist}</div>
+                        </div>
+                        <span style={styles.importConfidence} title={`Line ${m.line}: ${m.raw}`}>{m.confidence}%</span>
+                      </li>
                     ))}
                   </ul>
-                </motion.div>
+                  {importModal.result.unmatched.length > 0 && (
+                    <>
+                      <label style={styles.inputLabel}>Not found ({importModal.result.unmatched.length}):</label>
+                      {importModal.result.unmatched.map(u => (
+                        <div key={u.line} style={styles.importUnmatched}>
+                          <div style={styles.previewMeta}>Line {u.line}: {u.raw}</div>
+                          {u.candidates.length > 0 && (
+                            <div style={styles.listeningSources}>
+                              {u.candidates.map(c => (
+                                <button
+                                  key={c.track.id}
+                                  onClick={() => resolveImportLine(u.line, c)}
+                                  style={styles.listeningChip}
+                                >
+                                  {c.track.artist} - {c.track.name} ({c.confidence}%)
+                                </button>
+                              ))}
+                            </div>
+                          )}
+                          <div style={styles.buttonGroup}>
+                            <input
+                              type="text"
+                              value={importModal.fixes[u.line] ?? [u.query.artist, u.query.title].filter(Boolean).join(' - ')}
+                              onChange={(e) => setImportModal(prev => ({ ...prev, fixes: { ...prev.fixes, [u.line]: e.target.value } }))}
+                              onKeyDown={(e) => { if (e.key === 'Enter') retryImportLine(u.line); }}
+                              style={styles.playlistNameInput}
+                            />
+                            <button onClick={() => retryImportLine(u.line)} style={styles.linkButton} disabled={loading}>Search</button>
+                          </div>
+                        </div>
+                      ))}
+                    </>
+                  )}
+                </>
               )}
             </div>
-          )}
+            
+            <div style={styles.modalFooter}>
+              <button 
+                onClick={() => setImportModal(null)}
+                style={styles.cancelButton}
+              >
+                Cancel
+              </button>
+              {!importModal.result ? (
+                <button 
+                  onClick={matchImportList}
+                  style={styles.submitButton}
+                  disabled={loading || !importModal.text.trim()}
+                >
+                  {loading ? '...' : 'Match tracks'}
+                </button>
+              ) : (
+                <>
+                  <button 
+                    onClick={loadImportAsPlaylist}
+                    style={styles.cancelButton}
+                    disabled={importModal.selected.length === 0}
+                  >
+                    Load as playlist
+                  </button>
+                  <button 
+                    onClick={useImportAsSeeds}
+                    style={styles.submitButton}
+                    disabled={importModal.selected.length === 0}
+                  >
+                    Add {importModal.selected.length} seeds
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
         </div>
-      </main>
+      )}
 
-      {/* Modal de Feedback */}
-      {showFeedbackModal && (
+      {seedPicker && (
         <div style={styles.modalOverlay}>
           <div style={styles.modalContent}>
             <div style={styles.modalHeader}>
-              <h2 style={styles.modalTitle}>Rate This Playlist</h2>
+              <h2 style={styles.modalTitle}>{seedPicker.source?.name || 'Pick seeds'}</h2>
               <button 
-                onClick={() => setShowFeedbackModal(false)}
+                onClick={() => setSeedPicker(null)}
                 style={styles.closeButton}
               >
                 ✕
@@ -1129,51 +2461,75 @@ const Home = () => {
             </div>
             
             <div style={styles.modalBody}>
-              <div style={styles.overallRatingSection}>
-                <h3 style={styles.ratingSectionTitle}>Overall Rating</h3>
-                {renderStars(overallRating, setOverallRating)}
-              </div>
-              
-              <div style={styles.trackRatingsSection}>
-                <h3 style={styles.ratingSectionTitle}>Rate Individual Tracks</h3>
-                <div style={styles.trackRatingsList}>
-                  {playlist.slice(0, 10).map((track, index) => (
-                    <div key={track.id} style={styles.trackRatingItem}>
-                      <img 
-                        src={track.albumImages?.[0]?.url || ''} 
-                        alt={track.name} 
-                        style={styles.ratingTrackCover}
-                      />
-                      <div style={styles.ratingTrackInfo}>
-                        <div style={styles.ratingTrackName}>{track.name}</div>
-                        <div style={styles.ratingTrackArtist}>{track.artist}</div>
-                      </div>
-                      {renderStars(trackRatings[track.id] || 0, (rating) => rateTrack(track.id, rating), 'small')}
-                    </div>
-                  ))}
+              {seedPicker.listening && (
+                <div style={styles.listeningSources}>
+                  {Object.entries(LISTENING_SOURCE_LABELS).map(([name, label]) => {
+                    const info = seedPicker.listening.sources.find(src => src.name === name);
+                    const active = seedPicker.listening.requested.includes(name);
+                    return (
+                      <button
+                        key={name}
+                        onClick={() => toggleListeningSource(name)}
+                        disabled={loading}
+                        style={{ ...styles.listeningChip, ...(active ? styles.listeningChipActive : {}) }}
+                        title={info?.error === 'missing-scope' ? `Needs the ${info.scope} permission — reconnect Spotify` : undefined}
+                      >
+                        {label}{info && !info.error ? ` (${info.count})` : ''}{info?.error ? ' ⚠' : ''}
+                      </button>
+                    );
+                  })}
                 </div>
+              )}
+              {seedPicker.listening?.sources.some(src => src.error === 'missing-scope') && (
+                <div style={styles.progressWarning}>
+                  Some sources need new permissions. <button onClick={handleSpotifySetup} style={styles.linkButton}>Reconnect Spotify</button>
+                </div>
+              )}
+              <div style={styles.previewMeta}>
+                {seedPicker.source?.type}
+                {seedPicker.sampled ? ` • ${seedPicker.listening ? 'diverse pick' : 'sample'} of ${seedPicker.tracks.length} from ${seedPicker.source?.total} tracks` : ` • ${seedPicker.tracks.length} tracks`}
               </div>
+              <ul style={styles.seedList}>
+                {seedPicker.tracks.map(track => (
+                  <li key={track.id} style={styles.seedListItem}>
+                    <input
+                      type="checkbox"
+                      checked={seedPicker.selected.includes(track.id)}
+                      onChange={() => toggleSeedPickerTrack(track.id)}
+                    />
+                    <img 
+                      src={track.albumImages[2]?.url || track.albumImages[0]?.url || ''}
+                      alt={track.name} 
+                      style={styles.seedCover}
+                    />
+                    <div style={styles.seedInfo}>
+                      <div style={styles.seedName}>{track.name}</div>
+                      <div style={styles.seedArtist}>{track.artist}</div>
+                    </div>
+                  </li>
+                ))}
+              </ul>
             </div>
             
             <div style={styles.modalFooter}>
               <button 
-                onClick={() => setShowFeedbackModal(false)}
+                onClick={() => setSeedPicker(null)}
                 style={styles.cancelButton}
               >
                 Cancel
               </button>
               <button 
-                onClick={handleSubmitFeedback}
+                onClick={confirmSeedPicker}
                 style={styles.submitButton}
+                disabled={seedPicker.selected.length === 0}
               >
-                Submit Feedback
+                Add {seedPicker.selected.length} seeds
               </button>
             </div>
           </div>
         </div>
       )}
 
-      {/* Modal para Salvar Playlist */}
       {showSaveModal && (
         <div style={styles.modalOverlay}>
           <div style={styles.modalContent}>
@@ -1520,6 +2876,88 @@ const styles = {
     transition: 'border-color 0.2s',
     outline: 'none',
   },
+  extensionBanner: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: '12px',
+    background: '#eef6ff',
+    borderRadius: '8px',
+    padding: '10px 14px',
+    marginBottom: '12px',
+    fontSize: '13px',
+    color: '#333',
+  },
+  coverPreview: {
+    width: '96px',
+    height: '96px',
+    objectFit: 'cover',
+    borderRadius: '6px',
+    marginTop: '8px',
+    display: 'block',
+  },
+  linkButton: {
+    background: 'transparent',
+    border: 'none',
+    color: '#007aff',
+    cursor: 'pointer',
+    fontSize: '13px',
+    padding: '0 0 12px 0',
+    fontFamily: 'inherit',
+  },
+  listeningSources: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '6px',
+    marginBottom: '12px',
+  },
+  listeningChip: {
+    border: '1px solid #c8c8cc',
+    background: '#fff',
+    color: '#666',
+    borderRadius: '14px',
+    padding: '4px 10px',
+    fontSize: '12px',
+    cursor: 'pointer',
+    fontFamily: 'inherit',
+  },
+  listeningChipActive: {
+    background: '#007aff',
+    borderColor: '#007aff',
+    color: '#fff',
+  },
+  importTextarea: {
+    width: '100%',
+    minHeight: '160px',
+    boxSizing: 'border-box',
+    fontFamily: 'monospace',
+    fontSize: '12px',
+    padding: '8px',
+    border: '1px solid #c8c8cc',
+    borderRadius: '6px',
+    resize: 'vertical',
+  },
+  importConfidence: {
+    fontSize: '11px',
+    color: '#666',
+    marginLeft: 'auto',
+  },
+  importUnmatched: {
+    borderTop: '1px solid #eee',
+    padding: '8px 0',
+  },
+  promptInput: {
+    fontSize: '14px',
+    padding: '10px 14px',
+  },
+  promptInterpretation: {
+    fontSize: '12px',
+    color: '#666',
+    marginBottom: '12px',
+  },
+  promptIgnored: {
+    color: '#999',
+  },
   buttonGroup: {
     display: 'flex',
     gap: '12px',
@@ -1578,6 +3016,27 @@ const styles = {
     fontSize: '12px',
     color: '#666',
   },
+  seedWeight: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '4px',
+  },
+  seedWeightSlider: {
+    width: '70px',
+    accentColor: '#007aff',
+  },
+  seedWeightValue: {
+    fontSize: '11px',
+    color: '#999',
+    minWidth: '24px',
+  },
+  seedNegative: {
+    opacity: 0.55,
+    background: '#fff5f5',
+  },
+  negativeToggleActive: {
+    color: '#ff3b30',
+  },
   removeButton: {
     background: 'transparent',
     border: 'none',
@@ -1649,6 +3108,94 @@ const styles = {
     fontSize: '12px',
     color: '#666',
   },
+  optionsPanel: {
+    background: '#fff',
+    borderRadius: '8px',
+    padding: '12px 16px',
+    marginTop: '12px',
+    boxShadow: '0 2px 6px rgba(0,0,0,0.08)',
+    overflow: 'hidden',
+  },
+  optionsGrid: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(3, 1fr)',
+    gap: '12px',
+  },
+  optionField: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+  },
+  optionCheckbox: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: '6px',
+  },
+  optionLabel: {
+    fontSize: '12px',
+    color: '#666',
+    fontWeight: '500',
+  },
+  optionInput: {
+    border: '1px solid #c8c8cc',
+    borderRadius: '6px',
+    padding: '6px 8px',
+    fontSize: '13px',
+    fontFamily: 'inherit',
+    outline: 'none',
+  },
+  progressTimeline: {
+    marginTop: '16px',
+    padding: '12px 16px',
+    background: '#fff',
+    borderRadius: '8px',
+    boxShadow: '0 2px 6px rgba(0,0,0,0.08)',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+  },
+  progressItem: {
+    display: 'flex',
+    alignItems: 'baseline',
+    gap: '8px',
+    fontSize: '13px',
+    color: '#1a1a1a',
+  },
+  progressDone: {
+    color: '#34c759',
+    fontWeight: '700',
+    width: '14px',
+  },
+  progressRunning: {
+    color: '#007aff',
+    fontWeight: '700',
+    width: '14px',
+  },
+  progressLabel: {
+    fontWeight: '500',
+  },
+  progressCounts: {
+    fontSize: '12px',
+    color: '#666',
+  },
+  progressWarning: {
+    fontSize: '12px',
+    color: '#ff9500',
+  },
+  energyCurve: {
+    background: '#fff',
+    borderRadius: '8px',
+    padding: '8px 12px',
+    marginBottom: '12px',
+    boxShadow: '0 2px 6px rgba(0,0,0,0.08)',
+  },
+  energyCurveLabel: {
+    fontSize: '11px',
+    color: '#999',
+    textTransform: 'uppercase',
+    letterSpacing: '0.5px',
+    marginBottom: '4px',
+  },
   playlistHeaderContainer: {
     marginTop: '28px',
     marginBottom: '12px',
@@ -1704,6 +3251,12 @@ const styles = {
     fontSize: '13px',
     color: '#666',
   },
+  listItemReason: {
+    fontSize: '11px',
+    color: '#999',
+    marginTop: '2px',
+    cursor: 'help',
+  },
   similarityBadge: {
     background: 'rgba(0,122,255,0.1)',
     color: '#007aff',
@@ -1847,6 +3400,11 @@ const styles = {
     fontSize: '14px',
     color: '#666',
   },
+  moodExplanation: {
+    fontSize: '12px',
+    color: '#999',
+    marginTop: '2px',
+  },
   trackDetails: {
     flex: 1,
   },